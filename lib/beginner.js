@@ -0,0 +1,363 @@
+// --- BEGINNER (LAYER-BY-LAYER) SOLVER ---
+// Solves any 3×3 state the way new cubers are taught, stage by stage, and
+// explains each step. Works on the cubie model (lib/cubie.js), so it needs
+// only a facelet string. The cross is built on the D face and the last layer
+// is U, whatever colours those centres have.
+//
+// Stages:
+//   1. Cross                  - the four D edges (shortest sequence, found by BFS)
+//   2. First-layer corners    - bring each D corner above its slot, repeat R U R' U'
+//   3. Second layer           - align a middle edge and insert it left or right
+//   4. Last-layer edges (EO)  - F R U R' U' F' until the U cross appears
+//   5. Last-layer corners     - Sune until all U stickers face up (OLL)
+//   6. Corner permutation     - A-perm until the corners are in place (PLL)
+//   7. Edge permutation       - U-perm, then a final U turn (PLL)
+
+import { CubieCube, MOVE_CUBES, MOVE_NAMES, normaliseFacelets, parseMoveIndices } from './cubie.js';
+
+const ALGS = {
+    SEXY: "R U R' U'",
+    POP_CORNER: "R U R'",
+    RIGHT_INSERT: "U R U' R' U' F' U F",
+    LEFT_INSERT: "U' L' U L U F U' F'",
+    EO: "F R U R' U' F'",
+    SUNE: "R U R' U R U2 R'",
+    A_PERM: "R' F R' B2 R F' R' B2 R2",
+    U_PERM: "R2 U R U R' U' R' U' R' U R'"
+};
+
+// F2L slots in the order FR, BR, BL, FL: the D corner, the U corner above
+// it and the middle edge. Slot k is slot 0 seen after k y rotations.
+const SLOTS = [
+    { name: 'FR', corner: 4, above: 0, edge: 8 },
+    { name: 'BR', corner: 7, above: 3, edge: 11 },
+    { name: 'BL', corner: 6, above: 2, edge: 10 },
+    { name: 'FL', corner: 5, above: 1, edge: 9 }
+];
+
+// y R y' = B and so on: an algorithm written for the FR slot works on
+// slot k once its faces are relabelled k times.
+const Y_RELABEL = { F: 'R', R: 'B', B: 'L', L: 'F', U: 'U', D: 'D' };
+
+function relabel(alg, k) {
+    return alg.split(' ').map(token => {
+        let face = token[0];
+        for (let i = 0; i < k; i++) face = Y_RELABEL[face];
+        return face + token.slice(1);
+    }).join(' ');
+}
+
+const U_TURNS = ['', 'U', 'U2', "U'"];
+
+function apply(cube, alg) {
+    if (alg) parseMoveIndices(alg).forEach(m => cube.move(m));
+    return cube;
+}
+
+// Append moves, merging or cancelling consecutive turns of the same face
+function appendMoves(list, alg) {
+    if (!alg) return;
+    for (const m of parseMoveIndices(alg)) {
+        const last = list[list.length - 1];
+        if (last !== undefined && Math.floor(last / 3) === Math.floor(m / 3)) {
+            const quarters = ((last % 3) + 1 + (m % 3) + 1) % 4;
+            list.pop();
+            if (quarters) list.push(Math.floor(m / 3) * 3 + quarters - 1);
+        } else {
+            list.push(m);
+        }
+    }
+}
+
+// --- STAGE 1: CROSS ---
+
+const CROSS_EDGES = [4, 5, 6, 7];   // DR, DF, DL, DB
+let crossTable = null;
+let edgeMove = null;
+
+// edgeMove[(pos * 2 + ori) * 18 + m] → new pos * 2 + ori of a single edge
+function buildEdgeMoves() {
+    edgeMove = new Int8Array(24 * 18);
+    for (let pos = 0; pos < 12; pos++) {
+        for (let ori = 0; ori < 2; ori++) {
+            for (let m = 0; m < 18; m++) {
+                let p = pos, o = ori;
+                const base = MOVE_CUBES[Math.floor(m / 3)];
+                for (let k = 0; k <= m % 3; k++) {
+                    const to = base.ep.indexOf(p);
+                    o = (o + base.eo[to]) % 2;
+                    p = to;
+                }
+                edgeMove[(pos * 2 + ori) * 18 + m] = p * 2 + o;
+            }
+        }
+    }
+}
+
+function crossIndex(cube) {
+    let idx = 0;
+    for (const piece of CROSS_EDGES) {
+        const pos = cube.ep.indexOf(piece);
+        idx = idx * 24 + pos * 2 + cube.eo[pos];
+    }
+    return idx;
+}
+
+function crossMove(idx, m) {
+    let out = 0, mul = 1;
+    for (let i = 0; i < 4; i++) {
+        const e = idx % 24;
+        out += edgeMove[e * 18 + m] * mul;
+        idx = Math.floor(idx / 24);
+        mul *= 24;
+    }
+    return out;
+}
+
+// Distance of every cross-edge configuration to the solved cross
+function buildCrossTable() {
+    buildEdgeMoves();
+    crossTable = new Int8Array(24 ** 4).fill(-1);
+    const start = crossIndex(new CubieCube());
+    const queue = [start];
+    crossTable[start] = 0;
+    for (let head = 0; head < queue.length; head++) {
+        const idx = queue[head];
+        for (let m = 0; m < 18; m++) {
+            const next = crossMove(idx, m);
+            if (crossTable[next] === -1) {
+                crossTable[next] = crossTable[idx] + 1;
+                queue.push(next);
+            }
+        }
+    }
+}
+
+function solveCross(cube) {
+    if (!crossTable) buildCrossTable();
+    const moves = [];
+    let idx = crossIndex(cube);
+    while (crossTable[idx] > 0) {
+        for (let m = 0; m < 18; m++) {
+            const next = crossMove(idx, m);
+            if (crossTable[next] === crossTable[idx] - 1) {
+                moves.push(MOVE_NAMES[m]);
+                idx = next;
+                break;
+            }
+        }
+    }
+    const alg = moves.join(' ');
+    apply(cube, alg);
+    return [{ label: 'Cross edges', detail: alg || '(already solved)', alg }];
+}
+
+// --- STAGE 2: FIRST-LAYER CORNERS ---
+
+const cornerSolved = (cube, slot) => cube.cp[slot.corner] === slot.corner && cube.co[slot.corner] === 0;
+const edgeSolved = (cube, pos) => cube.ep[pos] === pos && cube.eo[pos] === 0;
+const crossSolved = (cube) => CROSS_EDGES.every(e => edgeSolved(cube, e));
+const firstLayerSolved = (cube) => crossSolved(cube) && SLOTS.every(s => cornerSolved(cube, s));
+
+function solveFirstLayerCorners(cube) {
+    const steps = [];
+    SLOTS.forEach((slot, k) => {
+        if (cornerSolved(cube, slot)) return;
+        const details = [], algs = [];
+        const run = (text, alg) => {
+            apply(cube, alg);
+            details.push(text);
+            algs.push(alg);
+        };
+
+        // Stuck in another bottom slot: pop it into the U layer first
+        let pos = cube.cp.indexOf(slot.corner);
+        if (pos >= 4 && pos !== slot.corner) {
+            const from = SLOTS.findIndex(s => s.corner === pos);
+            const pop = relabel(ALGS.POP_CORNER, from);
+            run(`pop out of ${SLOTS[from].name}: ${pop}`, pop);
+            pos = cube.cp.indexOf(slot.corner);
+        }
+
+        // Turn U until the corner sits above its slot
+        if (pos < 4 && pos !== slot.above) {
+            const turn = U_TURNS.find(t => apply(cube.clone(), t).cp[slot.above] === slot.corner);
+            run(`align: ${turn}`, turn);
+        }
+
+        // Repeat the sexy move until the corner drops in correctly
+        const sexy = relabel(ALGS.SEXY, k);
+        let reps = 0;
+        while (!cornerSolved(cube, slot) && reps < 6) {
+            apply(cube, sexy);
+            algs.push(sexy);
+            reps++;
+        }
+        details.push(`(${sexy}) ×${reps}`);
+        steps.push({ label: `Corner ${slot.name}`, detail: details.join(', '), alg: algs.join(' ') });
+    });
+    return steps;
+}
+
+// --- STAGE 3: SECOND LAYER ---
+
+function solveSecondLayer(cube) {
+    const steps = [];
+    const middleSolved = (c, done) => done.every(pos => edgeSolved(c, pos));
+
+    for (let guard = 0; guard < 12; guard++) {
+        const unsolved = SLOTS.filter(s => !edgeSolved(cube, s.edge));
+        if (!unsolved.length) break;
+        const done = SLOTS.filter(s => edgeSolved(cube, s.edge)).map(s => s.edge);
+
+        // A middle edge waiting in the U layer?
+        const waiting = unsolved.find(s => cube.ep.indexOf(s.edge) < 4);
+        if (waiting) {
+            let best = null;
+            for (const turn of U_TURNS) {
+                for (const [name, alg] of [['right', ALGS.RIGHT_INSERT], ['left', ALGS.LEFT_INSERT]]) {
+                    for (let k = 0; k < 4; k++) {
+                        const insert = relabel(alg, k);
+                        const c = apply(apply(cube.clone(), turn), insert);
+                        if (edgeSolved(c, waiting.edge) && firstLayerSolved(c) && middleSolved(c, done)) {
+                            const length = (turn ? 1 : 0) + 8;
+                            if (!best || length < best.length) best = { turn, insert, name, length };
+                        }
+                    }
+                }
+            }
+            apply(cube, best.turn);
+            apply(cube, best.insert);
+            steps.push({
+                label: `Edge ${waiting.name}`,
+                detail: `${best.turn ? `align: ${best.turn}, ` : ''}${best.name} insert: ${best.insert}`,
+                alg: [best.turn, best.insert].filter(Boolean).join(' ')
+            });
+            continue;
+        }
+
+        // Every remaining middle edge is stuck in a slot: swap a U edge in to free it
+        const k = SLOTS.findIndex(s => s.edge === cube.ep.indexOf(unsolved[0].edge));
+        const pop = relabel(ALGS.RIGHT_INSERT, k);
+        apply(cube, pop);
+        steps.push({ label: `Free edge from ${SLOTS[k].name}`, detail: `right insert: ${pop}`, alg: pop });
+    }
+    return steps;
+}
+
+// --- STAGES 4-7: LAST LAYER ---
+
+// Shortest chain of (U setup + alg) applications, then an optional final
+// U turn, that makes `done` true. Returns the list of U setups or null.
+function searchApplications(cube, alg, done, maxApplications, finalTurn = false) {
+    const check = (c) => finalTurn
+        ? U_TURNS.find(t => done(apply(c.clone(), t))) !== undefined
+        : done(c);
+    if (check(cube)) return [];
+
+    let frontier = [{ cube, setups: [] }];
+    for (let n = 1; n <= maxApplications; n++) {
+        const next = [];
+        for (const node of frontier) {
+            for (const turn of U_TURNS) {
+                const c = apply(apply(node.cube.clone(), turn), alg);
+                const setups = [...node.setups, turn];
+                if (check(c)) return setups;
+                next.push({ cube: c, setups });
+            }
+        }
+        frontier = next;
+    }
+    return null;
+}
+
+function lastLayerStage(cube, alg, name, done, maxApplications, finalTurn) {
+    const setups = searchApplications(cube, alg, done, maxApplications, finalTurn);
+    if (setups === null) throw new Error(`${name}: no case found (is the state valid?)`);
+    const steps = setups.map((turn, i) => {
+        apply(cube, turn);
+        apply(cube, alg);
+        return {
+            label: `${name} ${i + 1}`,
+            detail: `${turn ? `align: ${turn}, ` : ''}${alg}`,
+            alg: [turn, alg].filter(Boolean).join(' ')
+        };
+    });
+    if (finalTurn) {
+        const auf = U_TURNS.find(t => done(apply(cube.clone(), t)));
+        if (auf) {
+            apply(cube, auf);
+            steps.push({ label: 'Final U turn', detail: auf, alg: auf });
+        }
+    }
+    return steps;
+}
+
+const llEdgesOriented = (c) => [0, 1, 2, 3].every(i => c.eo[i] === 0);
+const llCornersOriented = (c) => [0, 1, 2, 3].every(i => c.co[i] === 0);
+const llCornersPermuted = (c) => U_TURNS.some(t => {
+    const d = apply(c.clone(), t);
+    return [0, 1, 2, 3].every(i => d.cp[i] === i);
+});
+
+// --- DRIVER ---
+
+const STAGES = [
+    {
+        name: 'Cross',
+        description: 'Build a cross on the D face: each D edge matches its side centre.',
+        run: solveCross
+    },
+    {
+        name: 'First-layer corners',
+        description: 'Bring each D corner above its slot and repeat R U R\' U\' until it drops in solved.',
+        run: solveFirstLayerCorners
+    },
+    {
+        name: 'Second layer',
+        description: 'Line a middle edge up with its centre and insert it to the right (U R U\' R\' U\' F\' U F) or left (U\' L\' U L U F U\' F\').',
+        run: solveSecondLayer
+    },
+    {
+        name: 'Last-layer edges (EO)',
+        description: 'Orient the U edges: dot → L → line → cross with F R U R\' U\' F\'.',
+        run: cube => lastLayerStage(cube, ALGS.EO, 'EO', llEdgesOriented, 4, false)
+    },
+    {
+        name: 'Last-layer corners (OLL)',
+        description: 'Orient the U corners with the Sune R U R\' U R U2 R\'.',
+        run: cube => lastLayerStage(cube, ALGS.SUNE, 'Sune', llCornersOriented, 4, false)
+    },
+    {
+        name: 'Corner permutation (PLL)',
+        description: 'Put the U corners in place with the A-perm R\' F R\' B2 R F\' R\' B2 R2 (headlights at the back).',
+        run: cube => lastLayerStage(cube, ALGS.A_PERM, 'A-perm', llCornersPermuted, 3, false)
+    },
+    {
+        name: 'Edge permutation (PLL)',
+        description: 'Cycle the U edges with the U-perm R2 U R U R\' U\' R\' U\' R\' U R\' (solved bar at the back), then turn U.',
+        run: cube => lastLayerStage(cube, ALGS.U_PERM, 'U-perm', c => c.isSolved(), 3, true)
+    }
+];
+
+// Solve a 54-character facelet string (colour letters are normalised against
+// the centres). Returns { stages, solution } where each stage has a name, a
+// description, its steps ({ label, detail, alg }) and its merged moves.
+export function solveBeginner(facelets) {
+    const cube = CubieCube.fromFacelets(normaliseFacelets(facelets));
+    const all = [];
+    const stages = STAGES.map(stage => {
+        const steps = stage.run(cube);
+        const moves = [];
+        steps.forEach(step => appendMoves(moves, step.alg));
+        appendMoves(all, moves.map(m => MOVE_NAMES[m]).join(' '));
+        return {
+            name: stage.name,
+            description: stage.description,
+            steps,
+            moves: moves.map(m => MOVE_NAMES[m]).join(' ')
+        };
+    });
+    if (!cube.isSolved()) throw new Error('Beginner solver finished without solving the cube.');
+    return { stages, solution: all.map(m => MOVE_NAMES[m]).join(' ') };
+}
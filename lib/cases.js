@@ -0,0 +1,127 @@
+// --- OLL / PLL CASES ---
+// The 57 OLL and 21 PLL cases of CFOP's last layer with their usual names
+// and algorithms (the first is the main one), plus the state a case is set
+// up from and the sticker picture used to recognise it. The algorithms are
+// checked in test/cases.test.js: each keeps the first two layers and the
+// centres, and together they cover every case exactly once.
+
+import { invertAlgorithm, parseAlgorithm, formatAlgorithm, algorithmToMoves } from './notation.js';
+import { applyMoves, solvedFacelets } from './stickers.js';
+
+const oll = (number, group, ...algs) => ({ id: `oll-${number}`, set: 'oll', name: `OLL ${number}`, group, algs });
+const pll = (name, group, ...algs) => ({ id: `pll-${name.toLowerCase()}`, set: 'pll', name: `${name} perm`, group, algs });
+
+export const OLL_CASES = [
+    oll(1, 'Dot', "R U2 R2 F R F' U2 R' F R F'"),
+    oll(2, 'Dot', "F R U R' U' F' f R U R' U' f'"),
+    oll(3, 'Dot', "f R U R' U' f' U' F R U R' U' F'"),
+    oll(4, 'Dot', "f R U R' U' f' U F R U R' U' F'"),
+    oll(5, 'Square', "r' U2 R U R' U r"),
+    oll(6, 'Square', "r U2 R' U' R U' r'"),
+    oll(7, 'Small lightning', "r U R' U R U2 r'"),
+    oll(8, 'Small lightning', "l' U' L U' L' U2 l"),
+    oll(9, 'Fish', "R U R' U' R' F R2 U R' U' F'"),
+    oll(10, 'Fish', "R U R' U R' F R F' R U2 R'"),
+    oll(11, 'Small lightning', "r U R' U R' F R F' R U2 r'"),
+    oll(12, 'Small lightning', "M' R' U' R U' R' U2 R U' M"),
+    oll(13, 'Knight move', "F U R U' R2 F' R U R U' R'"),
+    oll(14, 'Knight move', "R' F R U R' F' R F U' F'"),
+    oll(15, 'Knight move', "r' U' r R' U' R U r' U r"),
+    oll(16, 'Knight move', "r U r' R U R' U' r U' r'"),
+    oll(17, 'Dot', "R U R' U R' F R F' U2 R' F R F'"),
+    oll(18, 'Dot', "r U R' U R U2 r2 U' R U' R' U2 r"),
+    oll(19, 'Dot', "M U R U R' U' M' R' F R F'"),
+    oll(20, 'Dot', "r U R' U' M2 U R U' R' U' M'"),
+    oll(21, 'Cross (H)', "R U2 R' U' R U R' U' R U' R'", "R U R' U R U' R' U R U2 R'"),
+    oll(22, 'Cross (Pi)', "R U2 R2 U' R2 U' R2 U2 R"),
+    oll(23, 'Cross (Headlights)', "R2 D' R U2 R' D R U2 R"),
+    oll(24, 'Cross (Chameleon)', "r U R' U' r' F R F'"),
+    oll(25, 'Cross (Bowtie)', "F' r U R' U' r' F R"),
+    oll(26, 'Cross (Antisune)', "R U2 R' U' R U' R'"),
+    oll(27, 'Cross (Sune)', "R U R' U R U2 R'"),
+    oll(28, 'Corners oriented', "r U R' U' M U R U' R'"),
+    oll(29, 'Awkward', "R U R' U' R U' R' F' U' F R U R'"),
+    oll(30, 'Awkward', "F R' F R2 U' R' U' R U R' F2"),
+    oll(31, 'P', "R' U' F U R U' R' F' R"),
+    oll(32, 'P', "L U F' U' L' U L F L'"),
+    oll(33, 'T', "R U R' U' R' F R F'"),
+    oll(34, 'C', "R U R2 U' R' F R U R U' F'"),
+    oll(35, 'Fish', "R U2 R2 F R F' R U2 R'"),
+    oll(36, 'W', "L' U' L U' L' U L U L F' L' F"),
+    oll(37, 'Fish', "F R' F' R U R U' R'"),
+    oll(38, 'W', "R U R' U R U' R' U' R' F R F'"),
+    oll(39, 'Big lightning', "L F' L' U' L U F U' L'"),
+    oll(40, 'Big lightning', "R' F R U R' U' F' U R"),
+    oll(41, 'Awkward', "R U R' U R U2 R' F R U R' U' F'"),
+    oll(42, 'Awkward', "R' U' R U' R' U2 R F R U R' U' F'"),
+    oll(43, 'P', "f' L' U' L U f"),
+    oll(44, 'P', "f R U R' U' f'"),
+    oll(45, 'T', "F R U R' U' F'"),
+    oll(46, 'C', "R' U' R' F R F' U R"),
+    oll(47, 'Small L', "R' U' R' F R F' R' F R F' U R"),
+    oll(48, 'Small L', "F R U R' U' R U R' U' F'"),
+    oll(49, 'Small L', "r U' r2 U r2 U r2 U' r"),
+    oll(50, 'Small L', "r' U r2 U' r2 U' r2 U r'"),
+    oll(51, 'Line', "f R U R' U' R U R' U' f'"),
+    oll(52, 'Line', "R U R' U R U' B U' B' R'"),
+    oll(53, 'Small L', "l' U2 L U L' U' L U L' U l"),
+    oll(54, 'Small L', "r U2 R' U' R U R' U' R U' r'"),
+    oll(55, 'Line', "R U2 R2 U' R U' R' U2 F R F'"),
+    oll(56, 'Line', "F R U R' U' R F' r U R' U' r'"),
+    oll(57, 'Corners oriented', "R U R' U' M' U R U' r'")
+];
+
+export const PLL_CASES = [
+    pll('Aa', 'Corners only', "x R' U R' D2 R U' R' D2 R2 x'"),
+    pll('Ab', 'Corners only', "x R2 D2 R U R' D2 R U' R x'"),
+    pll('E', 'Corners only', "x' R U' R' D R U R' D' R U R' D R U' R' D' x"),
+    pll('Ua', 'Edges only', "M2 U M U2 M' U M2", "R U' R U R U R U' R' U' R2"),
+    pll('Ub', 'Edges only', "M2 U' M U2 M' U' M2", "R2 U R U R' U' R' U' R' U R'"),
+    pll('H', 'Edges only', "M2 U M2 U2 M2 U M2"),
+    pll('Z', 'Edges only', "M' U M2 U M2 U M' U2 M2"),
+    pll('T', 'Adjacent swap', "R U R' U' R' F R2 U' R' U' R U R' F'"),
+    pll('F', 'Adjacent swap', "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R"),
+    pll('Ja', 'Adjacent swap', "x R2 F R F' R U2 r' U r U2 x'"),
+    pll('Jb', 'Adjacent swap', "R U R' F' R U R' U' R' F R2 U' R'"),
+    pll('Ra', 'Adjacent swap', "R U' R' U' R U R D R' U' R D' R' U2 R'"),
+    pll('Rb', 'Adjacent swap', "R2 F R U R U' R' F' R U2 R' U2 R"),
+    pll('Ga', 'Adjacent swap', "R2 U R' U R' U' R U' R2 U' D R' U R D'"),
+    pll('Gb', 'Adjacent swap', "R' U' R U D' R2 U R' U R U' R U' R2 D"),
+    pll('Gc', 'Adjacent swap', "R2 U' R U' R U R' U R2 U D' R U' R' D"),
+    pll('Gd', 'Adjacent swap', "R U R' U' D R2 U' R U' R' U R' U R2 D'"),
+    pll('V', 'Diagonal swap', "R' U R U' R' f' U' R U2 R' U' R U' R' f R"),
+    pll('Y', 'Diagonal swap', "F R U' R' U' R U R' F' R U R' U' R' F R F'"),
+    pll('Na', 'Diagonal swap', "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'"),
+    pll('Nb', 'Diagonal swap', "R' U R U' R' F' U' F R U R' F R' F' R U' R")
+];
+
+export const CASES = [...OLL_CASES, ...PLL_CASES];
+
+export function findCase(id) {
+    return CASES.find(c => c.id === id) || null;
+}
+
+const AUF = ['', 'U', 'U2', "U'"];
+
+// Setup for a case: the inverse of its main algorithm, then `auf` quarter
+// turns of U (0-3) so the case does not always face the same way.
+// Returns { setup, facelets } for a 3x3.
+export function caseSetup(c, auf = 0) {
+    const inverse = formatAlgorithm(invertAlgorithm(parseAlgorithm(c.algs[0])));
+    const setup = [inverse, AUF[auf]].filter(Boolean).join(' ');
+    return { setup, facelets: applyMoves(solvedFacelets(3), algorithmToMoves(setup, 3), 3) };
+}
+
+// Sticker picture of the last layer for recognition, seen from above with
+// F at the bottom: a 5x5 grid of face letters with the U face in the middle,
+// the top rows of the sides around it and null in the corners. OLL pictures
+// only show which stickers are U-coloured ('U' or '-').
+export function casePicture(facelets, set) {
+    const sticker = i => (set === 'oll' && facelets[i] !== 'U' ? '-' : facelets[i]);
+    const grid = [[null, ...[47, 46, 45].map(sticker), null]];
+    for (let row = 0; row < 3; row++) {
+        grid.push([sticker(36 + row), ...[0, 1, 2].map(col => sticker(row * 3 + col)), sticker(11 - row)]);
+    }
+    grid.push([null, ...[18, 19, 20].map(sticker), null]);
+    return grid;
+}
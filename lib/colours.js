@@ -0,0 +1,93 @@
+// --- COLOUR SCHEMES ---
+// Sticker colours by face letter, with presets and names for messages.
+// Everything else works on face letters (URFDLB), so solvers, exports and
+// share links do not change with the scheme: only what is drawn does.
+
+import { FACES } from './cubie.js';
+
+export const SCHEMES = {
+    // Realistic shades: slightly bright red and green, warm yellow
+    western: {
+        label: 'Western',
+        colors: { U: 0xffffff, R: 0xdc143c, F: 0x00a651, D: 0xffd700, L: 0xff6600, B: 0x0066cc }
+    },
+    // Blue opposite white, yellow on the back
+    japanese: {
+        label: 'Japanese',
+        colors: { U: 0xffffff, R: 0xdc143c, F: 0x00a651, D: 0x0066cc, L: 0xff6600, B: 0xffd700 }
+    },
+    // Saturated colours with magenta for orange, which is easily taken for red
+    'high-contrast': {
+        label: 'High contrast',
+        colors: { U: 0xffffff, R: 0xff0000, F: 0x00d000, D: 0xffff00, L: 0xff00ff, B: 0x0040ff }
+    }
+};
+
+// Sticker marks for colour-blind mode. A mark belongs to a face letter, so
+// every sticker of the U colour shows U's mark wherever it goes.
+export const GLYPHS = {
+    letters: { U: 'U', R: 'R', F: 'F', D: 'D', L: 'L', B: 'B' },
+    shapes: { U: '●', R: '■', F: '▲', D: '◆', L: '✚', B: '★' }
+};
+export const GLYPH_MODES = ['off', ...Object.keys(GLYPHS)];
+
+export function defaultColourSettings() {
+    return { scheme: 'western', colors: { ...SCHEMES.western.colors }, glyphs: 'off' };
+}
+
+// Settings from localStorage with anything unusable replaced by the
+// defaults. A known preset always uses its own colours; 'custom' keeps the
+// stored ones.
+export function sanitiseColourSettings(data) {
+    const settings = defaultColourSettings();
+    if (!data || typeof data !== 'object') return settings;
+    if (GLYPH_MODES.includes(data.glyphs)) settings.glyphs = data.glyphs;
+    if (SCHEMES[data.scheme]) {
+        settings.scheme = data.scheme;
+        settings.colors = { ...SCHEMES[data.scheme].colors };
+    } else if (data.scheme === 'custom' && data.colors && typeof data.colors === 'object') {
+        settings.scheme = 'custom';
+        for (const face of FACES) {
+            const hex = data.colors[face];
+            if (Number.isInteger(hex) && hex >= 0 && hex <= 0xffffff) settings.colors[face] = hex;
+        }
+    }
+    return settings;
+}
+
+// Plain names the nearest colour is given in messages
+const NAMED = {
+    white: 0xffffff, grey: 0x808080, black: 0x000000,
+    red: 0xe00000, orange: 0xff8000, yellow: 0xffee00, green: 0x00a000,
+    cyan: 0x00e0e0, blue: 0x0050e0, purple: 0x8000c0, magenta: 0xff00ff,
+    pink: 0xff99cc, brown: 0x8b4513
+};
+
+const rgb = hex => [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+
+export function colourName(hex) {
+    const [r, g, b] = rgb(hex);
+    let best = null, bestDistance = Infinity;
+    for (const [name, value] of Object.entries(NAMED)) {
+        const [r2, g2, b2] = rgb(value);
+        const distance = (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2;
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// { U: 'white', ... } for lib/validate.js messages. Two faces whose colours
+// share a name get their face letter too: 'red (R)', 'red (L)'.
+export function schemeNames(colors) {
+    const names = {};
+    for (const face of FACES) names[face] = colourName(colors[face]);
+    for (const face of FACES) {
+        if (FACES.some(other => other !== face && colourName(colors[other]) === colourName(colors[face]))) {
+            names[face] = `${colourName(colors[face])} (${face})`;
+        }
+    }
+    return names;
+}
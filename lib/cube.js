@@ -0,0 +1,220 @@
+// --- CUBE MODEL ---
+// Headless order-N cube, or N×M×K cuboid (lib/cuboid.js). No DOM and no
+// Three.js: plain integer math, so the same model drives the 3D view in the
+// browser and tools or tests in Node.
+//
+// Every piece records its home position (ox, oy, oz), its current position
+// (x, y, z) and two orientation vectors u and f: where its local "up" and
+// "front" currently point. Coordinates run from -(N-1)/2 to (N-1)/2 along an
+// axis with N layers, so they are half-integers on even cubes. Only surface
+// pieces exist: the hidden core never shows and never changes a sticker, and
+// leaving it out keeps a 17×17 at 1,538 pieces instead of 4,913.
+//
+// A move is { axis, slice, dir }: the layer whose coordinate along `axis` is
+// `slice`, turned dir quarter turns counter-clockwise looking down the
+// positive axis (right-hand rule). A slice of null turns every layer at
+// once: a whole-cube rotation (x, y, z). See lib/notation.js for names. On a
+// cuboid, layers without square faces only take half turns.
+//
+// Rotations also turn the cube's frame: where its home U and F faces point
+// now. Pieces move with rotations, so notation always names the faces as
+// they are seen; the frame says how the cube got there, which even cubes,
+// without fixed centres, cannot tell from their pieces.
+//
+// The 3x3 variants look at the centres differently: on the supercube and
+// the picture cube a centre must also be turned the right way, which u/f
+// already record; the void cube has no centres at all (lib/variants.js).
+
+import { exportFacelets, importFacelets, isSolvedFacelets, hideCentres, NORMALS } from './facelets.js';
+import { algorithmToMoves } from './notation.js';
+import { OTHER_AXES, dimsOf, isCuboid, quarterTurns, sizeName } from './cuboid.js';
+
+// Rotate v by dir quarter turns around the positive axis
+export function rotateQuarter(v, axis, dir) {
+    let { x, y, z } = v;
+    const turns = ((dir % 4) + 4) % 4;
+    for (let i = 0; i < turns; i++) {
+        if (axis === 'x') [y, z] = [-z, y];
+        else if (axis === 'y') [x, z] = [z, -x];
+        else [x, y] = [-y, x];
+    }
+    return { x, y, z };
+}
+
+// Integer keys so half-integer coordinates (even orders) are exact
+const slotKey = (x, y, z) => `${Math.round(x * 2)},${Math.round(y * 2)},${Math.round(z * 2)}`;
+
+const homeFrame = () => ({ u: { x: 0, y: 1, z: 0 }, f: { x: 0, y: 0, z: 1 } });
+const sameVector = (a, b) => a.x === b.x && a.y === b.y && a.z === b.z;
+
+// Every orientation is at most two rotations from home
+const SINGLE_ROTATIONS = ['x', 'x2', "x'", 'y', 'y2', "y'", 'z', 'z2', "z'"];
+const FRAME_ALGORITHMS = ['', ...SINGLE_ROTATIONS,
+    ...SINGLE_ROTATIONS.flatMap(a => SINGLE_ROTATIONS.filter(b => a[0] !== b[0]).map(b => `${a} ${b}`))];
+// Rotations are the same moves on every puzzle
+const FRAME_MOVES = FRAME_ALGORITHMS.map(alg => algorithmToMoves(alg, 3));
+
+// Types whose centres must be turned the right way
+export const ORIENTED_CENTRES = ['super', 'picture'];
+
+const position = p => ({ x: p.x, y: p.y, z: p.z });
+const axisOf = v => (v.x ? 'x' : v.y ? 'y' : 'z');
+const faceOf = v => Object.keys(NORMALS).find(face => sameVector(NORMALS[face], v));
+
+function rotateFrame(frame, axis, dir) {
+    return { u: rotateQuarter(frame.u, axis, dir), f: rotateQuarter(frame.f, axis, dir) };
+}
+
+export class VirtualCube {
+    // order: N, or a cuboid's { x, y, z } layer counts. type: 'normal',
+    // 'mirror' (same logic, different shapes on screen), 'cuboid', or the
+    // 3x3 variants 'super', 'picture' and 'void'.
+    constructor(order, type = 'normal') {
+        this.order = order;
+        this.type = type;
+        this.dims = dimsOf(order);
+        this.pieces = [];
+        const offset = axis => (this.dims[axis] - 1) / 2;
+
+        for (let x = 0; x < this.dims.x; x++) {
+            for (let y = 0; y < this.dims.y; y++) {
+                for (let z = 0; z < this.dims.z; z++) {
+                    const ox = x - offset('x'), oy = y - offset('y'), oz = z - offset('z');
+                    if (Math.abs(ox) !== offset('x') && Math.abs(oy) !== offset('y') && Math.abs(oz) !== offset('z')) continue;
+                    this.pieces.push({
+                        x: ox, y: oy, z: oz,
+                        u: { x: 0, y: 1, z: 0 },
+                        f: { x: 0, y: 0, z: 1 },
+                        ox, oy, oz,
+                        isCenter: (Math.abs(ox) + Math.abs(oy) + Math.abs(oz) === 1)
+                    });
+                }
+            }
+        }
+        this.frame = homeFrame();
+        this.reindex();
+    }
+
+    // Rebuild the position → piece lookup after pieces were moved directly
+    reindex() {
+        this.slots = new Map();
+        this.pieces.forEach(p => this.slots.set(slotKey(p.x, p.y, p.z), p));
+    }
+
+    // Pieces in the layer at `slice` along `axis`, found by position rather
+    // than by scanning every piece. A null slice is the whole cube.
+    layer(axis, slice) {
+        if (slice === null) return this.pieces.slice();
+        const [a, b] = OTHER_AXES[axis];
+        const offsetA = (this.dims[a] - 1) / 2, offsetB = (this.dims[b] - 1) / 2;
+        const pos = { [axis]: slice };
+        const pieces = [];
+        for (let i = -offsetA; i <= offsetA; i++) {
+            for (let j = -offsetB; j <= offsetB; j++) {
+                pos[a] = i;
+                pos[b] = j;
+                const piece = this.slots.get(slotKey(pos.x, pos.y, pos.z));
+                if (piece) pieces.push(piece);
+            }
+        }
+        return pieces;
+    }
+
+    // Throws for a quarter turn of a layer without square faces
+    rotateLogic(axis, slice, dir) {
+        if (dir % 2 && !quarterTurns(this.order, axis)) {
+            throw new Error(`Layers along ${axis} only turn 180° on a ${sizeName(this.order)}.`);
+        }
+        const pieces = this.layer(axis, slice);
+        pieces.forEach(p => {
+            const pos = rotateQuarter(p, axis, dir);
+            p.x = pos.x; p.y = pos.y; p.z = pos.z;
+            p.u = rotateQuarter(p.u, axis, dir);
+            p.f = rotateQuarter(p.f, axis, dir);
+        });
+        pieces.forEach(p => this.slots.set(slotKey(p.x, p.y, p.z), p));
+        if (slice === null) this.frame = rotateFrame(this.frame, axis, dir);
+    }
+
+    // Shortest rotations (e.g. "x y'") that turn a cube from its home
+    // orientation to the current frame; '' at home
+    frameAlgorithm() {
+        return FRAME_ALGORITHMS.find((alg, i) => {
+            const frame = FRAME_MOVES[i].reduce((f, m) => rotateFrame(f, m.axis, m.dir), homeFrame());
+            return sameVector(frame.u, this.frame.u) && sameVector(frame.f, this.frame.f);
+        });
+    }
+
+    // Apply a list of { axis, slice, dir } moves
+    applyMoves(moves) {
+        moves.forEach(m => this.rotateLogic(m.axis, m.slice, m.dir));
+        return this;
+    }
+
+    // Facelet string (URFDLB, order×order stickers per face) derived from
+    // each piece's home position and its u/f orientation (lib/facelets.js)
+    toFacelets() {
+        return exportFacelets(this.pieces, this.order);
+    }
+
+    // Rebuild piece positions/orientations from a facelet string.
+    // Throws if the string does not describe real pieces. The frame is read
+    // off the U and F centres on odd cubes and is home on even ones and
+    // cuboids.
+    importFacelets(facelets) {
+        importFacelets(this.pieces, this.order, facelets);
+        this.reindex();
+        this.frame = homeFrame();
+        if (!isCuboid(this.order) && this.order % 2 === 1) {
+            const offset = (this.order - 1) / 2;
+            const centre = (x, y, z) => this.pieces.find(p => p.ox === x && p.oy === y && p.oz === z);
+            const direction = p => ({ x: p.x / offset, y: p.y / offset, z: p.z / offset });
+            this.frame = { u: direction(centre(0, offset, 0)), f: direction(centre(0, 0, offset)) };
+        }
+    }
+
+    // Clockwise quarter turns (0-3) of each centre of a 3x3 against the
+    // rest of the cube, held the way its U and F centres say, by the face the
+    // centre is on: { U: 0, R: 2, ... }
+    centreTwists() {
+        const held = this.centreFrame();
+        const twists = {};
+        this.pieces.filter(p => p.isCenter).forEach(p => {
+            const normal = position(p);
+            const axis = axisOf(normal);
+            const k = [0, 1, 2, 3].find(k =>
+                sameVector(rotateQuarter(held.u, axis, k), p.u) && sameVector(rotateQuarter(held.f, axis, k), p.f));
+            twists[faceOf(normal)] = normal[axis] > 0 ? (4 - k) % 4 : k;
+        });
+        return twists;
+    }
+
+    // Turn the centres to `twists` (as from centreTwists) without moving
+    // anything else
+    setCentreTwists(twists) {
+        const held = this.centreFrame();
+        this.pieces.filter(p => p.isCenter).forEach(p => {
+            const normal = position(p);
+            const axis = axisOf(normal);
+            const twist = twists[faceOf(normal)] ?? 0;
+            const k = normal[axis] > 0 ? (4 - twist) % 4 : twist;
+            p.u = rotateQuarter(held.u, axis, k);
+            p.f = rotateQuarter(held.f, axis, k);
+        });
+    }
+
+    // Where the home U and F faces are, going by the 3x3 centres
+    centreFrame() {
+        const centre = home => position(this.pieces.find(p => p.isCenter && sameVector({ x: p.ox, y: p.oy, z: p.oz }, home)));
+        return { u: centre(NORMALS.U), f: centre(NORMALS.F) };
+    }
+
+    // Every face shows one colour, in any whole-cube orientation. The
+    // supercube and the picture cube also need their centres turned the
+    // right way; the void cube has no centres to look at.
+    isSolved() {
+        if (this.type === 'void') return isSolvedFacelets(hideCentres(this.toFacelets(), this.order), this.order);
+        if (!isSolvedFacelets(this.toFacelets(), this.order)) return false;
+        return !ORIENTED_CENTRES.includes(this.type) || Object.values(this.centreTwists()).every(t => t === 0);
+    }
+}
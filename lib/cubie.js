@@ -0,0 +1,288 @@
+// --- CUBIE MODEL ---
+// Pure 3×3 representation on the cubie level: corner/edge permutation plus
+// orientation. Shared by the solvers, so no DOM and no Three.js in here.
+//
+// Facelet strings use the usual URFDLB layout (the one cubejs/Kociemba use):
+//
+//              U1 U2 U3
+//              U4 U5 U6
+//              U7 U8 U9
+//   L1 L2 L3   F1 F2 F3   R1 R2 R3   B1 B2 B3
+//   L4 L5 L6   F4 F5 F6   R4 R5 R6   B4 B5 B6
+//   L7 L8 L9   F7 F8 F9   R7 R8 R9   B7 B8 B9
+//              D1 D2 D3
+//              D4 D5 D6
+//              D7 D8 D9
+//
+// and the string is U1..U9, R1..R9, F1..F9, D1..D9, L1..L9, B1..B9.
+
+export const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+// Corner slots: URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB
+// Edge slots:   UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
+export const CORNER_NAMES = ['URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'];
+export const EDGE_NAMES = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+// Facelet index helper: face letter + 1-based sticker number
+const f = (face, n) => FACES.indexOf(face) * 9 + n - 1;
+
+// Facelets of each corner slot, starting with the U/D sticker and going clockwise
+export const CORNER_FACELETS = [
+    [f('U', 9), f('R', 1), f('F', 3)],
+    [f('U', 7), f('F', 1), f('L', 3)],
+    [f('U', 1), f('L', 1), f('B', 3)],
+    [f('U', 3), f('B', 1), f('R', 3)],
+    [f('D', 3), f('F', 9), f('R', 7)],
+    [f('D', 1), f('L', 9), f('F', 7)],
+    [f('D', 7), f('B', 9), f('L', 7)],
+    [f('D', 9), f('R', 9), f('B', 7)]
+];
+
+export const EDGE_FACELETS = [
+    [f('U', 6), f('R', 2)],
+    [f('U', 8), f('F', 2)],
+    [f('U', 4), f('L', 2)],
+    [f('U', 2), f('B', 2)],
+    [f('D', 6), f('R', 8)],
+    [f('D', 2), f('F', 8)],
+    [f('D', 4), f('L', 8)],
+    [f('D', 8), f('B', 8)],
+    [f('F', 6), f('R', 4)],
+    [f('F', 4), f('L', 6)],
+    [f('B', 6), f('L', 4)],
+    [f('B', 4), f('R', 6)]
+];
+
+export const CORNER_COLORS = CORNER_NAMES.map(name => name.split(''));
+export const EDGE_COLORS = EDGE_NAMES.map(name => name.split(''));
+
+export const SOLVED_FACELETS = FACES.map(face => face.repeat(9)).join('');
+
+export class CubieCube {
+    constructor(cp, co, ep, eo) {
+        this.cp = cp ? cp.slice() : [0, 1, 2, 3, 4, 5, 6, 7];
+        this.co = co ? co.slice() : [0, 0, 0, 0, 0, 0, 0, 0];
+        this.ep = ep ? ep.slice() : [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+        this.eo = eo ? eo.slice() : [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    }
+
+    clone() {
+        return new CubieCube(this.cp, this.co, this.ep, this.eo);
+    }
+
+    // this = this * b (apply b after this)
+    multiply(b) {
+        this.cornerMultiply(b);
+        this.edgeMultiply(b);
+        return this;
+    }
+
+    cornerMultiply(b) {
+        const cp = new Array(8), co = new Array(8);
+        for (let i = 0; i < 8; i++) {
+            cp[i] = this.cp[b.cp[i]];
+            co[i] = (this.co[b.cp[i]] + b.co[i]) % 3;
+        }
+        this.cp = cp;
+        this.co = co;
+        return this;
+    }
+
+    edgeMultiply(b) {
+        const ep = new Array(12), eo = new Array(12);
+        for (let i = 0; i < 12; i++) {
+            ep[i] = this.ep[b.ep[i]];
+            eo[i] = (this.eo[b.ep[i]] + b.eo[i]) % 2;
+        }
+        this.ep = ep;
+        this.eo = eo;
+        return this;
+    }
+
+    inverse() {
+        const inv = new CubieCube();
+        for (let i = 0; i < 8; i++) {
+            inv.cp[this.cp[i]] = i;
+        }
+        for (let i = 0; i < 8; i++) {
+            inv.co[i] = (3 - this.co[inv.cp[i]]) % 3;
+        }
+        for (let i = 0; i < 12; i++) {
+            inv.ep[this.ep[i]] = i;
+        }
+        for (let i = 0; i < 12; i++) {
+            inv.eo[i] = this.eo[inv.ep[i]];
+        }
+        return inv;
+    }
+
+    // Apply a move index 0..17 (see MOVE_NAMES)
+    move(m) {
+        const base = MOVE_CUBES[Math.floor(m / 3)];
+        for (let k = 0; k <= m % 3; k++) this.multiply(base);
+        return this;
+    }
+
+    isSolved() {
+        for (let i = 0; i < 8; i++) {
+            if (this.cp[i] !== i || this.co[i] !== 0) return false;
+        }
+        for (let i = 0; i < 12; i++) {
+            if (this.ep[i] !== i || this.eo[i] !== 0) return false;
+        }
+        return true;
+    }
+
+    cornerParity() {
+        return permutationParity(this.cp);
+    }
+
+    edgeParity() {
+        return permutationParity(this.ep);
+    }
+
+    toFacelets() {
+        const facelets = SOLVED_FACELETS.split('');
+        for (let i = 0; i < 8; i++) {
+            const piece = this.cp[i], ori = this.co[i];
+            for (let n = 0; n < 3; n++) {
+                facelets[CORNER_FACELETS[i][(n + ori) % 3]] = CORNER_COLORS[piece][n];
+            }
+        }
+        for (let i = 0; i < 12; i++) {
+            const piece = this.ep[i], ori = this.eo[i];
+            for (let n = 0; n < 2; n++) {
+                facelets[EDGE_FACELETS[i][(n + ori) % 2]] = EDGE_COLORS[piece][n];
+            }
+        }
+        return facelets.join('');
+    }
+
+    // Build a cube from a URFDLB facelet string (face letters, not colours).
+    // Throws an Error describing the first problem if the state is impossible.
+    // With { checkParity: false } twist, flip and permutation parity are not
+    // checked, so callers can inspect an unsolvable state (e.g. 4x4 parity).
+    static fromFacelets(facelets, { checkParity = true } = {}) {
+        if (typeof facelets !== 'string' || facelets.length !== 54) {
+            throw new Error(`Facelet string must have 54 characters (got ${facelets?.length || 0}).`);
+        }
+        const counts = {};
+        for (const c of facelets) {
+            if (!FACES.includes(c)) throw new Error(`Unknown facelet "${c}".`);
+            counts[c] = (counts[c] || 0) + 1;
+        }
+        for (const face of FACES) {
+            if (counts[face] !== 9) {
+                throw new Error(`Face colour ${face} appears ${counts[face] || 0} times (need 9).`);
+            }
+        }
+
+        const cube = new CubieCube();
+        const seenCorners = new Set(), seenEdges = new Set();
+
+        for (let i = 0; i < 8; i++) {
+            let ori = 0;
+            while (ori < 3 && facelets[CORNER_FACELETS[i][ori]] !== 'U' && facelets[CORNER_FACELETS[i][ori]] !== 'D') ori++;
+            if (ori === 3) throw new Error(`Corner ${CORNER_NAMES[i]} has no U or D sticker.`);
+            const col1 = facelets[CORNER_FACELETS[i][(ori + 1) % 3]];
+            const col2 = facelets[CORNER_FACELETS[i][(ori + 2) % 3]];
+            const piece = CORNER_COLORS.findIndex(c =>
+                c[0] === facelets[CORNER_FACELETS[i][ori]] && c[1] === col1 && c[2] === col2
+            );
+            if (piece < 0) throw new Error(`Corner ${CORNER_NAMES[i]} has an impossible colour combination.`);
+            if (seenCorners.has(piece)) throw new Error(`Corner ${CORNER_NAMES[piece]} appears twice.`);
+            seenCorners.add(piece);
+            cube.cp[i] = piece;
+            cube.co[i] = ori;
+        }
+
+        for (let i = 0; i < 12; i++) {
+            const a = facelets[EDGE_FACELETS[i][0]], b = facelets[EDGE_FACELETS[i][1]];
+            let piece = EDGE_COLORS.findIndex(c => c[0] === a && c[1] === b);
+            let ori = 0;
+            if (piece < 0) {
+                piece = EDGE_COLORS.findIndex(c => c[0] === b && c[1] === a);
+                ori = 1;
+            }
+            if (piece < 0) throw new Error(`Edge ${EDGE_NAMES[i]} has an impossible colour combination.`);
+            if (seenEdges.has(piece)) throw new Error(`Edge ${EDGE_NAMES[piece]} appears twice.`);
+            seenEdges.add(piece);
+            cube.ep[i] = piece;
+            cube.eo[i] = ori;
+        }
+
+        if (!checkParity) return cube;
+        if (cube.co.reduce((a, b) => a + b, 0) % 3 !== 0) throw new Error('A corner is twisted.');
+        if (cube.eo.reduce((a, b) => a + b, 0) % 2 !== 0) throw new Error('An edge is flipped.');
+        if (cube.cornerParity() !== cube.edgeParity()) throw new Error('Two pieces are swapped (permutation parity).');
+        return cube;
+    }
+}
+
+function permutationParity(perm) {
+    let parity = 0;
+    for (let i = 0; i < perm.length; i++) {
+        for (let j = i + 1; j < perm.length; j++) {
+            if (perm[j] < perm[i]) parity ^= 1;
+        }
+    }
+    return parity;
+}
+
+// Basic face turns (clockwise quarter turns) in cubie representation
+export const MOVE_CUBES = [
+    // U
+    new CubieCube(
+        [3, 0, 1, 2, 4, 5, 6, 7], [0, 0, 0, 0, 0, 0, 0, 0],
+        [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    ),
+    // R
+    new CubieCube(
+        [4, 1, 2, 0, 7, 5, 6, 3], [2, 0, 0, 1, 1, 0, 0, 2],
+        [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    ),
+    // F
+    new CubieCube(
+        [1, 5, 2, 3, 0, 4, 6, 7], [1, 2, 0, 0, 2, 1, 0, 0],
+        [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]
+    ),
+    // D
+    new CubieCube(
+        [0, 1, 2, 3, 5, 6, 7, 4], [0, 0, 0, 0, 0, 0, 0, 0],
+        [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    ),
+    // L
+    new CubieCube(
+        [0, 2, 6, 3, 4, 1, 5, 7], [0, 1, 2, 0, 0, 2, 1, 0],
+        [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+    ),
+    // B
+    new CubieCube(
+        [0, 1, 3, 7, 4, 5, 2, 6], [0, 0, 1, 2, 0, 0, 2, 1],
+        [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1]
+    )
+];
+
+// Move index m = 3 * face + (quarter turns - 1)
+export const MOVE_NAMES = FACES.flatMap(face => [face, `${face}2`, `${face}'`]);
+
+// Parse a plain face-turn sequence ("R U' F2") into move indices
+export function parseMoveIndices(str) {
+    return str.trim().split(/\s+/).filter(Boolean).map(token => {
+        const idx = MOVE_NAMES.indexOf(token);
+        if (idx < 0) throw new Error(`Unsupported move "${token}".`);
+        return idx;
+    });
+}
+
+// Relabel a facelet string written in colours (any six distinct letters)
+// into face names, using the centre stickers. This makes the solvers accept
+// any whole-cube orientation.
+export function normaliseFacelets(facelets) {
+    const map = {};
+    FACES.forEach((face, i) => { map[facelets[i * 9 + 4]] = face; });
+    if (Object.keys(map).length !== 6) {
+        throw new Error('Centre stickers must all be different colours.');
+    }
+    return facelets.split('').map(c => map[c] || '?').join('');
+}
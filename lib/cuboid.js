@@ -0,0 +1,50 @@
+// --- CUBOIDS ---
+// Puzzle sizes. Everywhere an `order` is taken (lib/cube.js, notation,
+// facelets, stickers, ...) it is either a number N for the N×N×N cube or,
+// for a cuboid, the layer count along each axis: { x, y, z }.
+//
+// Cuboids are named width × depth × height, the way they are sold: a 3x3x2
+// is 3 wide (x), 3 deep (z) and 2 tall (y). A layer whose face is not
+// square (2×3 on a 2x2x3) would not fit back into the puzzle after a
+// quarter turn, so it only turns 180°; that holds for whole-cube rotations
+// too, which therefore never change which axis is which.
+
+export const CUBOIDS = ['2x2x3', '3x3x2', '2x2x4', '3x3x4', '3x3x5', '2x3x4'];
+
+const MAX_LAYERS = 7;
+
+export function isCuboid(order) {
+    return typeof order === 'object' && order !== null;
+}
+
+// Layer counts along each axis
+export function dimsOf(order) {
+    return isCuboid(order) ? order : { x: order, y: order, z: order };
+}
+
+// '3x3' for a cube, '3x3x2' for a cuboid
+export function sizeName(order) {
+    if (!isCuboid(order)) return `${order}x${order}`;
+    return `${order.x}x${order.z}x${order.y}`;
+}
+
+// 'AxBxC' → { x: A, y: C, z: B }, null unless every count is 2 to 7 and
+// they are not all equal (that is a cube)
+export function parseCuboid(name) {
+    const match = /^(\d+)x(\d+)x(\d+)$/.exec(name);
+    if (!match) return null;
+    const [x, z, y] = match.slice(1).map(Number);
+    if ([x, y, z].some(n => n < 2 || n > MAX_LAYERS)) return null;
+    if (x === y && y === z) return null;
+    return { x, y, z };
+}
+
+// The two axes across each axis
+export const OTHER_AXES = { x: ['y', 'z'], y: ['x', 'z'], z: ['x', 'y'] };
+
+// Whether layers along `axis` have square faces and so turn by 90°
+export function quarterTurns(order, axis) {
+    const dims = dimsOf(order);
+    const [a, b] = OTHER_AXES[axis];
+    return dims[a] === dims[b];
+}
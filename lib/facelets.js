@@ -0,0 +1,284 @@
+// --- FACELET MODEL ---
+// Converts between VirtualCube pieces and facelet strings for any order N.
+// Pure math on the pieces' fields, so it works with Three.js vectors or plain
+// { x, y, z } objects alike.
+//
+// A piece stores its home position (ox, oy, oz), its current position
+// (x, y, z) and two orientation vectors u and f: where its local "up" and
+// "front" currently point. The sticker colour on any face of a piece is the
+// home face whose normal the piece's rotation maps onto that face.
+//
+// The string is U, R, F, D, L, B with N×N stickers each, read row by row as
+// in the usual net (see lib/cubie.js), so for N = 3 it is the 54-character
+// string the Kociemba solver takes. On a cuboid each face has as many rows
+// and columns as the puzzle has layers along them (lib/cuboid.js).
+
+import { FACES } from './cubie.js';
+import { dimsOf, sizeName } from './cuboid.js';
+
+export const NORMALS = {
+    U: { x: 0, y: 1, z: 0 },
+    R: { x: 1, y: 0, z: 0 },
+    F: { x: 0, y: 0, z: 1 },
+    D: { x: 0, y: -1, z: 0 },
+    L: { x: -1, y: 0, z: 0 },
+    B: { x: 0, y: 0, z: -1 }
+};
+
+// Position of sticker (row, col) on each face, with a = col - o, b = row - o
+const FACE_LAYOUT = {
+    U: (a, b, o) => ({ x: a, y: o, z: b }),
+    R: (a, b, o) => ({ x: o, y: -b, z: -a }),
+    F: (a, b, o) => ({ x: a, y: -b, z: o }),
+    D: (a, b, o) => ({ x: a, y: -o, z: -b }),
+    L: (a, b, o) => ({ x: -o, y: -b, z: a }),
+    B: (a, b, o) => ({ x: -a, y: -b, z: -o })
+};
+
+// Axes along each face's columns, rows and normal
+const FACE_AXES = {
+    U: { cols: 'x', rows: 'z', normal: 'y' },
+    R: { cols: 'z', rows: 'y', normal: 'x' },
+    F: { cols: 'x', rows: 'y', normal: 'z' },
+    D: { cols: 'x', rows: 'z', normal: 'y' },
+    L: { cols: 'z', rows: 'y', normal: 'x' },
+    B: { cols: 'x', rows: 'y', normal: 'z' }
+};
+
+// Rows and columns of stickers on one face
+export function faceGrid(order, face) {
+    const dims = dimsOf(order);
+    return { rows: dims[FACE_AXES[face].rows], cols: dims[FACE_AXES[face].cols] };
+}
+
+// Length of a facelet string: 6·N² on a cube
+export function stickerCount(order) {
+    return FACES.reduce((total, face) => {
+        const { rows, cols } = faceGrid(order, face);
+        return total + rows * cols;
+    }, 0);
+}
+
+// The string cut into one piece per face, in FACES order
+function faceStrings(facelets, order) {
+    let start = 0;
+    return FACES.map(face => {
+        const { rows, cols } = faceGrid(order, face);
+        start += rows * cols;
+        return facelets.slice(start - rows * cols, start);
+    });
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+
+// Integer keys so half-integer coordinates (even orders) are exact
+const posKey = (p) => `${Math.round(p.x * 2)},${Math.round(p.y * 2)},${Math.round(p.z * 2)}`;
+
+function faceOfNormal(n) {
+    return FACES.find(face => dot(NORMALS[face], n) === 1);
+}
+
+// Rotate vector v by the rotation whose columns are (u × f, u, f)
+function rotate(u, f, v) {
+    const r = cross(u, f);
+    return {
+        x: v.x * r.x + v.y * u.x + v.z * f.x,
+        y: v.x * r.y + v.y * u.y + v.z * f.y,
+        z: v.x * r.z + v.y * u.z + v.z * f.z
+    };
+}
+
+// Inverse rotation (transpose)
+function unrotate(u, f, v) {
+    return { x: dot(cross(u, f), v), y: dot(u, v), z: dot(f, v) };
+}
+
+// All 24 orientations as (u, f) pairs
+const AXES = [
+    { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 },
+    { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 },
+    { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 }
+];
+export const ORIENTATIONS = AXES.flatMap(u => AXES.filter(f => dot(u, f) === 0).map(f => ({ u, f })));
+
+// Colour shown on each face of a solved cube turned by `orientation`:
+// { U: 'F', R: 'R', ... }
+export function faceColours({ u, f }) {
+    const colours = {};
+    for (const color of FACES) colours[faceOfNormal(rotate(u, f, NORMALS[color]))] = color;
+    return colours;
+}
+
+// Iterate stickers in string order: callback(face, index, position)
+export function forEachSticker(order, callback) {
+    const dims = dimsOf(order);
+    let index = 0;
+    for (const face of FACES) {
+        const { rows, cols } = faceGrid(order, face);
+        const o = (dims[FACE_AXES[face].normal] - 1) / 2;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                callback(face, index++, FACE_LAYOUT[face](col - (cols - 1) / 2, row - (rows - 1) / 2, o));
+            }
+        }
+    }
+}
+
+export function exportFacelets(pieces, order) {
+    const byPos = new Map();
+    pieces.forEach(p => byPos.set(posKey(p), p));
+
+    const facelets = new Array(stickerCount(order));
+    forEachSticker(order, (face, index, pos) => {
+        const piece = byPos.get(posKey(pos));
+        facelets[index] = faceOfNormal(unrotate(piece.u, piece.f, NORMALS[face]));
+    });
+    return facelets.join('');
+}
+
+// Rebuild piece positions and orientations from a facelet string.
+// Identical-looking pieces (centres on big cubes) are matched greedily,
+// preferring the piece already in place so re-importing an export is a no-op.
+// Throws an Error naming the offending position if no piece fits.
+export function importFacelets(pieces, order, facelets) {
+    const total = stickerCount(order);
+    if (typeof facelets !== 'string' || facelets.length !== total) {
+        throw new Error(`Facelet string for ${sizeName(order)} must have ${total} characters (got ${facelets?.length || 0}).`);
+    }
+    for (const c of facelets) {
+        if (!FACES.includes(c)) throw new Error(`Unknown facelet "${c}".`);
+    }
+
+    const dims = dimsOf(order);
+    const homeFaces = (p) => FACES.filter(face =>
+        dot(NORMALS[face], { x: p.ox, y: p.oy, z: p.oz }) === (dims[FACE_AXES[face].normal] - 1) / 2);
+
+    // Gather the stickers seen at every surface position
+    const slots = new Map();
+    forEachSticker(order, (face, index, pos) => {
+        const key = posKey(pos);
+        if (!slots.has(key)) slots.set(key, { pos, stickers: [] });
+        slots.get(key).stickers.push({ normal: NORMALS[face], color: facelets[index] });
+    });
+
+    const byHome = new Map();
+    pieces.forEach(p => byHome.set(posKey({ x: p.ox, y: p.oy, z: p.oz }), p));
+    const byPos = new Map();
+    pieces.forEach(p => byPos.set(posKey(p), p));
+
+    const fits = (piece, orientation, slot) =>
+        posKey(rotate(orientation.u, orientation.f, { x: piece.ox, y: piece.oy, z: piece.oz })) === posKey(slot.pos) &&
+        slot.stickers.every(s => dot(rotate(orientation.u, orientation.f, NORMALS[s.color]), s.normal) === 1);
+
+    const used = new Set();
+    const placements = [];
+
+    // Pieces with two or more stickers: the colours fix the orientation, which in turn fixes the piece
+    for (const slot of slots.values()) {
+        if (slot.stickers.length < 2) continue;
+        let match = null;
+        for (const orientation of ORIENTATIONS) {
+            if (!slot.stickers.every(s => dot(rotate(orientation.u, orientation.f, NORMALS[s.color]), s.normal) === 1)) continue;
+            const home = unrotate(orientation.u, orientation.f, slot.pos);
+            const piece = byHome.get(posKey(home));
+            if (piece && homeFaces(piece).length === slot.stickers.length) {
+                match = { piece, orientation };
+                break;
+            }
+        }
+        const where = `(${slot.pos.x}, ${slot.pos.y}, ${slot.pos.z})`;
+        if (!match) throw new Error(`No piece has the colours ${slot.stickers.map(s => s.color).join('')} at ${where}.`);
+        if (used.has(match.piece)) throw new Error(`Piece with colours ${slot.stickers.map(s => s.color).join('')} appears twice.`);
+        used.add(match.piece);
+        placements.push({ piece: match.piece, pos: slot.pos, orientation: match.orientation });
+    }
+
+    // Centre pieces: any unused centre of that colour that can reach the slot
+    for (const slot of slots.values()) {
+        if (slot.stickers.length !== 1) continue;
+        const color = slot.stickers[0].color;
+        const current = byPos.get(posKey(slot.pos));
+        let match = null;
+        if (current && !used.has(current) && fits(current, { u: current.u, f: current.f }, slot)) {
+            match = { piece: current, orientation: { u: { ...current.u }, f: { ...current.f } } };
+        }
+        if (!match) {
+            for (const piece of pieces) {
+                if (used.has(piece)) continue;
+                const faces = homeFaces(piece);
+                if (faces.length !== 1 || faces[0] !== color) continue;
+                const orientation = ORIENTATIONS.find(or => fits(piece, or, slot));
+                if (orientation) {
+                    match = { piece, orientation };
+                    break;
+                }
+            }
+        }
+        if (!match) throw new Error(`Too many ${color} centre stickers of this kind at (${slot.pos.x}, ${slot.pos.y}, ${slot.pos.z}).`);
+        used.add(match.piece);
+        placements.push({ piece: match.piece, pos: slot.pos, orientation: match.orientation });
+    }
+
+    // Commit only once the whole string has been accepted
+    placements.forEach(({ piece, pos, orientation }) => setPiece(piece, pos, orientation));
+}
+
+function setPiece(p, pos, { u, f }) {
+    p.x = pos.x; p.y = pos.y; p.z = pos.z;
+    p.u.x = u.x; p.u.y = u.y; p.u.z = u.z;
+    p.f.x = f.x; p.f.y = f.y; p.f.z = f.z;
+}
+
+// --- SOLVED CHECK ---
+
+// Every face one colour, in any whole-cube orientation. Works for every
+// order, cuboids and the mirror cube, whose pieces follow the same logic.
+export function isSolvedFacelets(facelets, order) {
+    return faceStrings(facelets, order).every(stickers => [...stickers].every(c => c === stickers[0]));
+}
+
+// A void cube's stickers with each missing centre showing the colour of the
+// sticker above it, so the centres count neither for nor against a face.
+// Odd cubes only.
+export function hideCentres(facelets, order) {
+    const n2 = order * order, mid = (n2 - 1) / 2;
+    return [...facelets].map((c, i) => (i % n2 === mid ? facelets[i - order] : c)).join('');
+}
+
+// What is wrong with an unsolved cube, one line per face, measured against
+// the whole-cube orientation that matches the most stickers. Empty if solved.
+export function describeMismatch(facelets, order) {
+    const faces = faceStrings(facelets, order);
+    let best = null, bestScore = -1;
+    for (const orientation of ORIENTATIONS) {
+        const colours = faceColours(orientation);
+        let score = 0;
+        FACES.forEach((face, i) => {
+            for (const c of faces[i]) {
+                if (c === colours[face]) score++;
+            }
+        });
+        if (score > bestScore) {
+            best = colours;
+            bestScore = score;
+        }
+    }
+
+    const lines = [];
+    FACES.forEach((face, i) => {
+        const { cols } = faceGrid(order, face);
+        const wrong = [];
+        [...faces[i]].forEach((c, k) => {
+            if (c !== best[face]) wrong.push(`${c} at row ${Math.floor(k / cols) + 1} col ${k % cols + 1}`);
+        });
+        if (!wrong.length) return;
+        const shown = wrong.length > 4 ? [...wrong.slice(0, 4), `${wrong.length - 4} more`] : wrong;
+        lines.push(`${face} face (should be ${best[face]}): ${wrong.length}/${faces[i].length} stickers wrong - ${shown.join(', ')}`);
+    });
+    return lines;
+}
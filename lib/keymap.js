@@ -0,0 +1,91 @@
+// --- KEYBOARD KEYMAP ---
+// Default csTimer-style key bindings and helpers for keyboard turning.
+// Bindings map KeyboardEvent.code (physical key, layout independent) to an
+// algorithm in notation, so Shift does not change which key was pressed.
+
+import { parseAlgorithm } from './notation.js';
+
+export const DEFAULT_KEYMAP = {
+    KeyI: 'R', KeyK: "R'",
+    KeyJ: 'U', KeyF: "U'",
+    KeyH: 'F', KeyG: "F'",
+    KeyS: 'D', KeyL: "D'",
+    KeyD: 'L', KeyE: "L'",
+    KeyW: 'B', KeyO: "B'",
+    KeyU: 'Rw', KeyM: "Rw'",
+    KeyV: 'Lw', KeyR: "Lw'",
+    Digit5: 'M', Digit6: 'M',
+    KeyX: "M'", Period: "M'",
+    KeyT: 'x', KeyY: 'x',
+    KeyB: "x'", KeyN: "x'",
+    Semicolon: 'y', KeyA: "y'",
+    KeyP: 'z', KeyQ: "z'"
+};
+
+const CODE_LABELS = {
+    Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Minus: '-', Equal: '=',
+    Backquote: '`', Space: 'Space'
+};
+
+// Human-readable label for a KeyboardEvent.code
+export function keyLabel(code) {
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+    return code;
+}
+
+// Keep only bindings whose algorithm parses, falling back to the defaults
+// for anything unusable (e.g. a corrupted localStorage entry): not a map at
+// all, or a map none of whose bindings survive. An empty map stays empty.
+export function sanitiseKeymap(map) {
+    if (!map || typeof map !== 'object') return { ...DEFAULT_KEYMAP };
+    const entries = Object.entries(map);
+    const clean = {};
+    for (const [code, alg] of entries) {
+        if (typeof alg !== 'string' || !alg.trim()) continue;
+        try {
+            parseAlgorithm(alg);
+            clean[code] = alg;
+        } catch (e) {
+            // Skip bindings that no longer parse
+        }
+    }
+    if (entries.length && !Object.keys(clean).length) return { ...DEFAULT_KEYMAP };
+    return clean;
+}
+
+// Move the binding on key `from` to key `to` ('' for a new, empty binding)
+// without losing one already on `to`: that one swaps over to `from`, or,
+// for a new binding, stays as it is. Returns { keymap, taken } where taken
+// is the algorithm that was on `to` (null if the key was free).
+export function rebindKey(keymap, from, to) {
+    const taken = to !== from && to in keymap ? keymap[to] : null;
+    const next = { ...keymap };
+    if (!from) {
+        if (taken === null) next[to] = '';
+    } else if (to !== from) {
+        next[to] = keymap[from];
+        if (taken === null) delete next[from];
+        else next[from] = taken;
+    }
+    return { keymap: next, taken };
+}
+
+// Shift reaches one layer deeper: R → 2R, 2R → 3R, Rw → 3Rw.
+// Slices and rotations are left alone.
+export function shiftLayers(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'move':
+                if (node.from === null) return node;
+                if (node.from === node.to) return { ...node, from: node.from + 1, to: node.to + 1 };
+                return { ...node, to: node.to + 1 };
+            case 'group':
+                return { ...node, children: shiftLayers(node.children) };
+            default:
+                return { ...node, a: shiftLayers(node.a), b: shiftLayers(node.b) };
+        }
+    });
+}
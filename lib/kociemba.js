@@ -0,0 +1,348 @@
+// --- KOCIEMBA TWO-PHASE SOLVER ---
+// Self-contained implementation of Herbert Kociemba's two-phase algorithm.
+//
+// Phase 1 brings the cube into the subgroup <U, D, R2, L2, F2, B2> using
+// three coordinates: corner twist, edge flip and the position of the four
+// UD-slice edges. Phase 2 then solves the cube inside that subgroup using
+// corner permutation, U/D edge permutation and UD-slice edge permutation.
+// Both phases are IDA* searches guided by pruning tables built by BFS.
+//
+// Tables are built once on the first call (about a second on a laptop) and
+// kept in memory afterwards. exportSolverTables() and importSolverTables()
+// let the caller keep them (e.g. in IndexedDB).
+
+import { CubieCube, MOVE_CUBES, MOVE_NAMES, normaliseFacelets } from './cubie.js';
+
+const N_TWIST = 2187;       // 3^7
+const N_FLIP = 2048;        // 2^11
+const N_SLICE = 495;        // C(12, 4)
+const N_PERM_8 = 40320;     // 8!
+const N_SLICE_PERM = 24;    // 4!
+const N_MOVE = 18;
+
+// Moves allowed in phase 2: U, U2, U', D, D2, D', R2, L2, F2, B2
+const PHASE2_MOVES = [0, 1, 2, 9, 10, 11, 4, 13, 7, 16];
+const IS_PHASE2_MOVE = new Array(N_MOVE).fill(false);
+PHASE2_MOVES.forEach(m => { IS_PHASE2_MOVE[m] = true; });
+
+let tables = null;
+
+// --- COORDINATES ---
+
+function binomial(n, k) {
+    if (n < k) return 0;
+    if (k > n / 2) k = n - k;
+    let r = 1;
+    for (let i = 0; i < k; i++) r = r * (n - i) / (i + 1);
+    return Math.round(r);
+}
+
+function getTwist(c) {
+    let t = 0;
+    for (let i = 0; i < 7; i++) t = t * 3 + c.co[i];
+    return t;
+}
+
+function setTwist(c, t) {
+    let sum = 0;
+    for (let i = 6; i >= 0; i--) {
+        c.co[i] = t % 3;
+        sum += c.co[i];
+        t = Math.floor(t / 3);
+    }
+    c.co[7] = (3 - sum % 3) % 3;
+}
+
+function getFlip(c) {
+    let fl = 0;
+    for (let i = 0; i < 11; i++) fl = fl * 2 + c.eo[i];
+    return fl;
+}
+
+function setFlip(c, fl) {
+    let sum = 0;
+    for (let i = 10; i >= 0; i--) {
+        c.eo[i] = fl % 2;
+        sum += c.eo[i];
+        fl = Math.floor(fl / 2);
+    }
+    c.eo[11] = sum % 2;
+}
+
+// Positions of the FR, FL, BL, BR edges (order ignored). 0 when solved.
+function getSlice(c) {
+    let a = 0, x = 0;
+    for (let j = 11; j >= 0; j--) {
+        if (c.ep[j] >= 8) {
+            a += binomial(11 - j, x + 1);
+            x++;
+        }
+    }
+    return a;
+}
+
+function setSlice(c, a) {
+    const sliceEdges = [8, 9, 10, 11];
+    const otherEdges = [0, 1, 2, 3, 4, 5, 6, 7];
+    c.ep.fill(-1);
+    let x = 4;
+    for (let j = 0; j < 12; j++) {
+        if (x > 0 && a - binomial(11 - j, x) >= 0) {
+            c.ep[j] = sliceEdges[4 - x];
+            a -= binomial(11 - j, x);
+            x--;
+        }
+    }
+    x = 0;
+    for (let j = 0; j < 12; j++) {
+        if (c.ep[j] === -1) c.ep[j] = otherEdges[x++];
+    }
+}
+
+// Lehmer code of arr[offset .. offset + n - 1], values relative to `base`
+function getPerm(arr, offset, n) {
+    let idx = 0;
+    for (let i = 0; i < n; i++) {
+        let smaller = 0;
+        for (let j = i + 1; j < n; j++) {
+            if (arr[offset + j] < arr[offset + i]) smaller++;
+        }
+        idx = idx * (n - i) + smaller;
+    }
+    return idx;
+}
+
+function setPerm(arr, offset, n, idx, base) {
+    const digits = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        digits[i] = idx % (n - i);
+        idx = Math.floor(idx / (n - i));
+    }
+    const available = [];
+    for (let i = 0; i < n; i++) available.push(base + i);
+    for (let i = 0; i < n; i++) {
+        arr[offset + i] = available.splice(digits[i], 1)[0];
+    }
+}
+
+// --- TABLES ---
+
+// Build a move table: for every coordinate value and every move, the value
+// after the move. `moves` restricts which of the 18 moves are filled in.
+function buildMoveTable(size, set, get, multiply, moves) {
+    const table = new Uint16Array(size * N_MOVE);
+    const c = new CubieCube();
+    for (let i = 0; i < size; i++) {
+        for (const m of moves) {
+            set(c, i);
+            const base = MOVE_CUBES[Math.floor(m / 3)];
+            for (let k = 0; k <= m % 3; k++) multiply(c, base);
+            table[i * N_MOVE + m] = get(c);
+        }
+    }
+    return table;
+}
+
+// Breadth-first search over a pair of coordinates to get exact distances
+// (in moves from `moves`) to the solved pair (0, 0).
+function buildPruningTable(sizeA, sizeB, moveA, moveB, moves) {
+    const total = sizeA * sizeB;
+    const table = new Int8Array(total).fill(-1);
+    const queue = new Int32Array(total);
+    let head = 0, tail = 0;
+    table[0] = 0;
+    queue[tail++] = 0;
+    while (head < tail) {
+        const idx = queue[head++];
+        const a = Math.floor(idx / sizeB), b = idx % sizeB;
+        const d = table[idx] + 1;
+        for (const m of moves) {
+            const next = moveA[a * N_MOVE + m] * sizeB + moveB[b * N_MOVE + m];
+            if (table[next] === -1) {
+                table[next] = d;
+                queue[tail++] = next;
+            }
+        }
+    }
+    return table;
+}
+
+const ALL_MOVES = Array.from({ length: N_MOVE }, (_, i) => i);
+const corners = (c, b) => c.cornerMultiply(b);
+const edges = (c, b) => c.edgeMultiply(b);
+
+// `progress` is called with a short message before each group of tables
+export function initSolver(progress = () => {}) {
+    if (tables) return;
+
+    progress('Kociemba: building move tables...');
+    const twistMove = buildMoveTable(N_TWIST, setTwist, getTwist, corners, ALL_MOVES);
+    const flipMove = buildMoveTable(N_FLIP, setFlip, getFlip, edges, ALL_MOVES);
+    const sliceMove = buildMoveTable(N_SLICE, setSlice, getSlice, edges, ALL_MOVES);
+    const cornerPermMove = buildMoveTable(N_PERM_8,
+        (c, i) => setPerm(c.cp, 0, 8, i, 0), c => getPerm(c.cp, 0, 8), corners, PHASE2_MOVES);
+    const edgePermMove = buildMoveTable(N_PERM_8,
+        (c, i) => setPerm(c.ep, 0, 8, i, 0), c => getPerm(c.ep, 0, 8), edges, PHASE2_MOVES);
+    const slicePermMove = buildMoveTable(N_SLICE_PERM,
+        (c, i) => setPerm(c.ep, 8, 4, i, 8), c => getPerm(c.ep, 8, 4), edges, PHASE2_MOVES);
+
+    progress('Kociemba: building phase 1 pruning tables...');
+    const sliceTwistPrune = buildPruningTable(N_SLICE, N_TWIST, sliceMove, twistMove, ALL_MOVES);
+    const sliceFlipPrune = buildPruningTable(N_SLICE, N_FLIP, sliceMove, flipMove, ALL_MOVES);
+    progress('Kociemba: building phase 2 pruning tables...');
+    const cornerSlicePrune = buildPruningTable(N_PERM_8, N_SLICE_PERM, cornerPermMove, slicePermMove, PHASE2_MOVES);
+    const edgeSlicePrune = buildPruningTable(N_PERM_8, N_SLICE_PERM, edgePermMove, slicePermMove, PHASE2_MOVES);
+
+    tables = {
+        twistMove, flipMove, sliceMove, cornerPermMove, edgePermMove, slicePermMove,
+        sliceTwistPrune, sliceFlipPrune, cornerSlicePrune, edgeSlicePrune
+    };
+}
+
+export function isSolverReady() {
+    return tables !== null;
+}
+
+// Expected type and length of every table, to check imported ones
+const TABLE_SHAPES = {
+    twistMove: [Uint16Array, N_TWIST * N_MOVE],
+    flipMove: [Uint16Array, N_FLIP * N_MOVE],
+    sliceMove: [Uint16Array, N_SLICE * N_MOVE],
+    cornerPermMove: [Uint16Array, N_PERM_8 * N_MOVE],
+    edgePermMove: [Uint16Array, N_PERM_8 * N_MOVE],
+    slicePermMove: [Uint16Array, N_SLICE_PERM * N_MOVE],
+    sliceTwistPrune: [Int8Array, N_SLICE * N_TWIST],
+    sliceFlipPrune: [Int8Array, N_SLICE * N_FLIP],
+    cornerSlicePrune: [Int8Array, N_PERM_8 * N_SLICE_PERM],
+    edgeSlicePrune: [Int8Array, N_PERM_8 * N_SLICE_PERM]
+};
+
+// All tables, for caching outside this module
+export function exportSolverTables() {
+    initSolver();
+    return { ...tables };
+}
+
+// Use previously exported tables instead of building them. Returns false
+// (and builds nothing) if they don't look like this module's tables.
+export function importSolverTables(data) {
+    if (!data || typeof data !== 'object') return false;
+    for (const [name, [type, length]] of Object.entries(TABLE_SHAPES)) {
+        if (!(data[name] instanceof type) || data[name].length !== length) return false;
+    }
+    if (data.sliceTwistPrune[0] !== 0 || data.cornerSlicePrune[0] !== 0) return false;
+    if (!tables) tables = Object.fromEntries(Object.keys(TABLE_SHAPES).map(name => [name, data[name]]));
+    return true;
+}
+
+// --- SEARCH ---
+
+// Same face twice in a row is never useful, and of two opposite faces
+// only one order (e.g. U before D) needs to be searched.
+function skipFace(face, lastFace) {
+    return face === lastFace || face === lastFace - 3;
+}
+
+class TimeoutError extends Error {}
+
+// Solve a 54-character facelet string. Letters may be face names or any six
+// distinct colour letters; they are normalised against the centre stickers.
+// Returns the solution as a space-separated move string ("R U' F2 ..."),
+// an empty string if the cube is already solved. `progress` hears about
+// table building and each phase 1 depth searched.
+export function solve(facelets, { maxDepth = 22, timeout = 10000, progress = () => {} } = {}) {
+    const cube = CubieCube.fromFacelets(normaliseFacelets(facelets));
+    if (cube.isSolved()) return '';
+
+    initSolver(progress);
+    const t = tables;
+    const deadline = Date.now() + timeout;
+    let nodes = 0;
+
+    const moves = [];
+    let solution = null;
+
+    const phase2 = (cp, ep, sp, depth, lastFace) => {
+        if (cp === 0 && ep === 0 && sp === 0) return true;
+        if (depth === 0) return false;
+        for (const m of PHASE2_MOVES) {
+            const face = Math.floor(m / 3);
+            if (skipFace(face, lastFace)) continue;
+            const ncp = t.cornerPermMove[cp * N_MOVE + m];
+            const nep = t.edgePermMove[ep * N_MOVE + m];
+            const nsp = t.slicePermMove[sp * N_MOVE + m];
+            const h = Math.max(
+                t.cornerSlicePrune[ncp * N_SLICE_PERM + nsp],
+                t.edgeSlicePrune[nep * N_SLICE_PERM + nsp]
+            );
+            if (h >= depth) continue;
+            moves.push(m);
+            if (phase2(ncp, nep, nsp, depth - 1, face)) return true;
+            moves.pop();
+        }
+        return false;
+    };
+
+    const startPhase2 = (depth1) => {
+        const c = cube.clone();
+        for (const m of moves) c.move(m);
+        const cp = getPerm(c.cp, 0, 8);
+        const ep = getPerm(c.ep, 0, 8);
+        const sp = getPerm(c.ep, 8, 4);
+        const limit = Math.min(maxDepth - depth1, 18);
+        const lastFace = depth1 > 0 ? Math.floor(moves[depth1 - 1] / 3) : -1;
+        const h = Math.max(
+            t.cornerSlicePrune[cp * N_SLICE_PERM + sp],
+            t.edgeSlicePrune[ep * N_SLICE_PERM + sp]
+        );
+        for (let depth2 = h; depth2 <= limit; depth2++) {
+            if (phase2(cp, ep, sp, depth2, lastFace)) return true;
+        }
+        return false;
+    };
+
+    const phase1 = (twist, flip, slice, depth, lastFace) => {
+        if (depth === 0) {
+            if (twist !== 0 || flip !== 0 || slice !== 0) return false;
+            // A phase-2 move at the end means a shorter phase-1 solution was already tried
+            if (moves.length > 0 && IS_PHASE2_MOVE[moves[moves.length - 1]]) return false;
+            return startPhase2(moves.length);
+        }
+        if (++nodes % 10000 === 0 && Date.now() > deadline) throw new TimeoutError();
+        for (let m = 0; m < N_MOVE; m++) {
+            const face = Math.floor(m / 3);
+            if (skipFace(face, lastFace)) continue;
+            const ntwist = t.twistMove[twist * N_MOVE + m];
+            const nflip = t.flipMove[flip * N_MOVE + m];
+            const nslice = t.sliceMove[slice * N_MOVE + m];
+            const h = Math.max(
+                t.sliceTwistPrune[nslice * N_TWIST + ntwist],
+                t.sliceFlipPrune[nslice * N_FLIP + nflip]
+            );
+            if (h >= depth) continue;
+            moves.push(m);
+            if (phase1(ntwist, nflip, nslice, depth - 1, face)) return true;
+            moves.pop();
+        }
+        return false;
+    };
+
+    const twist = getTwist(cube), flip = getFlip(cube), slice = getSlice(cube);
+    try {
+        for (let depth1 = 0; depth1 <= maxDepth; depth1++) {
+            progress(`Kociemba: searching phase 1 at depth ${depth1}...`);
+            if (phase1(twist, flip, slice, depth1, -1)) {
+                solution = moves.map(m => MOVE_NAMES[m]).join(' ');
+                break;
+            }
+        }
+    } catch (error) {
+        if (error instanceof TimeoutError) {
+            throw new Error(`No solution within ${maxDepth} moves found in ${timeout}ms.`);
+        }
+        throw error;
+    }
+
+    if (solution === null) throw new Error(`No solution within ${maxDepth} moves.`);
+    return solution;
+}
@@ -0,0 +1,351 @@
+// --- MOVE NOTATION ---
+// Parser and printer for WCA/SiGN notation, plus expansion into the internal
+// { axis, slice, dir } moves for an order-N cube or a cuboid (lib/cuboid.js).
+// No DOM, no Three.js.
+//
+// Supported:
+//   R U' F2 R2'          face turns with any amount
+//   Rw 3Rw r 3r          wide turns (outer layers up to the given depth)
+//   2R 2-3Rw             inner slices / layer ranges on big cubes
+//   M E S                all layers between the two outer faces
+//   x y z                whole-cube rotations (one move with a null slice)
+//   (R U R' U')3         grouping with repetition (and ' to invert)
+//   [R, U] [F: R U R']   commutators and conjugates
+//   // comment           ignored to the end of the line
+
+import { turnDir } from './sequence.js';
+import { dimsOf, isCuboid, quarterTurns, sizeName } from './cuboid.js';
+
+// axis/sign say which layer is outermost, dir is the rotation sign of a
+// clockwise quarter turn around the positive axis (right-hand rule)
+const FACE_AXES = {
+    U: { axis: 'y', sign: 1, dir: -1 },
+    D: { axis: 'y', sign: -1, dir: 1 },
+    R: { axis: 'x', sign: 1, dir: -1 },
+    L: { axis: 'x', sign: -1, dir: 1 },
+    F: { axis: 'z', sign: 1, dir: -1 },
+    B: { axis: 'z', sign: -1, dir: 1 }
+};
+
+// Slices follow L, D and F; rotations follow R, U and F
+const SLICE_AXES = { M: FACE_AXES.L, E: FACE_AXES.D, S: FACE_AXES.F };
+const ROTATION_AXES = { x: FACE_AXES.R, y: FACE_AXES.U, z: FACE_AXES.F };
+
+export class NotationError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at position ${position + 1})`);
+        this.name = 'NotationError';
+        this.position = position;
+    }
+}
+
+// --- PARSER ---
+
+// Returns a list of nodes:
+//   { type: 'move', family: 'R', from: 1, to: 1, amount: 1 }
+//   { type: 'group', children: [...], amount: 3 }
+//   { type: 'commutator', a: [...], b: [...], amount: 1 }
+//   { type: 'conjugate', a: [...], b: [...], amount: 1 }
+// `from`/`to` are 1-based layer numbers counted from the named face; they are
+// null for slices and rotations.
+export function parseAlgorithm(input) {
+    const src = String(input).replace(/[’‘`]/g, "'");
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < src.length) {
+            if (/\s/.test(src[pos])) {
+                pos++;
+            } else if (src.startsWith('//', pos)) {
+                while (pos < src.length && src[pos] !== '\n') pos++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const readNumber = () => {
+        const start = pos;
+        while (pos < src.length && /[0-9]/.test(src[pos])) pos++;
+        return pos > start ? parseInt(src.slice(start, pos), 10) : null;
+    };
+
+    // Optional repetition count and/or prime
+    const readAmount = () => {
+        const n = readNumber();
+        let amount = n === null ? 1 : n;
+        if (src[pos] === "'") {
+            amount = -amount;
+            pos++;
+        }
+        return amount;
+    };
+
+    const parseMove = () => {
+        const start = pos;
+        let from = null, to = null;
+        const first = readNumber();
+        if (first !== null) {
+            if (src[pos] === '-') {
+                pos++;
+                const second = readNumber();
+                if (second === null) throw new NotationError('Expected a layer number after "-"', pos);
+                from = first;
+                to = second;
+            } else {
+                to = first;
+            }
+        }
+
+        const letter = src[pos];
+        if (letter === undefined) throw new NotationError('Expected a move', pos);
+        pos++;
+        let family, wide = false;
+        if (FACE_AXES[letter]) {
+            family = letter;
+            if (src[pos] === 'w') {
+                wide = true;
+                pos++;
+            }
+        } else if (FACE_AXES[letter.toUpperCase()] && letter !== letter.toUpperCase()) {
+            family = letter.toUpperCase();
+            wide = true;
+        } else if (SLICE_AXES[letter] || ROTATION_AXES[letter]) {
+            if (to !== null) throw new NotationError(`"${letter}" cannot take a layer prefix`, start);
+            return { type: 'move', family: letter, from: null, to: null, amount: readAmount() };
+        } else {
+            throw new NotationError(`Unexpected "${letter}"`, pos - 1);
+        }
+
+        if (from !== null && !wide) throw new NotationError('Layer ranges need a wide move (e.g. 2-3Rw)', start);
+        if (from === null) {
+            if (wide) {
+                from = 1;
+                to = to === null ? 2 : to;
+            } else {
+                from = to === null ? 1 : to;
+                to = from;
+            }
+        }
+        if (from < 1 || to < from) throw new NotationError(`Invalid layer range ${from}-${to}`, start);
+        return { type: 'move', family, from, to, amount: readAmount() };
+    };
+
+    const parseSequence = (terminators) => {
+        const nodes = [];
+        for (;;) {
+            skipSpace();
+            if (pos >= src.length || terminators.includes(src[pos])) return nodes;
+            const ch = src[pos];
+            if (ch === '(') {
+                const start = pos++;
+                const children = parseSequence([')']);
+                if (src[pos] !== ')') throw new NotationError('Unclosed "("', start);
+                pos++;
+                nodes.push({ type: 'group', children, amount: readAmount() });
+            } else if (ch === '[') {
+                const start = pos++;
+                const a = parseSequence([',', ':', ']']);
+                const sep = src[pos];
+                if (sep !== ',' && sep !== ':') throw new NotationError('Expected "," or ":" inside "[...]"', pos);
+                pos++;
+                const b = parseSequence([']']);
+                if (src[pos] !== ']') throw new NotationError('Unclosed "["', start);
+                pos++;
+                nodes.push({ type: sep === ',' ? 'commutator' : 'conjugate', a, b, amount: readAmount() });
+            } else if (ch === ')' || ch === ']' || ch === ',' || ch === ':') {
+                throw new NotationError(`Unexpected "${ch}"`, pos);
+            } else {
+                nodes.push(parseMove());
+            }
+        }
+    };
+
+    const nodes = parseSequence([]);
+    return nodes;
+}
+
+// --- PRINTER ---
+
+function formatAmount(amount) {
+    if (amount === 1) return '';
+    if (amount === -1) return "'";
+    return amount >= 0 ? `${amount}` : `${-amount}'`;
+}
+
+function formatMove(node) {
+    if (node.from === null) return node.family + formatAmount(node.amount);
+    let prefix;
+    if (node.from === node.to) {
+        prefix = (node.from === 1 ? '' : node.from) + node.family;
+    } else if (node.from === 1) {
+        prefix = (node.to === 2 ? '' : node.to) + node.family + 'w';
+    } else {
+        prefix = `${node.from}-${node.to}${node.family}w`;
+    }
+    return prefix + formatAmount(node.amount);
+}
+
+export function formatAlgorithm(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'move':
+                return formatMove(node);
+            case 'group':
+                return `(${formatAlgorithm(node.children)})${formatAmount(node.amount)}`;
+            case 'commutator':
+                return `[${formatAlgorithm(node.a)}, ${formatAlgorithm(node.b)}]${formatAmount(node.amount)}`;
+            case 'conjugate':
+                return `[${formatAlgorithm(node.a)}: ${formatAlgorithm(node.b)}]${formatAmount(node.amount)}`;
+            default:
+                throw new NotationError(`Unknown node type "${node.type}"`);
+        }
+    }).join(' ');
+}
+
+// --- TRANSFORMS ---
+
+export function invertAlgorithm(nodes) {
+    return nodes.slice().reverse().map(node => ({ ...node, amount: -node.amount }));
+}
+
+function repeat(moves, amount) {
+    const seq = amount < 0 ? invertMoves(moves) : moves;
+    const out = [];
+    for (let i = 0; i < Math.abs(amount); i++) out.push(...seq);
+    return out;
+}
+
+function invertMoves(moves) {
+    return moves.slice().reverse().map(m => ({ ...m, amount: -m.amount }));
+}
+
+// Flatten groups, commutators and conjugates into plain move nodes
+export function expandAlgorithm(nodes) {
+    const out = [];
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'move':
+                out.push({ ...node });
+                break;
+            case 'group':
+                out.push(...repeat(expandAlgorithm(node.children), node.amount));
+                break;
+            case 'commutator': {
+                const a = expandAlgorithm(node.a), b = expandAlgorithm(node.b);
+                out.push(...repeat([...a, ...b, ...invertMoves(a), ...invertMoves(b)], node.amount));
+                break;
+            }
+            case 'conjugate': {
+                const a = expandAlgorithm(node.a), b = expandAlgorithm(node.b);
+                out.push(...repeat([...a, ...b, ...invertMoves(a)], node.amount));
+                break;
+            }
+            default:
+                throw new NotationError(`Unknown node type "${node.type}"`);
+        }
+    }
+    return out;
+}
+
+// Slice coordinates (-o..o) turned by a move node on an order-N cube or a
+// cuboid; [null] for a rotation, which turns the whole cube as one move
+function sliceRange(node, order) {
+    if (ROTATION_AXES[node.family]) return { spec: ROTATION_AXES[node.family], slices: [null] };
+    const name = formatMove({ ...node, amount: 1 });
+    let spec, layers = [];
+    if (SLICE_AXES[node.family]) {
+        spec = SLICE_AXES[node.family];
+        const n = dimsOf(order)[spec.axis];
+        for (let k = 2; k < n; k++) layers.push(k);
+        if (!layers.length) throw new NotationError(`"${name}" needs a cube with inner layers`);
+    } else {
+        spec = FACE_AXES[node.family];
+        const n = dimsOf(order)[spec.axis];
+        if (node.to > n) {
+            throw new NotationError(isCuboid(order)
+                ? `"${name}" needs ${node.to} layers along ${spec.axis}; the ${sizeName(order)} has ${n}`
+                : `"${name}" needs at least a ${node.to}x${node.to} cube`);
+        }
+        for (let k = node.from; k <= node.to; k++) layers.push(k);
+    }
+    const o = (dimsOf(order)[spec.axis] - 1) / 2;
+    return { spec, slices: layers.map(k => spec.sign * (o - (k - 1))) };
+}
+
+// Expand an algorithm (string or parsed nodes) into moves { axis, slice,
+// dir } for an order-N cube, in execution order: one move per layer, with
+// a half turn as a single move of dir ±2 (the sign only matters for the
+// animation direction). On a cuboid, a quarter turn of a layer without
+// square faces is an error.
+export function algorithmToMoves(alg, order) {
+    const nodes = typeof alg === 'string' ? parseAlgorithm(alg) : alg;
+    const moves = [];
+    for (const node of expandAlgorithm(nodes)) {
+        const { spec, slices } = sliceRange(node, order);
+        const turn = turnDir(node.amount);
+        if (turn === 0) continue;
+        if (turn % 2 && !quarterTurns(order, spec.axis)) {
+            const name = formatMove({ ...node, amount: 1 });
+            throw new NotationError(`"${name}" only turns 180° on a ${sizeName(order)}; use ${formatMove({ ...node, amount: 2 })}`);
+        }
+        slices.forEach(slice => moves.push({ axis: spec.axis, slice, dir: spec.dir * turn }));
+    }
+    return moves;
+}
+
+// Name internal { axis, slice, dir } moves in notation, the inverse of
+// algorithmToMoves. Consecutive turns of the same layer are merged, so R R
+// becomes R2, and neighbouring layers turned the same way one after another
+// print as one block, short of every layer of the axis: Rw, 3Rw, 2-3Rw, and
+// M/E/S for all the inner layers. Other blocks are counted from the nearer
+// face (2R, 2L, ...); the middle layer of an odd cube bigger than a 3x3 is
+// counted from R, U or F.
+export function movesToAlgorithm(moves, order) {
+    const dims = dimsOf(order);
+    const merged = [];
+    for (const m of moves) {
+        const last = merged[merged.length - 1];
+        if (last && last.axis === m.axis && last.slice === m.slice) {
+            last.quarters += m.dir;
+            if (((last.quarters % 4) + 4) % 4 === 0) merged.pop();
+        } else {
+            merged.push({ axis: m.axis, slice: m.slice, quarters: m.dir });
+        }
+    }
+
+    // { axis, low, high, quarters }: slices low..high, null for a rotation
+    const blocks = [];
+    for (const { axis, slice, quarters } of merged) {
+        const last = blocks[blocks.length - 1];
+        if (last && slice !== null && last.low !== null && last.axis === axis &&
+            ((last.quarters - quarters) % 4 + 4) % 4 === 0 &&
+            (slice === last.low - 1 || slice === last.high + 1) && last.high - last.low + 2 < dims[axis]) {
+            last.low = Math.min(last.low, slice);
+            last.high = Math.max(last.high, slice);
+        } else {
+            blocks.push({ axis, low: slice, high: slice, quarters });
+        }
+    }
+
+    return blocks.map(({ axis, low, high, quarters }) => {
+        const o = (dims[axis] - 1) / 2;
+        let family, from = null, to = null, spec;
+        if (low === null) {
+            family = Object.keys(ROTATION_AXES).find(f => ROTATION_AXES[f].axis === axis);
+            spec = ROTATION_AXES[family];
+        } else if (low === 1 - o && high === o - 1) {
+            family = Object.keys(SLICE_AXES).find(f => SLICE_AXES[f].axis === axis);
+            spec = SLICE_AXES[family];
+        } else {
+            const sign = low + high < 0 ? -1 : 1;
+            family = Object.keys(FACE_AXES).find(f => FACE_AXES[f].axis === axis && FACE_AXES[f].sign === sign);
+            from = o - sign * (sign > 0 ? high : low) + 1;
+            to = o - sign * (sign > 0 ? low : high) + 1;
+            spec = FACE_AXES[family];
+        }
+        const q = ((quarters * spec.dir) % 4 + 4) % 4;
+        const amount = q === 3 ? -1 : q;
+        return formatMove({ type: 'move', family, from, to, amount });
+    }).join(' ');
+}
@@ -0,0 +1,82 @@
+// --- PATTERNS ---
+// Pretty patterns for every order, and the user's own saved ones. A pattern
+// is an algorithm in notation played on a solved cube, so it works with the
+// move queue, the history, share links and the solvers like any scramble.
+//
+// A saved pattern is { name, puzzle, alg } where puzzle is a #puzzle-type
+// value ('3', 'mirror', ...) from lib/share.js.
+
+import { algorithmToMoves } from './notation.js';
+import { parsePuzzle } from './share.js';
+import { dimsOf, isCuboid } from './cuboid.js';
+
+const SUPERFLIP = "U R2 F B R B2 R U2 L B2 R U' D' R2 F R' L B2 U2 F2";
+const CUBE_IN_CUBE = "F L F U' R U F2 L2 U' L' B D' B' L2 U";
+const SIX_SPOTS = "U D' R L' F B' U D'";
+
+// Half turns of every other layer on all three axes: a checkerboard of
+// single stickers on odd cubes. Even cubes have no such pattern, so they
+// get the outer layers only and the pieces form the checks. Cuboids count
+// the layers of each axis the same way.
+function checkerboard(order) {
+    const dims = dimsOf(order);
+    const axisTurns = (near, far, n) => {
+        const layers = n % 2 ? Array.from({ length: (n + 1) / 2 }, (_, i) => 2 * i + 1) : [1, n];
+        return layers.map(layer => {
+            if (layer * 2 <= n + 1) return `${layer > 1 ? layer : ''}${near}2`;
+            const fromFar = n + 1 - layer;
+            return `${fromFar > 1 ? fromFar : ''}${far}2`;
+        });
+    };
+    return [['R', 'L', 'x'], ['U', 'D', 'y'], ['F', 'B', 'z']]
+        .flatMap(([near, far, axis]) => axisTurns(near, far, dims[axis]))
+        .join(' ');
+}
+
+// Built-in patterns for an order, { name, alg }. Outer-layer algorithms of
+// the 3x3 make the same picture on bigger cubes with fatter pieces.
+export function builtInPatterns(order) {
+    if (order === 2) return [{ name: 'Stripes', alg: 'R2 U2' }];
+    if (isCuboid(order)) return [{ name: 'Checkerboard', alg: checkerboard(order) }];
+    const patterns = [
+        { name: 'Checkerboard', alg: checkerboard(order) },
+        { name: 'Superflip', alg: SUPERFLIP },
+        { name: 'Cube in cube', alg: CUBE_IN_CUBE },
+        { name: 'Six spots', alg: SIX_SPOTS }
+    ];
+    if (order === 3) {
+        patterns.push(
+            { name: 'Cube in cube in cube', alg: "U' L' U' F' R2 B' R F U B2 U B' L U' F U R F'" },
+            { name: 'Crosses', alg: 'U2 R2 L2 U2 R2 L2' },
+            { name: 'Tetris', alg: "L R F B U' D' L' R'" }
+        );
+    }
+    if (order === 5) {
+        // Wide turns keep a 3x3x3 block in the corner instead of a 4x4x4
+        patterns.push({ name: 'Small cube in cube', alg: CUBE_IN_CUBE.replace(/([URFDLB])/g, '$1w') });
+    }
+    return patterns;
+}
+
+const MAX_NAME_LENGTH = 40;
+
+// Saved patterns from localStorage with unusable entries dropped. Names
+// are unique per puzzle.
+export function sanitisePatterns(data) {
+    if (!Array.isArray(data)) return [];
+    const patterns = [];
+    for (const entry of data) {
+        if (!entry || typeof entry.name !== 'string' || typeof entry.alg !== 'string') continue;
+        const name = entry.name.trim().slice(0, MAX_NAME_LENGTH);
+        const puzzle = parsePuzzle(entry.puzzle);
+        if (!name || !puzzle) continue;
+        if (patterns.some(p => p.puzzle === entry.puzzle && p.name === name)) continue;
+        try {
+            algorithmToMoves(entry.alg, puzzle.order);
+        } catch (error) {
+            continue;
+        }
+        patterns.push({ name, puzzle: entry.puzzle, alg: entry.alg });
+    }
+    return patterns;
+}
@@ -0,0 +1,73 @@
+// --- PLAYBACK ---
+// Step-by-step playback of an algorithm or a solution: one step per move
+// of the expanded notation (R2 and [R, U] are played as R2, then R, U,
+// R', U'), with a position that can go forward, back or jump anywhere.
+// No DOM: script.js queues the moves each call returns.
+
+import { algorithmToMoves, expandAlgorithm, formatAlgorithm, parseAlgorithm } from './notation.js';
+
+// The same turns undone, last first
+export function invertMoves(moves) {
+    return moves.slice().reverse().map(m => ({ ...m, dir: -m.dir }));
+}
+
+// [{ notation, moves }] for an algorithm on an order-N cube. Throws a
+// NotationError like algorithmToMoves.
+export function playbackSteps(alg, order) {
+    return expandAlgorithm(parseAlgorithm(alg)).map(node => ({
+        notation: formatAlgorithm([node]),
+        moves: algorithmToMoves([node], order)
+    }));
+}
+
+// Whether a solve still holds the cube, so hand turns and typed algorithms
+// wait: its solver is thinking or its solution is playing. A paused solution
+// leaves the cube to the user. `playback` is script.js's { kind, playing }.
+export function solveHoldsCube(solving, playback) {
+    return solving && (playback?.kind !== 'solve' || playback.playing);
+}
+
+export class Playback {
+    constructor(steps) {
+        this.steps = steps;
+        this.position = 0;    // steps played so far
+    }
+
+    get atStart() {
+        return this.position === 0;
+    }
+
+    get atEnd() {
+        return this.position === this.steps.length;
+    }
+
+    // Moves of the next step, or null at the end
+    forward() {
+        if (this.atEnd) return null;
+        return this.steps[this.position++].moves;
+    }
+
+    // Moves that undo the last step, or null at the start
+    back() {
+        if (this.atStart) return null;
+        return invertMoves(this.steps[--this.position].moves);
+    }
+
+    // Moves from here to `position` (clamped), forwards or undoing
+    seek(position) {
+        const target = Math.max(0, Math.min(this.steps.length, position));
+        const moves = [];
+        while (this.position < target) moves.push(...this.forward());
+        while (this.position > target) moves.push(...this.back());
+        return moves;
+    }
+
+    // Moves of the steps played so far, and of the steps still to play
+    movesBefore() {
+        return this.steps.slice(0, this.position).flatMap(s => s.moves);
+    }
+
+    movesAfter() {
+        return this.steps.slice(this.position).flatMap(s => s.moves);
+    }
+}
@@ -0,0 +1,248 @@
+// --- OPTIMAL 2×2 SOLVER ---
+// Exact distance tables for the pocket cube. With the DBL corner held fixed
+// every state is reached by U, R and F turns alone, which leaves
+// 7! · 3^6 = 3,674,160 states: few enough for a full breadth-first search.
+// One table counts half turns (HTM), one quarter turns (QTM); a shortest
+// solution then just follows any move that lowers the distance by one.
+//
+// Building both tables takes about a second. exportPocketTables() and
+// importPocketTables() let the caller keep them (e.g. in IndexedDB).
+
+import { CubieCube, CORNER_FACELETS, FACES } from './cubie.js';
+import { algorithmToMoves, movesToAlgorithm } from './notation.js';
+import { applyMoves, movesPermutation } from './stickers.js';
+
+const N_PERM = 5040;        // 7!
+const N_TWIST = 729;        // 3^6
+const N_STATES = N_PERM * N_TWIST;
+const UNKNOWN = 255;
+
+// Corner slots other than DBL (slot 6), which never moves
+const SLOTS = [0, 1, 2, 3, 4, 5, 7];
+
+// U, U2, U', R, R2, R', F, F2, F' as CubieCube move indices (3 * face + power)
+const MOVES = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+const QUARTER_MOVES = [0, 2, 3, 5, 6, 8];
+const MOVE_NAMES = ['U', 'U2', "U'", 'R', 'R2', "R'", 'F', 'F2', "F'"];
+
+// The 24 whole-cube rotations, as algorithms
+const ROTATIONS = ['', 'y', 'y2', "y'"].flatMap(y => ['', 'x', 'x2', "x'", 'z', "z'"].map(r => `${y} ${r}`.trim()));
+
+let tables = null;
+
+// --- COORDINATES ---
+
+function getPerm(cp) {
+    const values = SLOTS.map(s => (cp[s] === 7 ? 6 : cp[s]));
+    let idx = 0;
+    for (let i = 0; i < 7; i++) {
+        let smaller = 0;
+        for (let j = i + 1; j < 7; j++) {
+            if (values[j] < values[i]) smaller++;
+        }
+        idx = idx * (7 - i) + smaller;
+    }
+    return idx;
+}
+
+function setPerm(c, idx) {
+    const digits = new Array(7);
+    for (let i = 6; i >= 0; i--) {
+        digits[i] = idx % (7 - i);
+        idx = Math.floor(idx / (7 - i));
+    }
+    const available = [0, 1, 2, 3, 4, 5, 7];
+    SLOTS.forEach((s, i) => { c.cp[s] = available.splice(digits[i], 1)[0]; });
+    c.cp[6] = 6;
+}
+
+function getTwist(co) {
+    let t = 0;
+    for (let i = 0; i < 6; i++) t = t * 3 + co[i];
+    return t;
+}
+
+function setTwist(c, t) {
+    let sum = 0;
+    for (let i = 5; i >= 0; i--) {
+        c.co[i] = t % 3;
+        sum += c.co[i];
+        t = Math.floor(t / 3);
+    }
+    c.co[6] = 0;
+    c.co[7] = (3 - sum % 3) % 3;
+}
+
+function moveTable(size, set, get) {
+    const table = new Uint16Array(size * MOVES.length);
+    const c = new CubieCube();
+    for (let i = 0; i < size; i++) {
+        MOVES.forEach((m, k) => {
+            set(c, i);
+            c.move(m);
+            table[i * MOVES.length + k] = get(c);
+        });
+    }
+    return table;
+}
+
+// --- TABLES ---
+
+function distanceTable(permMove, twistMove, moves) {
+    const dist = new Uint8Array(N_STATES).fill(UNKNOWN);
+    const queue = new Uint32Array(N_STATES);
+    let head = 0, tail = 0;
+    dist[0] = 0;
+    queue[tail++] = 0;
+    while (head < tail) {
+        const idx = queue[head++];
+        const p = Math.floor(idx / N_TWIST), t = idx % N_TWIST;
+        const d = dist[idx] + 1;
+        for (const m of moves) {
+            const next = permMove[p * MOVES.length + m] * N_TWIST + twistMove[t * MOVES.length + m];
+            if (dist[next] === UNKNOWN) {
+                dist[next] = d;
+                queue[tail++] = next;
+            }
+        }
+    }
+    return dist;
+}
+
+function moveTables() {
+    return {
+        permMove: moveTable(N_PERM, setPerm, c => getPerm(c.cp)),
+        twistMove: moveTable(N_TWIST, setTwist, c => getTwist(c.co))
+    };
+}
+
+// `progress` is called with a short message before each table
+export function initPocketSolver(progress = () => {}) {
+    if (tables) return;
+    const { permMove, twistMove } = moveTables();
+    progress('2x2: building half-turn distance table...');
+    const htm = distanceTable(permMove, twistMove, MOVES.map((_, k) => k));
+    progress('2x2: building quarter-turn distance table...');
+    const qtm = distanceTable(permMove, twistMove, QUARTER_MOVES);
+    tables = { permMove, twistMove, htm, qtm };
+}
+
+export function isPocketSolverReady() {
+    return tables !== null;
+}
+
+// The distance tables, for caching outside this module
+export function exportPocketTables() {
+    initPocketSolver();
+    return { htm: tables.htm, qtm: tables.qtm };
+}
+
+// Use previously exported tables instead of building them. Returns false
+// (and builds nothing) if they don't look like this module's tables.
+export function importPocketTables(data) {
+    if (tables) return true;
+    if (!data || !(data.htm instanceof Uint8Array) || !(data.qtm instanceof Uint8Array)) return false;
+    if (data.htm.length !== N_STATES || data.qtm.length !== N_STATES || data.htm[0] !== 0 || data.qtm[0] !== 0) return false;
+    tables = { ...moveTables(), htm: data.htm, qtm: data.qtm };
+    return true;
+}
+
+// --- SOLVE ---
+
+// 2×2 sticker index of 3×3 facelet i (the 2×2 has only the corner stickers)
+function pocketIndex(i) {
+    const face = Math.floor(i / 9), n = i % 9;
+    return face * 4 + (Math.floor(n / 3) / 2) * 2 + (n % 3) / 2;
+}
+
+// Rotate the whole cube so DBL is home. Returns the rotation moves and the
+// rotated facelets.
+function normalise(facelets) {
+    const dbl = CORNER_FACELETS[6].map(pocketIndex);
+    for (const rotation of ROTATIONS) {
+        const moves = algorithmToMoves(rotation, 2);
+        const rotated = applyMoves(facelets, moves, 2);
+        if (rotated[dbl[0]] === 'D' && rotated[dbl[1]] === 'B' && rotated[dbl[2]] === 'L') {
+            return { moves, facelets: rotated };
+        }
+    }
+    throw new Error('The cube has no DBL corner.');
+}
+
+// Corner state of a normalised 2×2 as a CubieCube
+function toCubie(facelets) {
+    let full = '';
+    for (let i = 0; i < 54; i++) {
+        const n = i % 9;
+        const corner = n % 3 !== 1 && Math.floor(n / 3) !== 1;
+        full += corner ? facelets[pocketIndex(i)] : FACES[Math.floor(i / 9)];
+    }
+    const cube = CubieCube.fromFacelets(full, { checkParity: false });
+    if (cube.co.reduce((a, b) => a + b, 0) % 3 !== 0) throw new Error('A corner is twisted.');
+    return cube;
+}
+
+function search(dist, moves, p, t) {
+    const out = [];
+    let idx = p * N_TWIST + t;
+    while (dist[idx] > 0) {
+        for (const k of moves) {
+            const np = tables.permMove[p * MOVES.length + k];
+            const nt = tables.twistMove[t * MOVES.length + k];
+            if (dist[np * N_TWIST + nt] === dist[idx] - 1) {
+                out.push(MOVE_NAMES[k]);
+                p = np;
+                t = nt;
+                idx = p * N_TWIST + t;
+                break;
+            }
+        }
+    }
+    return out.join(' ');
+}
+
+// A move of the rotated cube, seen on the real one: the single layer turn
+// with the same effect as rotation, move, rotation undone
+function unrotate(moves, rotation) {
+    const undo = rotation.slice().reverse().map(m => ({ ...m, dir: -m.dir }));
+    const candidates = [];
+    for (const axis of ['x', 'y', 'z']) {
+        for (const slice of [-0.5, 0.5]) {
+            for (const dir of [1, -1, 2]) candidates.push({ axis, slice, dir });
+        }
+    }
+    return moves.map(move => {
+        const perm = movesPermutation(2, [...rotation, move, ...undo]).join(',');
+        return candidates.find(c => movesPermutation(2, [c]).join(',') === perm);
+    });
+}
+
+// Solve a 24-character 2×2 facelet string (URFDLB, 4 stickers per face, as
+// produced by VirtualCube.toFacelets()) in any whole-cube orientation.
+// Returns { htm, qtm }: a shortest solution in each metric as an algorithm
+// for the cube as it is, and its length. Solutions are '' if solved.
+// `progress` hears about table building.
+export function solvePocket(facelets, { progress } = {}) {
+    if (typeof facelets !== 'string' || facelets.length !== 24) {
+        throw new Error(`Facelet string for 2x2 must have 24 characters (got ${facelets?.length || 0}).`);
+    }
+    for (const face of FACES) {
+        const count = facelets.split(face).length - 1;
+        if (count !== 4) throw new Error(`Face colour ${face} appears ${count} times (need 4).`);
+    }
+
+    const { moves: rotation, facelets: rotated } = normalise(facelets);
+    const cube = toCubie(rotated);
+    initPocketSolver(progress);
+    const p = getPerm(cube.cp), t = getTwist(cube.co);
+
+    const result = (dist, moves) => {
+        const solution = search(dist, moves, p, t);
+        const real = unrotate(algorithmToMoves(solution, 2), rotation);
+        return { solution: movesToAlgorithm(real, 2), length: dist[p * N_TWIST + t] };
+    };
+    return {
+        htm: result(tables.htm, MOVES.map((_, k) => k)),
+        qtm: result(tables.qtm, QUARTER_MOVES)
+    };
+}
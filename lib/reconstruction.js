@@ -0,0 +1,142 @@
+// --- SOLVE RECONSTRUCTION ---
+// Records hand turns with timestamps and splits a 3×3 solve into CFOP steps
+// (cross, four F2L pairs, OLL, PLL) by looking at the stickers after every
+// move. Other orders get totals only. No DOM: script.js feeds the moves.
+//
+// A step is complete when its pieces are solved relative to the centres.
+// The cross is taken on whichever face finishes one first (D preferred) and
+// then followed by its centre colour, since rotations and slice moves carry
+// it to another face. Every later step needs the earlier ones intact.
+// Several steps can finish on one move, e.g. an OLL skip.
+
+import { CORNER_FACELETS, EDGE_FACELETS } from './cubie.js';
+import { isSolvedFacelets } from './facelets.js';
+import { expandAlgorithm, parseAlgorithm } from './notation.js';
+import { applyMoves } from './stickers.js';
+import { formatTime } from './timer.js';
+
+export const CFOP_STEPS = ['Cross', 'F2L 1', 'F2L 2', 'F2L 3', 'F2L 4', 'OLL', 'PLL'];
+
+// Cross faces in the order they are tried: D, U, then the sides
+const CROSS_FACES = [3, 0, 1, 2, 4, 5];
+
+const faceOf = i => Math.floor(i / 9);
+const onFace = (stickers, face) => stickers.some(i => faceOf(i) === face);
+
+// Every sticker of the piece matches the centre of the face it is on
+function pieceSolved(facelets, stickers) {
+    return stickers.every(i => facelets[i] === facelets[faceOf(i) * 9 + 4]);
+}
+
+// Pieces of each CFOP step for a cross on `face`
+function cfopPieces(face) {
+    const opposite = (face + 3) % 6;
+    const cross = EDGE_FACELETS.filter(e => onFace(e, face));
+    // An F2L slot is a corner on the cross face and the middle-layer edge
+    // sharing its two side faces
+    const pairs = CORNER_FACELETS.filter(c => onFace(c, face)).map(corner => {
+        const sides = corner.map(faceOf).filter(f => f !== face);
+        const edge = EDGE_FACELETS.find(e => e.every(i => sides.includes(faceOf(i))));
+        return [...corner, ...edge];
+    });
+    const lastLayer = Array.from({ length: 9 }, (_, n) => opposite * 9 + n);
+    return { cross: cross.flat(), pairs, lastLayer };
+}
+
+const PIECES = Array.from({ length: 6 }, (_, face) => cfopPieces(face));
+
+// Number of CFOP steps done for a cross on `face`, in order
+export function cfopProgress(facelets, face) {
+    const { cross, pairs, lastLayer } = PIECES[face];
+    if (!pieceSolved(facelets, cross)) return 0;
+    const solvedPairs = pairs.filter(p => pieceSolved(facelets, p)).length;
+    if (solvedPairs < 4) return 1 + solvedPairs;
+    if (!lastLayer.every(i => facelets[i] === facelets[lastLayer[4]])) return 5;
+    return isSolvedFacelets(facelets, 3) ? 7 : 6;
+}
+
+// Turns in an algorithm, not counting rotations
+export function countMoves(alg) {
+    return expandAlgorithm(parseAlgorithm(alg)).filter(m => !'xyz'.includes(m.family)).length;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const tps = (moves, ms) => (ms > 0 ? (moves / (ms / 1000)).toFixed(2) : '-');
+
+export class SolveRecorder {
+    // facelets: the state the solve starts from. start: clock time (ms,
+    // e.g. performance.now()) the solve began; the first move if omitted.
+    constructor(facelets, order, { scramble = '', start = null } = {}) {
+        this.order = order;
+        this.facelets = facelets;
+        this.scramble = scramble;
+        this.start = start;
+        this.moves = [];        // [{ notation, time }], time in ms from start
+        this.splits = [];       // [{ name, end, time }]: moves[0..end) finish the step at `time`
+        this.crossColour = null;   // centre colour of the cross face
+        this.solved = false;
+    }
+
+    // One hand turn: its notation, the { axis, slice, dir } moves it made and
+    // the clock time. Returns true once the cube is solved.
+    record(notation, moves, time) {
+        if (this.solved) return true;
+        if (this.start === null) this.start = time;
+        this.moves.push({ notation, time: time - this.start });
+        this.facelets = applyMoves(this.facelets, moves, this.order);
+        if (this.order === 3) this.updateSplits();
+        this.solved = isSolvedFacelets(this.facelets, this.order);
+        return this.solved;
+    }
+
+    updateSplits() {
+        const centre = face => this.facelets[face * 9 + 4];
+        if (this.crossColour === null) {
+            const face = CROSS_FACES.find(f => cfopProgress(this.facelets, f) > 0);
+            if (face === undefined) return;
+            this.crossColour = centre(face);
+        }
+        const crossFace = CROSS_FACES.find(face => centre(face) === this.crossColour);
+        const done = cfopProgress(this.facelets, crossFace);
+        const last = this.moves[this.moves.length - 1];
+        while (this.splits.length < done) {
+            this.splits.push({ name: CFOP_STEPS[this.splits.length], end: this.moves.length, time: last.time });
+        }
+    }
+
+    // { time, moves, tps, steps: [{ name, solution, moves, time, tps }] }.
+    // Without CFOP splits (other orders) the whole solve is one step.
+    summary() {
+        const time = this.moves.length ? this.moves[this.moves.length - 1].time : 0;
+        const splits = this.splits.length ? this.splits : [{ name: 'Solution', end: this.moves.length, time }];
+        const steps = [];
+        let from = 0, since = 0;
+        for (const split of splits) {
+            const solution = this.moves.slice(from, split.end).map(m => m.notation).join(' ');
+            const moves = solution ? countMoves(solution) : 0;
+            steps.push({ name: split.name, solution, moves, time: split.time - since, tps: tps(moves, split.time - since) });
+            from = split.end;
+            since = split.time;
+        }
+        // Turns after the last detected step (an unfinished recording)
+        if (from < this.moves.length) {
+            const solution = this.moves.slice(from).map(m => m.notation).join(' ');
+            const moves = countMoves(solution);
+            steps.push({ name: 'Unfinished', solution, moves, time: time - since, tps: tps(moves, time - since) });
+        }
+        const total = steps.reduce((sum, s) => sum + s.moves, 0);
+        return { time, moves: total, tps: tps(total, time), steps };
+    }
+
+    // Reconstruction text: the scramble, then one commented line per step
+    toText() {
+        const { time, moves, tps: rate, steps } = this.summary();
+        const lines = [`${this.scramble || '(no scramble)'} // scramble`, ''];
+        for (const step of steps) {
+            const label = `${step.name.toLowerCase()} (${plural(step.moves, 'move')}, ${formatTime(step.time)}s)`;
+            lines.push(step.solution ? `${step.solution} // ${label}` : `// ${step.name.toLowerCase()} skip`);
+        }
+        lines.push('', `// ${formatTime(time)}s, ${plural(moves, 'move')}, ${rate} TPS`);
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,384 @@
+// --- REDUCTION SOLVER (4x4, 5x5) ---
+// Solves big cubes by reducing them to a 3x3:
+//   1. Centres  - every centre sticker is brought home with a pure 3-cycle,
+//                 a commutator such as [2R U 2R', 2U] that moves nothing else
+//   2. Edges    - wings are paired the same way with wing 3-cycles such as
+//                 [2R, U R' U'], next to the midge on odd cubes and next to
+//                 the other wing on 4x4
+//   3. 3x3      - the outer layers are solved as a 3x3 by the Kociemba solver
+//
+// Parity: a reduced 4x4 can show a single flipped edge (OLL parity) or two
+// swapped edges (PLL parity). Both are detected on the reduced 3x3 and fixed
+// with the usual algorithms. On 5x5 the last two wings can end up swapped;
+// one inner slice turn followed by another centre and edge pass fixes that.
+//
+// Works on facelet strings through lib/stickers.js, no pieces needed.
+// The 3-cycle tables are built on first use for each order (about a second)
+// and cached.
+
+import { FACES, CubieCube, normaliseFacelets } from './cubie.js';
+import { ORIENTATIONS, faceColours } from './facelets.js';
+import { algorithmToMoves, movesToAlgorithm } from './notation.js';
+import { solve as solveKociemba } from './kociemba.js';
+import { stickerLayout, movePermutation, movesPermutation, compose, invert } from './stickers.js';
+
+const OLL_PARITY = "Rw U2 x Rw U2 Rw U2 Rw' U2 Lw U2 Rw' U2 Rw U2 Rw' U2 Rw'";
+const PLL_PARITY = "2R2 U2 2R2 Uw2 2R2 Uw2";
+
+// Solve from U and D outwards, so the last face is done for free
+const CENTRE_FACES = ['U', 'D', 'F', 'B', 'R', 'L'];
+
+const cache = new Map();
+
+// --- CUBE GEOMETRY ---
+
+function turns(order, slices) {
+    const out = [];
+    for (const axis of ['x', 'y', 'z']) {
+        for (const slice of slices) {
+            for (const dir of [1, -1, 2]) out.push({ axis, slice, dir });
+        }
+    }
+    return out;
+}
+
+const inverse = (moves) => moves.slice().reverse().map(m => ({ ...m, dir: m.dir === 2 ? 2 : -m.dir }));
+
+// Centre stickers, wing slots and the 12 edges of an order-N cube
+function geometry(order) {
+    const o = (order - 1) / 2;
+    const stickers = stickerLayout(order);
+    const n2 = order * order;
+    const centres = [];      // { index, face }
+    const slotOf = new Map(); // sticker index -> wing slot
+    const slots = [];        // wing slots: { stickers: [i, j], edge, t }
+    const edges = new Map(); // edge key -> { slots by t }
+    const byPos = new Map();
+
+    stickers.forEach((s, index) => {
+        const row = Math.floor((index % n2) / order), col = index % order;
+        const onRim = (v) => v === 0 || v === order - 1;
+        if (!onRim(row) && !onRim(col)) {
+            // Fixed centres of odd cubes never move
+            if (row !== o || col !== o) centres.push({ index, face: s.face });
+        } else if (onRim(row) !== onRim(col)) {
+            const key = `${s.pos.x},${s.pos.y},${s.pos.z}`;
+            if (!byPos.has(key)) byPos.set(key, []);
+            byPos.get(key).push(index);
+        }
+    });
+
+    for (const [key, pair] of byPos) {
+        const pos = key.split(',').map(Number);
+        const axis = pos.findIndex(v => Math.abs(v) !== o);
+        const t = pos[axis];
+        const edgeKey = pos.map((v, i) => (i === axis ? '*' : v)).join(',');
+        // Stickers in face order so every slot of an edge lines up
+        pair.sort((i, j) => i - j);
+        if (!edges.has(edgeKey)) edges.set(edgeKey, { key: edgeKey, pieces: new Map() });
+        const slot = { stickers: pair, edge: edgeKey, t };
+        edges.get(edgeKey).pieces.set(t, slot);
+        if (t !== 0) {
+            slot.id = slots.length;
+            slots.push(slot);
+            pair.forEach(i => slotOf.set(i, slot.id));
+        }
+    }
+
+    return { order, o, centres, slots, slotOf, edges: [...edges.values()] };
+}
+
+// --- 3-CYCLE TABLES ---
+
+// A commutator's permutation, or null unless it moves exactly `size`
+// stickers, all accepted by `keep`
+function pureCycle(order, x, y, size, keep) {
+    const px = movesPermutation(order, x), py = movesPermutation(order, y);
+    const perm = compose(compose(compose(px, py), invert(px)), invert(py));
+    const pairs = [];
+    for (let i = 0; i < perm.length; i++) {
+        if (perm[i] === i) continue;
+        if (!keep(i) || pairs.length === size) return null;
+        pairs.push([perm[i], i]);
+    }
+    return pairs.length === size ? pairs : null;
+}
+
+// Numeric id of a cycle of slots, the same whichever pair it starts from
+function cycleId(pairs, slotOfSticker, size) {
+    const next = new Map(pairs.map(([from, to]) => [slotOfSticker(from), slotOfSticker(to)]));
+    const first = Math.min(...next.keys());
+    const second = next.get(first);
+    return (first * size + second) * size + next.get(second);
+}
+
+// Spread base cycles over the cube: a breadth-first search over conjugates
+// X C X' with single-layer turns X finds every reachable cycle with the
+// shortest setup. Returns the cycles indexed by each slot they fill.
+function spread(order, bases, moves, slotOfSticker, size) {
+    const seen = new Set();
+    let frontier = [];
+    for (const base of bases.sort((a, b) => a.moves.length - b.moves.length)) {
+        const id = cycleId(base.pairs, slotOfSticker, size);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        frontier.push({ pairs: base.pairs, setup: [], base });
+    }
+
+    const all = [];
+    while (frontier.length) {
+        all.push(...frontier);
+        const next = [];
+        for (const move of moves) {
+            const pm = movePermutation(order, move);
+            for (const cycle of frontier) {
+                const pairs = cycle.pairs.map(([from, to]) => [pm[from], pm[to]]);
+                const id = cycleId(pairs, slotOfSticker, size);
+                if (seen.has(id)) continue;
+                seen.add(id);
+                next.push({ pairs, setup: [move, ...cycle.setup], base: cycle.base });
+            }
+        }
+        frontier = next;
+    }
+
+    const byTarget = new Map();
+    for (const cycle of all) {
+        cycle.moves = [...cycle.setup, ...cycle.base.moves, ...inverse(cycle.setup)];
+        for (const slot of new Set(cycle.pairs.map(([, to]) => slotOfSticker(to)))) {
+            if (!byTarget.has(slot)) byTarget.set(slot, []);
+            byTarget.get(slot).push(cycle);
+        }
+    }
+    byTarget.forEach(list => list.sort((a, b) => a.moves.length - b.moves.length));
+    return byTarget;
+}
+
+function buildTables(order) {
+    if (cache.has(order)) return cache.get(order);
+    const geo = geometry(order);
+    const o = geo.o;
+    const inner = [], outer = [o, -o];
+    for (let s = -o + 1; s <= o - 1; s++) inner.push(s);
+    const innerTurns = turns(order, inner), outerTurns = turns(order, outer);
+    const allTurns = [...outerTurns, ...innerTurns];
+
+    // Centres: [s F s', s2] with inner slices s, s2 and a face turn F
+    const isCentre = new Set(geo.centres.map(c => c.index));
+    const centreBases = [];
+    for (const s of innerTurns) {
+        for (const f of outerTurns) {
+            if (f.axis === s.axis) continue;
+            for (const s2 of innerTurns) {
+                if (s2.axis === s.axis) continue;
+                const x = [s, f, ...inverse([s])];
+                const pairs = pureCycle(order, x, [s2], 3, i => isCentre.has(i));
+                if (pairs) centreBases.push({ pairs, moves: [...x, s2, ...inverse(x), ...inverse([s2])] });
+            }
+        }
+    }
+
+    // Wings: [s, A F A'] with an inner slice s and face turns A, F
+    const wingBases = [];
+    for (const s of innerTurns) {
+        for (const a of outerTurns) {
+            for (const f of outerTurns) {
+                if (a.axis === f.axis) continue;
+                const y = [a, f, ...inverse([a])];
+                const pairs = pureCycle(order, [s], y, 6, i => geo.slotOf.has(i));
+                if (pairs) wingBases.push({ pairs, moves: [s, ...y, ...inverse([s]), ...inverse(y)] });
+            }
+        }
+    }
+
+    const tables = {
+        geo,
+        centres: spread(order, centreBases, allTurns, i => i, 6 * order * order),
+        wings: spread(order, wingBases, allTurns, i => geo.slotOf.get(i), geo.slots.length)
+    };
+    cache.set(order, tables);
+    return tables;
+}
+
+// --- SOLVER STATE ---
+
+class Solver {
+    constructor(order, facelets) {
+        this.order = order;
+        this.tables = buildTables(order);
+        this.colors = facelets.split('');
+        this.moves = [];
+    }
+
+    apply(moves) {
+        const perm = movesPermutation(this.order, moves);
+        this.colors = perm.map(i => this.colors[i]);
+        this.moves.push(...moves);
+    }
+
+    // Bring `wanted` colours into the stickers of `slot` with the shortest
+    // 3-cycle that leaves every locked slot looking the same
+    fill(table, slot, stickers, wanted, isLocked, slotOfSticker) {
+        const cycles = table.get(slot) || [];
+        for (const cycle of cycles) {
+            const next = new Map(cycle.pairs.map(([from, to]) => [to, this.colors[from]]));
+            if (!stickers.every((s, k) => next.get(s) === wanted[k])) continue;
+            const disturbs = cycle.pairs.some(([, to]) => {
+                const other = slotOfSticker(to);
+                return other !== slot && isLocked(other) && next.get(to) !== this.colors[to];
+            });
+            if (disturbs) continue;
+            this.apply(cycle.moves);
+            return true;
+        }
+        return false;
+    }
+
+    // Face colours for the centres. Odd cubes follow their fixed centres;
+    // on 4x4 pick the orientation that already has the most centres right.
+    centreColours() {
+        const { geo } = this.tables;
+        const n2 = this.order * this.order;
+        if (this.order % 2 === 1) {
+            const mid = (n2 - 1) / 2;
+            return Object.fromEntries(FACES.map((face, i) => [face, this.colors[i * n2 + mid]]));
+        }
+        let best = null, bestScore = -1;
+        for (const orientation of ORIENTATIONS) {
+            const map = faceColours(orientation);
+            const score = geo.centres.filter(c => this.colors[c.index] === map[c.face]).length;
+            if (score > bestScore) {
+                best = map;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    solveCentres(target) {
+        const { geo, centres } = this.tables;
+        const locked = new Set();
+        for (const face of CENTRE_FACES.slice(0, -1)) {
+            for (const { index } of geo.centres.filter(c => c.face === face)) {
+                if (this.colors[index] !== target[face]) {
+                    if (!this.fill(centres, index, [index], [target[face]], i => locked.has(i), i => i)) {
+                        throw new Error(`Could not place the ${face} centre sticker ${index}.`);
+                    }
+                }
+                locked.add(index);
+            }
+        }
+    }
+
+    // Pair every wing with its edge's reference piece: the midge on odd
+    // cubes, the first wing on even ones. Returns false if the last wings
+    // are left swapped (odd wing permutation).
+    pairEdges() {
+        const { geo, wings } = this.tables;
+        const locked = new Set();
+        for (const edge of geo.edges) {
+            const ts = [...edge.pieces.keys()].sort((a, b) => a - b);
+            const ref = edge.pieces.get(this.order % 2 === 1 ? 0 : ts[0]);
+            if (ref.id !== undefined) locked.add(ref.id);
+            for (const t of ts) {
+                const slot = edge.pieces.get(t);
+                if (slot === ref || slot.id === undefined) continue;
+                const wanted = ref.stickers.map(i => this.colors[i]);
+                const matches = slot.stickers.every((i, k) => this.colors[i] === wanted[k]);
+                if (!matches && !this.fill(wings, slot.id, slot.stickers, wanted, id => locked.has(id), i => geo.slotOf.get(i))) {
+                    return false;
+                }
+                locked.add(slot.id);
+            }
+        }
+        return true;
+    }
+
+    // The outer layers as a 3x3 facelet string
+    reduced() {
+        const n = this.order, n2 = n * n, mid = Math.floor((n - 1) / 2);
+        const rows = [0, mid, n - 1];
+        let out = '';
+        for (let face = 0; face < 6; face++) {
+            for (const r of rows) {
+                for (const c of rows) out += this.colors[face * n2 + r * n + c];
+            }
+        }
+        return out;
+    }
+}
+
+// --- SOLVE ---
+
+const MAX_PASSES = 3;
+
+// Solve an order-4 or order-5 facelet string (URFDLB, order² stickers per
+// face, as produced by VirtualCube.toFacelets()).
+// Returns { stages: [{ name, description, solution }], solution } where the
+// solutions are algorithms in notation; solution is '' if already solved.
+// `progress` hears about each stage and the 3x3 solver's tables.
+export function solveReduction(facelets, order, { progress = () => {} } = {}) {
+    if (order !== 4 && order !== 5) throw new Error('The reduction solver handles 4x4 and 5x5 cubes only.');
+    const total = 6 * order * order;
+    if (typeof facelets !== 'string' || facelets.length !== total) {
+        throw new Error(`Facelet string for ${order}x${order} must have ${total} characters (got ${facelets?.length || 0}).`);
+    }
+    for (const face of FACES) {
+        const count = facelets.split(face).length - 1;
+        if (count !== order * order) throw new Error(`Face colour ${face} appears ${count} times (need ${order * order}).`);
+    }
+
+    const solver = new Solver(order, facelets);
+    const stages = [];
+    const stage = (name, description, from) => {
+        stages.push({ name, description, solution: movesToAlgorithm(solver.moves.slice(from), order) });
+    };
+
+    // Centres and edges; on odd cubes repeat after a slice turn if the last
+    // two wings come out swapped
+    const target = solver.centreColours();
+    let paired = false;
+    for (let pass = 0; pass < MAX_PASSES && !paired; pass++) {
+        if (pass > 0) {
+            const from = solver.moves.length;
+            solver.apply(algorithmToMoves('2R', order));
+            stage('Edge parity', 'The last two wings were swapped; one inner slice turn changes the wing parity, then centres and edges are redone.', from);
+        }
+        let from = solver.moves.length;
+        progress('Reduction: solving centres...');
+        solver.solveCentres(target);
+        stage('Centres', 'Each centre sticker is cycled into place with a commutator.', from);
+        from = solver.moves.length;
+        progress('Reduction: pairing edges...');
+        paired = solver.pairEdges();
+        stage('Edge pairing', 'Wings are cycled next to their partners until every edge is one colour pair.', from);
+    }
+    if (!paired) throw new Error('Could not pair the edges.');
+
+    // Parity on even cubes, read off the reduced 3x3
+    if (order % 2 === 0) {
+        let cube = CubieCube.fromFacelets(normaliseFacelets(solver.reduced()), { checkParity: false });
+        if (cube.eo.reduce((a, b) => a + b, 0) % 2 === 1) {
+            const from = solver.moves.length;
+            solver.apply(algorithmToMoves(OLL_PARITY, order));
+            stage('OLL parity', 'A single edge is flipped, which a 3x3 cannot have: fix it with the OLL parity algorithm.', from);
+            cube = CubieCube.fromFacelets(normaliseFacelets(solver.reduced()), { checkParity: false });
+        }
+        if (cube.cornerParity() !== cube.edgeParity()) {
+            const from = solver.moves.length;
+            solver.apply(algorithmToMoves(PLL_PARITY, order));
+            stage('PLL parity', 'Two edges are swapped, which a 3x3 cannot have: fix it with the PLL parity algorithm.', from);
+        }
+    }
+
+    const from = solver.moves.length;
+    progress('Reduction: solving the reduced 3x3...');
+    const finish = solveKociemba(solver.reduced(), { progress });
+    solver.apply(algorithmToMoves(finish, order));
+    stage('3x3 stage', 'The reduced cube is solved like a 3x3 using only outer layer turns.', from);
+
+    return {
+        stages: stages.filter(s => s.solution),
+        solution: movesToAlgorithm(solver.moves, order)
+    };
+}
@@ -0,0 +1,213 @@
+// --- SCRAMBLING ---
+// Scrambles in notation for any order, reproducible from a seed:
+//   2×2, 3×3   random state: a uniformly random solvable state, solved, and
+//              the solution inverted (WCA style)
+//   4×4 and up random moves: 20·(N-2) face and wide turns (40 on 4×4, 60 on
+//              5×5) with no move that cancels or merges with an earlier one
+//   cuboids    random moves as above, 5 per layer (x + y + z), with half
+//              turns only where a layer's face is not square
+//   supercube, random moves: 25 face turns, since a random state would
+//   picture    leave every centre turned the right way
+// `random` can be swapped for a seeded generator in tests and tools.
+
+import { CubieCube } from './cubie.js';
+import { solve as solveKociemba } from './kociemba.js';
+import { solvePocket } from './pocket.js';
+import { algorithmToMoves } from './notation.js';
+import { dimsOf, isCuboid, quarterTurns } from './cuboid.js';
+import { ORIENTED_CENTRES } from './cube.js';
+
+const AXIS_FACES = [['R', 'L'], ['U', 'D'], ['F', 'B']];
+const AXES = ['x', 'y', 'z'];
+const AMOUNTS = ['', '2', "'"];
+
+// WCA rule 4b3: a 2×2 scramble must need at least 4 moves
+const POCKET_MIN_LENGTH = 4;
+
+const ORIENTED_CENTRES_LENGTH = 25;
+
+// --- RANDOM NUMBERS ---
+
+// Small, fast 32-bit generator; returns floats in [0, 1) like Math.random
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Generator for any seed text (FNV-1a hash of the string)
+export function seededRandom(seed) {
+    let h = 0x811c9dc5;
+    for (const c of String(seed)) {
+        h ^= c.codePointAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return mulberry32(h);
+}
+
+// Six base-36 characters, short enough to read out or type back in
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+const randomInt = (random, n) => Math.floor(random() * n);
+
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(random, i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Orientations for `count` pieces with `states` each, summing to 0 mod states
+function randomOrientation(count, states, random) {
+    const ori = Array.from({ length: count - 1 }, () => randomInt(random, states));
+    const sum = ori.reduce((a, b) => a + b, 0);
+    ori.push((states - sum % states) % states);
+    return ori;
+}
+
+// --- RANDOM STATE ---
+
+// Inverse of a plain face-turn solution ("R U2 F'" → "F U2 R'")
+function invertSolution(solution) {
+    return solution.split(/\s+/).filter(Boolean).reverse().map(move => {
+        if (move.endsWith("'")) return move.slice(0, -1);
+        if (move.endsWith('2')) return move;
+        return `${move}'`;
+    }).join(' ');
+}
+
+// Uniformly random solvable 3×3 state as a CubieCube
+export function randomCubieCube(random = Math.random) {
+    const cube = new CubieCube(
+        shuffle([0, 1, 2, 3, 4, 5, 6, 7], random),
+        randomOrientation(8, 3, random),
+        shuffle([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], random),
+        randomOrientation(12, 2, random)
+    );
+    // Corner and edge permutations must have the same parity
+    if (cube.cornerParity() !== cube.edgeParity()) [cube.ep[0], cube.ep[1]] = [cube.ep[1], cube.ep[0]];
+    return cube;
+}
+
+// Uniformly random 2×2 state as a 24-character facelet string. The DBL
+// corner stays home: the other seven corners carry every state there is.
+export function randomPocketFacelets(random = Math.random) {
+    const others = shuffle([0, 1, 2, 3, 4, 5, 7], random);
+    const cp = [...others.slice(0, 6), 6, others[6]];
+    const twist = randomOrientation(7, 3, random);
+    const co = [...twist.slice(0, 6), 0, twist[6]];
+    const full = new CubieCube(cp, co).toFacelets();
+    // Corner stickers of each 3×3 face are the 2×2 face
+    let facelets = '';
+    for (let face = 0; face < 6; face++) {
+        for (const n of [0, 2, 6, 8]) facelets += full[face * 9 + n];
+    }
+    return facelets;
+}
+
+export function randomStateScramble(order, random = Math.random) {
+    if (order === 3) return invertSolution(solveKociemba(randomCubieCube(random).toFacelets()));
+    if (order === 2) {
+        for (;;) {
+            const { htm } = solvePocket(randomPocketFacelets(random));
+            if (htm.length >= POCKET_MIN_LENGTH) return invertSolution(htm.solution);
+        }
+    }
+    throw new Error(`Random-state scrambles exist for 2x2 and 3x3 only (got ${order}x${order}).`);
+}
+
+// --- RANDOM MOVES ---
+
+// WCA random-move scramble length for big cubes; 5 moves per layer on a
+// cuboid
+export function scrambleLength(order) {
+    if (isCuboid(order)) return 5 * (order.x + order.y + order.z);
+    return 20 * (order - 2);
+}
+
+// Turnable blocks of one axis: outer layers 1..depth from either face. On
+// even cubes the half-cube block is only turned from R, U and F, since the
+// same block from the other side is just that turn plus a rotation.
+function axisBlocks(order, [near, far]) {
+    const blocks = [];
+    for (let depth = 1; depth <= Math.floor(order / 2); depth++) {
+        const faces = depth * 2 === order ? [near] : [near, far];
+        for (const face of faces) {
+            if (depth === 1) blocks.push(face);
+            else blocks.push(depth === 2 ? `${face}w` : `${depth}${face}w`);
+        }
+    }
+    return blocks;
+}
+
+// Random face and wide turns in notation. Turns of one axis commute, so
+// within a run on the same axis each block may turn only once: nothing can
+// cancel or merge. Cuboid layers without square faces only turn 180°.
+export function randomMoveScramble(order, length = scrambleLength(order), random = Math.random) {
+    const dims = dimsOf(order);
+    const blocks = AXIS_FACES.map((faces, a) => axisBlocks(dims[AXES[a]], faces));
+    const amounts = AXES.map(axis => quarterTurns(order, axis) ? AMOUNTS : ['2']);
+    const out = [];
+    let axis = -1;
+    let used = new Set();
+    while (out.length < length) {
+        const a = randomInt(random, 3);
+        const block = blocks[a][randomInt(random, blocks[a].length)];
+        if (a !== axis) {
+            axis = a;
+            used = new Set();
+        }
+        if (used.has(block)) continue;
+        used.add(block);
+        out.push(block + amounts[a][randomInt(random, amounts[a].length)]);
+    }
+    return out.join(' ');
+}
+
+// Plain random { axis, slice, dir } quarter turns of any layer, for tests
+// and tools that just need a mixed-up cube
+export function randomMoves(order, length = 20, random = Math.random) {
+    const axes = ['x', 'y', 'z'];
+    const range = (order - 1) / 2;
+    const slices = [];
+    for (let i = -range; i <= range; i++) slices.push(i);
+
+    const moves = [];
+    for (let i = 0; i < length; i++) {
+        moves.push({
+            axis: axes[Math.floor(random() * 3)],
+            slice: slices[Math.floor(random() * slices.length)],
+            dir: random() > 0.5 ? 1 : -1
+        });
+    }
+    return moves;
+}
+
+// --- SCRAMBLES ---
+
+// 'random-state' or 'random-move', the way generateScramble scrambles this
+// puzzle
+export function scrambleMethod(order, type = 'normal') {
+    return !isCuboid(order) && order <= 3 && !ORIENTED_CENTRES.includes(type) ? 'random-state' : 'random-move';
+}
+
+// The scramble for an order-N cube or a cuboid of puzzle `type` (see
+// VirtualCube). The same order, type and seed always give the same
+// scramble; without a seed a fresh one is picked (and returned, so the
+// scramble can be reproduced later).
+// Returns { seed, method, scramble, moves }.
+export function generateScramble(order, { seed = randomSeed(), type = 'normal' } = {}) {
+    const random = seededRandom(seed);
+    const method = scrambleMethod(order, type);
+    const length = ORIENTED_CENTRES.includes(type) ? ORIENTED_CENTRES_LENGTH : scrambleLength(order);
+    const scramble = method === 'random-state' ? randomStateScramble(order, random) : randomMoveScramble(order, length, random);
+    return { seed: String(seed), method, scramble, moves: algorithmToMoves(scramble, order) };
+}
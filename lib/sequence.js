@@ -0,0 +1,94 @@
+// --- MOVE SEQUENCES ---
+// Tidying and measuring lists of internal { axis, slice, dir } moves (see
+// lib/cube.js). dir is -1 or 1 for a quarter turn and -2 or 2 for a half
+// turn, whose sign only says which way it animates. No DOM: script.js runs
+// the move queue, the history and the stats through these.
+
+import { dimsOf } from './cuboid.js';
+
+// A net number of quarter turns as a move's dir: 0 (nothing), ±1 or ±2
+export function turnDir(quarters) {
+    const q = ((quarters % 4) + 4) % 4;
+    if (q === 2) return quarters < 0 ? -2 : 2;
+    return q === 3 ? -1 : q;
+}
+
+// Cancel and merge turns of the same layer, looking past turns of other
+// layers on the same axis since those commute: R R' vanishes, R R becomes
+// one half turn and R L R' leaves L. Rotations (slice null) merge with each
+// other the same way. Returns a new list; the input is left alone.
+export function optimiseMoves(moves) {
+    const out = [];
+    for (const move of moves) {
+        let i = out.length - 1;
+        while (i >= 0 && out[i].axis === move.axis && out[i].slice !== move.slice) i--;
+        if (i >= 0 && out[i].axis === move.axis) {
+            const dir = turnDir(out[i].dir + move.dir);
+            if (dir === 0) {
+                out.splice(i, 1);
+            } else {
+                out[i] = { ...out[i], dir };
+            }
+        } else {
+            out.push({ ...move });
+        }
+    }
+    return out;
+}
+
+// How many moves from the start of `moves` turn together on screen: the
+// first one and the layer turns right after it on the same axis, each
+// layer once. A rotation always turns alone.
+export function parallelCount(moves) {
+    if (!moves.length || moves[0].slice === null) return Math.min(moves.length, 1);
+    const slices = new Set([moves[0].slice]);
+    let count = 1;
+    while (count < moves.length) {
+        const { axis, slice } = moves[count];
+        if (axis !== moves[0].axis || slice === null || slices.has(slice)) break;
+        slices.add(slice);
+        count++;
+    }
+    return count;
+}
+
+// Block turns: runs of moves on one axis, same dir, next to each other in
+// the list and on neighbouring layers (how algorithmToMoves writes Rw, M on
+// big cubes, ...). A block stops short of every layer of its axis, which
+// would be a rotation: R L' is two turns, R M' L' is Rw L'.
+function blockTurns(moves, dims) {
+    const blocks = [];
+    for (const move of moves) {
+        const block = blocks[blocks.length - 1];
+        const last = block && block.moves[block.moves.length - 1];
+        if (last && move.slice !== null && last.slice !== null && last.axis === move.axis &&
+            last.dir === move.dir && Math.abs(last.slice - move.slice) === 1 &&
+            block.moves.length + 1 < dims[move.axis]) {
+            block.moves.push(move);
+        } else {
+            blocks.push({ moves: [move] });
+        }
+    }
+    return blocks;
+}
+
+// Move counts of a sequence on an order-N cube or a cuboid, after
+// optimiseMoves:
+//   htm  half-turn metric: an outer block turn (R, Rw, 3Rw) is one move at
+//        any amount, an inner one (M, 2R) is two
+//   qtm  quarter-turn metric: as htm, but half turns count twice
+//   stm  slice-turn metric: any block turn is one move
+// Rotations count nothing.
+export function moveCounts(moves, order) {
+    const dims = dimsOf(order);
+    const counts = { htm: 0, qtm: 0, stm: 0 };
+    for (const { moves: block } of blockTurns(optimiseMoves(moves), dims)) {
+        if (block[0].slice === null) continue;
+        const outer = block.some(m => Math.abs(m.slice) === (dims[m.axis] - 1) / 2);
+        const quarters = Math.abs(block[0].dir);
+        counts.htm += outer ? 1 : 2;
+        counts.qtm += outer ? quarters : 2 * quarters;
+        counts.stm += 1;
+    }
+    return counts;
+}
@@ -0,0 +1,130 @@
+// --- SHARE LINKS ---
+// Reads and writes the URL parameters that describe a cube to send someone:
+//   puzzle    2 to 17, mirror, super, picture, void or a cuboid like 3x3x2
+//             (the #puzzle-type values)
+//   scramble  algorithm in notation that sets up the state, or
+//   state     facelet string (URFDLB, N² stickers per face) for any state
+//   centres   supercube and picture cube centre turns the stickers cannot
+//             show: six digits 0-3 in URFDLB order (clockwise quarter turns)
+//   alg       algorithm to show (and play with play=1)
+//   speed     animation speed 1-20
+// They may sit in the query (?puzzle=4&alg=...) or the hash (#puzzle=4...).
+// Anything unusable is dropped with a message in `errors`; nothing throws.
+
+import { algorithmToMoves } from './notation.js';
+import { FACES } from './cubie.js';
+import { faceGrid, stickerCount } from './facelets.js';
+import { CUBOIDS, parseCuboid, sizeName } from './cuboid.js';
+import { VARIANTS } from './variants.js';
+import { ORIENTED_CENTRES } from './cube.js';
+
+const MIN_ORDER = 2;
+const MAX_ORDER = 17;
+
+// #puzzle-type value → { order, type }, null if unknown
+export function parsePuzzle(value) {
+    if (value === 'mirror' || VARIANTS.includes(value)) return { order: 3, type: value };
+    if (CUBOIDS.includes(value)) return { order: parseCuboid(value), type: 'cuboid' };
+    if (!/^\d+$/.test(value)) return null;
+    const order = parseInt(value, 10);
+    return order >= MIN_ORDER && order <= MAX_ORDER ? { order, type: 'normal' } : null;
+}
+
+export function puzzleValue(order, type) {
+    if (type === 'cuboid') return sizeName(order);
+    return type === 'mirror' || VARIANTS.includes(type) ? type : String(order);
+}
+
+// Why a facelet string cannot be an order-N state, or null if it looks fine
+function faceletProblem(state, order) {
+    const total = stickerCount(order);
+    if (state.length !== total) return `needs ${total} stickers for ${sizeName(order)} (got ${state.length})`;
+    for (const face of FACES) {
+        const { rows, cols } = faceGrid(order, face);
+        const count = state.split(face).length - 1;
+        if (count !== rows * cols) return `has ${count} ${face} stickers (need ${rows * cols})`;
+    }
+    const stray = state.replace(/[URFDLB]/g, '');
+    return stray ? `has unknown sticker "${stray[0]}"` : null;
+}
+
+// '200100' → { U: 2, R: 0, F: 0, D: 1, L: 0, B: 0 }, null if not six digits
+// 0-3 that add up to an even number (a 3x3 cannot turn one centre alone)
+function parseCentres(value) {
+    if (!/^[0-3]{6}$/.test(value)) return null;
+    if ([...value].reduce((sum, d) => sum + Number(d), 0) % 2) return null;
+    const twists = {};
+    FACES.forEach((face, i) => { twists[face] = Number(value[i]); });
+    return twists;
+}
+
+// Parameters from location.search and location.hash (hash wins on clashes).
+// Returns { puzzle, scramble, state, centres, alg, speed, play, errors };
+// missing or invalid values are null (play is a boolean).
+export function readShareParams(search = '', hash = '') {
+    const params = new URLSearchParams(search.replace(/^\?/, ''));
+    new URLSearchParams(hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+    const errors = [];
+    const link = { puzzle: null, scramble: null, state: null, centres: null, alg: null, speed: null, play: false, errors };
+
+    if (params.has('puzzle')) {
+        link.puzzle = parsePuzzle(params.get('puzzle'));
+        if (!link.puzzle) errors.push(`Unknown puzzle "${params.get('puzzle')}".`);
+    }
+    const order = (link.puzzle || { order: 3 }).order;
+
+    const scramble = params.get('scramble');
+    const state = params.get('state');
+    if (scramble && state) errors.push('Both scramble and state given; using the scramble.');
+    if (scramble) {
+        try {
+            algorithmToMoves(scramble, order);
+            link.scramble = scramble;
+        } catch (error) {
+            errors.push(`Scramble: ${error.message}`);
+        }
+    } else if (state) {
+        const problem = faceletProblem(state, order);
+        if (problem) errors.push(`State ${problem}.`);
+        else link.state = state;
+    }
+
+    if (params.has('centres')) {
+        const value = params.get('centres');
+        if (!ORIENTED_CENTRES.includes(link.puzzle?.type)) errors.push('Centre turns are only for the supercube and picture cube.');
+        else if (!(link.centres = parseCentres(value))) errors.push(`Centres must be six digits 0-3 adding up to an even number (got "${value}").`);
+    }
+
+    const alg = params.get('alg');
+    if (alg) {
+        try {
+            algorithmToMoves(alg, order);
+            link.alg = alg;
+        } catch (error) {
+            errors.push(`Algorithm: ${error.message}`);
+        }
+    }
+
+    if (params.has('speed')) {
+        const speed = Number(params.get('speed'));
+        if (Number.isInteger(speed) && speed >= 1 && speed <= 20) link.speed = speed;
+        else errors.push(`Speed must be 1-20 (got "${params.get('speed')}").`);
+    }
+    link.play = params.get('play') === '1';
+    return link;
+}
+
+// Query string (without "?") for a link; empty values are left out
+export function buildShareQuery({ order, type = 'normal', scramble, state, centres, alg, speed, play = false }) {
+    const params = new URLSearchParams();
+    params.set('puzzle', puzzleValue(order, type));
+    if (scramble) params.set('scramble', scramble);
+    else if (state) params.set('state', state);
+    if (centres && FACES.some(face => centres[face])) params.set('centres', FACES.map(face => centres[face] ?? 0).join(''));
+    if (alg) {
+        params.set('alg', alg);
+        if (play) params.set('play', '1');
+    }
+    if (speed) params.set('speed', String(speed));
+    return params.toString();
+}
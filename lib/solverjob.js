@@ -0,0 +1,93 @@
+// --- SOLVER JOBS ---
+// The solver worker protocol. script.js posts a request
+//   { type: 'solve', id, method, facelets, order, puzzleType, options }
+// with a solve mode from lib/solvers.js and the cube's facelet string, or
+//   { type: 'scramble', id, order, puzzleType, seed }
+// for a scramble from lib/scramble.js (seed optional), and hears back,
+// always with the same id,
+//   { type: 'progress', id, message }      any number of times
+//   { type: 'result', id, solution, details }          for a solve
+//   { type: 'result', id, seed, method, scramble }     for a scramble
+//   { type: 'error', id, message }
+// Cancelling and the overall time limit are up to the caller, which
+// terminates the worker: a running search cannot be interrupted from inside.
+// No DOM: this runs in solver-worker.js, or on the main thread when the
+// browser has no module workers.
+
+import { initSolver, isSolverReady, exportSolverTables, importSolverTables } from './kociemba.js';
+import { initPocketSolver, isPocketSolverReady, exportPocketTables, importPocketTables } from './pocket.js';
+import { solveFacelets } from './solvers.js';
+import { generateScramble, scrambleMethod } from './scramble.js';
+import { loadTables, saveTables } from './tablecache.js';
+
+// Precomputed tables, cached in IndexedDB under `key`
+const TABLE_SETS = {
+    kociemba: {
+        key: 'kociemba-v1',
+        label: 'Kociemba',
+        ready: isSolverReady,
+        build: initSolver,
+        exportTables: exportSolverTables,
+        importTables: importSolverTables
+    },
+    pocket: {
+        key: 'pocket-v1',
+        label: '2x2 distance',
+        ready: isPocketSolverReady,
+        build: initPocketSolver,
+        exportTables: exportPocketTables,
+        importTables: importPocketTables
+    }
+};
+
+// Table set each solve mode needs; the others build nothing
+const METHOD_TABLES = {
+    'ai-kociemba': 'kociemba',
+    reduction: 'kociemba',
+    pocket: 'pocket'
+};
+
+// Random-state scrambles solve a random state with the same tables
+const SCRAMBLE_TABLES = { 2: 'pocket', 3: 'kociemba' };
+
+// Load a table set from the cache, or build it and store it there
+export async function prepareTables(name, progress = () => {}) {
+    const set = TABLE_SETS[name];
+    if (!set) throw new Error(`Unknown solver tables "${name}".`);
+    if (set.ready()) return;
+    if (set.importTables(await loadTables(set.key))) {
+        progress(`${set.label} tables loaded from the browser cache.`);
+        return;
+    }
+    progress(`Building ${set.label} tables (first run only)...`);
+    // Lets a main-thread caller repaint before the tables block it
+    await new Promise(resolve => setTimeout(resolve, 0));
+    set.build(progress);
+    if (await saveTables(set.key, set.exportTables())) {
+        progress(`${set.label} tables cached in this browser.`);
+    }
+}
+
+// Answer one request through `post`. Never throws: failures become an
+// error message.
+export async function runSolverJob(request, post) {
+    const id = request?.id;
+    const progress = message => post({ type: 'progress', id, message });
+    try {
+        if (request?.type === 'solve') {
+            const { method, facelets, order, puzzleType, options = {} } = request;
+            if (METHOD_TABLES[method]) await prepareTables(METHOD_TABLES[method], progress);
+            const { solution, details } = solveFacelets(facelets, order, puzzleType, method, { ...options, progress });
+            post({ type: 'result', id, solution, details });
+        } else if (request?.type === 'scramble') {
+            const { order, puzzleType, seed } = request;
+            if (scrambleMethod(order, puzzleType) === 'random-state') await prepareTables(SCRAMBLE_TABLES[order], progress);
+            const scrambled = generateScramble(order, { type: puzzleType, ...(seed ? { seed } : {}) });
+            post({ type: 'result', id, seed: scrambled.seed, method: scrambled.method, scramble: scrambled.scramble });
+        } else {
+            throw new Error(`Unknown solver request "${request?.type}".`);
+        }
+    } catch (error) {
+        post({ type: 'error', id, message: error.message });
+    }
+}
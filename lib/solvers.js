@@ -0,0 +1,98 @@
+// --- SOLVERS ---
+// One entry point for every state-based solver, keyed by the solve mode
+// names used in the UI. Each takes a VirtualCube (or anything with order,
+// type and toFacelets()) and returns
+//   { solution, moves, details }
+// where solution is an algorithm in notation ('' if already solved), moves
+// the { axis, slice, dir } list to play it, and details the solver's own
+// result (stages, metrics, ...). Errors are thrown, never logged.
+//
+// Options are passed on to the solver: `progress` is called with short
+// status messages (table building, search depth, stages) and `timeout`
+// limits a search in milliseconds where the solver has one.
+//
+// The 3x3 solvers also take the supercube, the picture cube and the void
+// cube (lib/variants.js). A supercube or picture cube solution ends with
+// centre-only algorithms for the twists in `centres` (as from
+// VirtualCube#centreTwists, which the facelets cannot show); a void cube is
+// solved as a 3x3 with the centres it could have.
+
+import { solve as solveKociemba } from './kociemba.js';
+import { solveBeginner } from './beginner.js';
+import { solveReduction } from './reduction.js';
+import { solvePocket } from './pocket.js';
+import { algorithmToMoves } from './notation.js';
+import { isCuboid, sizeName } from './cuboid.js';
+import { VirtualCube, ORIENTED_CENTRES } from './cube.js';
+import { VARIANTS, centreFix, fillVoidCentres } from './variants.js';
+
+const is3x3 = (order, type) => order === 3 && (type === 'normal' || VARIANTS.includes(type));
+
+export const SOLVERS = {
+    'ai-kociemba': {
+        label: 'Kociemba two-phase',
+        supports: is3x3,
+        run: (facelets, order, { timeout, progress }) => {
+            const solution = solveKociemba(facelets, { timeout, progress });
+            return { solution, details: { solution } };
+        }
+    },
+    beginner: {
+        label: 'Beginner layer-by-layer',
+        supports: is3x3,
+        run: (facelets) => {
+            const details = solveBeginner(facelets);
+            return { solution: details.solution, details };
+        }
+    },
+    reduction: {
+        label: 'Reduction',
+        supports: (order, type) => (order === 4 || order === 5) && type === 'normal',
+        run: (facelets, order, { progress }) => {
+            const details = solveReduction(facelets, order, { progress });
+            return { solution: details.solution, details };
+        }
+    },
+    pocket: {
+        label: 'Optimal 2x2',
+        supports: (order) => order === 2,
+        run: (facelets, order, { progress }) => {
+            const details = solvePocket(facelets, { progress });
+            return { solution: details.htm.solution, details };
+        }
+    }
+};
+
+export function canSolve(method, order, type = 'normal') {
+    return Boolean(SOLVERS[method]?.supports(order, type));
+}
+
+// The same for a bare facelet string, e.g. one sent to the solver worker
+export function solveFacelets(facelets, order, type, method, options = {}) {
+    const solver = SOLVERS[method];
+    if (!solver) throw new Error(`Unknown solver "${method}".`);
+    if (!solver.supports(order, type)) {
+        throw new Error(`${solver.label} cannot solve a ${sizeName(order)} ${isCuboid(order) ? 'cuboid' : `${type} cube`}.`);
+    }
+    if (type === 'void') facelets = fillVoidCentres(facelets);
+    let { solution, details } = solver.run(facelets, order, options);
+    if (ORIENTED_CENTRES.includes(type)) {
+        // Play the solution on a copy to see how it leaves the centres
+        const cube = new VirtualCube(3, type);
+        cube.importFacelets(facelets);
+        cube.setCentreTwists(options.centres ?? {});
+        if (solution) cube.applyMoves(algorithmToMoves(solution, 3));
+        const centres = centreFix(cube.centreTwists());
+        if (centres) {
+            options.progress?.('Turning the centres...');
+            solution = solution ? `${solution} ${centres}` : centres;
+        }
+        details = { ...details, centres };
+    }
+    return { solution, moves: solution ? algorithmToMoves(solution, order) : [], details };
+}
+
+export function solveCube(cube, method, options = {}) {
+    const centres = ORIENTED_CENTRES.includes(cube.type) ? cube.centreTwists() : undefined;
+    return solveFacelets(cube.toFacelets(), cube.order, cube.type, method, { centres, ...options });
+}
@@ -0,0 +1,94 @@
+// --- STICKER PERMUTATIONS ---
+// Every move of an order-N cube or a cuboid as a permutation of the sticker
+// positions of the facelet string (see lib/facelets.js). Lets solvers for big
+// cubes work directly on facelet strings without building any pieces.
+//
+// A permutation `perm` reads as "the sticker now at i came from perm[i]",
+// so applying it to an array of colours is `next[i] = colours[perm[i]]`.
+
+import { faceGrid, forEachSticker, NORMALS } from './facelets.js';
+import { FACES } from './cubie.js';
+import { rotateQuarter } from './cube.js';
+import { sizeName } from './cuboid.js';
+
+const cache = new Map();
+
+// Integer keys so half-integer coordinates (even orders) are exact
+const key = (p, n) => `${Math.round(p.x * 2)},${Math.round(p.y * 2)},${Math.round(p.z * 2)}|${n.x},${n.y},${n.z}`;
+
+function layout(order) {
+    const name = sizeName(order);
+    if (cache.has(name)) return cache.get(name);
+    const stickers = [];
+    const index = new Map();
+    forEachSticker(order, (face, i, pos) => {
+        stickers.push({ face, pos, normal: NORMALS[face] });
+        index.set(key(pos, NORMALS[face]), i);
+    });
+    const entry = { stickers, index, moves: new Map() };
+    cache.set(name, entry);
+    return entry;
+}
+
+// Sticker positions of an order-N cube: [{ face, pos, normal }]
+export function stickerLayout(order) {
+    return layout(order).stickers;
+}
+
+// Index of the sticker at `pos` facing along `normal` (a unit axis vector),
+// -1 if there is none
+export function stickerAt(order, pos, normal) {
+    const index = layout(order).index.get(key(pos, normal));
+    return index === undefined ? -1 : index;
+}
+
+export function identity(order) {
+    return Array.from({ length: layout(order).stickers.length }, (_, i) => i);
+}
+
+// Permutation of one internal move { axis, slice, dir }; a null slice
+// turns the whole cube
+export function movePermutation(order, move) {
+    const entry = layout(order);
+    const id = `${move.axis}${move.slice}:${((move.dir % 4) + 4) % 4}`;
+    if (entry.moves.has(id)) return entry.moves.get(id);
+    const perm = identity(order);
+    entry.stickers.forEach((s, i) => {
+        if (move.slice !== null && Math.abs(s.pos[move.axis] - move.slice) > 0.1) return;
+        const j = entry.index.get(key(rotateQuarter(s.pos, move.axis, move.dir), rotateQuarter(s.normal, move.axis, move.dir)));
+        perm[j] = i;
+    });
+    entry.moves.set(id, perm);
+    return perm;
+}
+
+// Permutation of `first` followed by `second`
+export function compose(first, second) {
+    return second.map(i => first[i]);
+}
+
+export function invert(perm) {
+    const inv = new Array(perm.length);
+    perm.forEach((from, to) => { inv[from] = to; });
+    return inv;
+}
+
+// Permutation of a whole move list
+export function movesPermutation(order, moves) {
+    let perm = identity(order);
+    for (const move of moves) perm = compose(perm, movePermutation(order, move));
+    return perm;
+}
+
+// Apply moves to a facelet string (or array of colours), returning a string
+export function applyMoves(facelets, moves, order) {
+    const perm = movesPermutation(order, moves);
+    return perm.map(i => facelets[i]).join('');
+}
+
+export function solvedFacelets(order) {
+    return FACES.map(face => {
+        const { rows, cols } = faceGrid(order, face);
+        return face.repeat(rows * cols);
+    }).join('');
+}
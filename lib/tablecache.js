@@ -0,0 +1,56 @@
+// --- SOLVER TABLE CACHE ---
+// Keeps precomputed solver tables in IndexedDB so they are built only once
+// per browser. No DOM needed, so it also works inside a Web Worker.
+// Nothing here throws: without IndexedDB (private mode, Node, blocked
+// storage) loads resolve to null and saves to false, and the caller simply
+// builds the tables again.
+
+const DB_NAME = 'neuralcube-tables';
+const STORE = 'tables';
+
+function openDb() {
+    return new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') return resolve(null);
+        try {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// Run one request against the store; resolves to its result or `fallback`
+async function withStore(mode, fallback, makeRequest) {
+    const db = await openDb();
+    if (!db) return fallback;
+    return new Promise(resolve => {
+        try {
+            const tx = db.transaction(STORE, mode);
+            const request = makeRequest(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request.result === undefined ? fallback : request.result);
+            };
+            tx.onerror = tx.onabort = () => {
+                db.close();
+                resolve(fallback);
+            };
+        } catch (e) {
+            db.close();
+            resolve(fallback);
+        }
+    });
+}
+
+export function loadTables(key) {
+    return withStore('readonly', null, store => store.get(key));
+}
+
+export async function saveTables(key, value) {
+    const saved = await withStore('readwrite', false, store => store.put(value, key));
+    return saved !== false;
+}
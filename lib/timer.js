@@ -0,0 +1,118 @@
+// --- SPEEDCUBING TIMER ---
+// Inspection penalties, WCA-style averages and session storage for the
+// human-solve timer. No DOM: script.js owns the keyboard handling and display.
+//
+// A solve is { time, penalty, scramble, puzzle, date }:
+//   time      milliseconds on the clock, without penalty
+//   penalty   '' | '+2' | 'DNF'
+//   scramble  the scramble it was done on, in notation ('' if none)
+//   puzzle    e.g. '3x3'
+//   date      Date.now() when it was recorded
+
+export const INSPECTION_MS = 15000;
+const INSPECTION_DNF_MS = 17000;
+export const PENALTIES = ['', '+2', 'DNF'];
+
+// WCA rule A3d1: starting 15-17 s into inspection costs 2 seconds, later is a DNF
+export function inspectionPenalty(elapsed) {
+    if (elapsed >= INSPECTION_DNF_MS) return 'DNF';
+    if (elapsed >= INSPECTION_MS) return '+2';
+    return '';
+}
+
+// Time that counts, in ms; Infinity for a DNF so it sorts last
+export function effectiveTime(solve) {
+    if (solve.penalty === 'DNF') return Infinity;
+    return solve.time + (solve.penalty === '+2' ? 2000 : 0);
+}
+
+// 12.34, 1:02.35 (truncated to hundredths), DNF, or - for no result
+export function formatTime(ms) {
+    if (ms === null || ms === undefined) return '-';
+    if (ms === Infinity) return 'DNF';
+    const cs = Math.floor(ms / 10);
+    const minutes = Math.floor(cs / 6000);
+    const seconds = ((cs % 6000) / 100).toFixed(2);
+    return minutes ? `${minutes}:${seconds.padStart(5, '0')}` : seconds;
+}
+
+// One solve as shown in a list: 14.34+ for a +2, DNF(12.34) for a DNF
+export function formatSolve(solve) {
+    if (solve.penalty === 'DNF') return `DNF(${formatTime(solve.time)})`;
+    return formatTime(effectiveTime(solve)) + (solve.penalty === '+2' ? '+' : '');
+}
+
+// --- STATISTICS ---
+
+export function bestTime(solves) {
+    if (!solves.length) return null;
+    return Math.min(...solves.map(effectiveTime));
+}
+
+// Plain mean of the last n solves; DNF if any of them is
+export function meanOf(solves, n) {
+    if (solves.length < n) return null;
+    const times = solves.slice(-n).map(effectiveTime);
+    if (times.includes(Infinity)) return Infinity;
+    return times.reduce((a, b) => a + b, 0) / n;
+}
+
+// WCA-style average of the last n solves: the best and worst 5% (at least
+// one each) are dropped and the rest averaged. DNFs count as the worst
+// times, so more DNFs than dropped solves make the average a DNF.
+export function averageOf(solves, n) {
+    if (solves.length < n) return null;
+    const trim = Math.max(1, Math.ceil(n * 0.05));
+    const times = solves.slice(-n).map(effectiveTime).sort((a, b) => a - b);
+    const counted = times.slice(trim, n - trim);
+    if (counted.includes(Infinity)) return Infinity;
+    return counted.reduce((a, b) => a + b, 0) / counted.length;
+}
+
+// Current statistics of a session; null where there are too few solves
+export function sessionStats(solves) {
+    return {
+        count: solves.length,
+        best: bestTime(solves),
+        mo3: meanOf(solves, 3),
+        ao5: averageOf(solves, 5),
+        ao12: averageOf(solves, 12),
+        ao100: averageOf(solves, 100)
+    };
+}
+
+// --- SESSIONS ---
+
+// { current, sessions: [{ name, solves }] }, always with at least one session
+export function defaultSessions() {
+    return { current: 'Session 1', sessions: [{ name: 'Session 1', solves: [] }] };
+}
+
+function sanitiseSolve(solve) {
+    if (!solve || typeof solve !== 'object') return null;
+    if (typeof solve.time !== 'number' || !Number.isFinite(solve.time) || solve.time < 0) return null;
+    return {
+        time: Math.round(solve.time),
+        penalty: PENALTIES.includes(solve.penalty) ? solve.penalty : '',
+        scramble: typeof solve.scramble === 'string' ? solve.scramble : '',
+        puzzle: typeof solve.puzzle === 'string' ? solve.puzzle : '',
+        date: typeof solve.date === 'number' ? solve.date : 0
+    };
+}
+
+// Keep only well-formed sessions and solves (e.g. from a corrupted or older
+// localStorage entry); session names stay unique
+export function sanitiseSessions(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.sessions)) return defaultSessions();
+    const sessions = [];
+    for (const session of data.sessions) {
+        if (!session || typeof session.name !== 'string' || !session.name.trim()) continue;
+        const name = session.name.trim();
+        if (sessions.some(s => s.name === name)) continue;
+        const solves = Array.isArray(session.solves) ? session.solves.map(sanitiseSolve).filter(Boolean) : [];
+        sessions.push({ name, solves });
+    }
+    if (!sessions.length) return defaultSessions();
+    const current = sessions.some(s => s.name === data.current) ? data.current : sessions[0].name;
+    return { current, sessions };
+}
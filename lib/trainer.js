@@ -0,0 +1,85 @@
+// --- OLL / PLL TRAINER ---
+// Picks cases to drill, decides when a drilled case is done and keeps the
+// recent times of every case. No DOM: script.js sets up the cube and times
+// the turns.
+//
+// Stored data is { selected: [case ids], times: { id: [ms, ...] } }, newest
+// time last.
+
+import { CASES } from './cases.js';
+import { isSolvedFacelets } from './facelets.js';
+import { cfopProgress } from './reconstruction.js';
+import { algorithmToMoves } from './notation.js';
+import { applyMoves } from './stickers.js';
+
+export const KEPT_TIMES = 12;
+// Cases practised at least this often can count as weak
+const WEAK_MIN_TIMES = 3;
+
+export function defaultTrainerData() {
+    return { selected: CASES.filter(c => c.set === 'pll').map(c => c.id), times: {} };
+}
+
+// Keep only known cases and sensible times (e.g. from an older entry)
+export function sanitiseTrainerData(data) {
+    const trainer = defaultTrainerData();
+    if (!data || typeof data !== 'object') return trainer;
+    const known = new Set(CASES.map(c => c.id));
+    if (Array.isArray(data.selected)) trainer.selected = [...new Set(data.selected.filter(id => known.has(id)))];
+    if (data.times && typeof data.times === 'object') {
+        for (const [id, times] of Object.entries(data.times)) {
+            if (!known.has(id) || !Array.isArray(times)) continue;
+            const valid = times.filter(t => typeof t === 'number' && Number.isFinite(t) && t > 0).map(Math.round);
+            if (valid.length) trainer.times[id] = valid.slice(-KEPT_TIMES);
+        }
+    }
+    return trainer;
+}
+
+export function recordCaseTime(data, id, ms) {
+    const times = data.times[id] || (data.times[id] = []);
+    times.push(Math.round(ms));
+    if (times.length > KEPT_TIMES) times.splice(0, times.length - KEPT_TIMES);
+}
+
+// { count, best, mean } over the kept times; null times for a new case
+export function caseStats(data, id) {
+    const times = data.times[id] || [];
+    if (!times.length) return { count: 0, best: null, mean: null };
+    return {
+        count: times.length,
+        best: Math.min(...times),
+        mean: times.reduce((a, b) => a + b, 0) / times.length
+    };
+}
+
+// The `count` slowest cases by mean among `ids`, slowest first. Cases with
+// too few times to judge are left out.
+export function weakCases(data, ids, count = 5) {
+    return ids
+        .map(id => ({ id, ...caseStats(data, id) }))
+        .filter(s => s.count >= WEAK_MIN_TIMES)
+        .sort((a, b) => b.mean - a.mean)
+        .slice(0, count)
+        .map(s => s.id);
+}
+
+// A random case from `ids`, not `last` again unless it is the only one.
+// `random` is Math.random or a seeded generator.
+export function pickCase(ids, last = null, random = Math.random) {
+    const pool = ids.length > 1 ? ids.filter(id => id !== last) : ids;
+    if (!pool.length) return null;
+    return pool[Math.floor(random() * pool.length)];
+}
+
+const OUTER_TURNS = ['U', 'R', 'F', 'D', 'L', 'B'].flatMap(face => [face, `${face}2`, `${face}'`]);
+
+// Is a drilled 3x3 case done? OLL: the first two layers are intact and the
+// last layer faces one way, on whichever face it is now. PLL: the cube is
+// solved, leaving out a final turn of the last layer (the AUF). Rotations
+// and slice moves on the way do not matter.
+export function caseSolved(facelets, set) {
+    if (set === 'oll') return [0, 1, 2, 3, 4, 5].some(face => cfopProgress(facelets, face) >= 6);
+    if (isSolvedFacelets(facelets, 3)) return true;
+    return OUTER_TURNS.some(turn => isSolvedFacelets(applyMoves(facelets, algorithmToMoves(turn, 3), 3), 3));
+}
@@ -0,0 +1,189 @@
+// --- STATE VALIDATION ---
+// Checks a hand-entered facelet string (e.g. from the sticker editor) and
+// explains every problem in cuber's terms: "One corner is twisted clockwise."
+// rather than a solver error. Letters are the face colours of the standard
+// scheme (U white, R red, F green, D yellow, L orange, B blue); pass other
+// names to match the colours on screen.
+//
+// 2×2 and 3×3 get the full check: colour counts, real corner and edge
+// pieces, each piece once, corner twist, edge flip and permutation parity
+// (3×3). Bigger cubes get the same checks on the pieces that behave like a
+// smaller cube's: corner twist on every order, and on odd orders the middle
+// edges' flip and their parity against the corners. Then every piece is
+// matched to a real one; wing and centre parity cases are legal and the
+// reduction solver fixes them.
+
+import { CORNER_FACELETS, CORNER_NAMES, CORNER_COLORS, EDGE_FACELETS, EDGE_NAMES, EDGE_COLORS, FACES } from './cubie.js';
+import { ORIENTATIONS, faceColours, importFacelets } from './facelets.js';
+import { VirtualCube } from './cube.js';
+
+export const COLOUR_NAMES = { U: 'white', R: 'red', F: 'green', D: 'yellow', L: 'orange', B: 'blue' };
+
+const OPPOSITE = { U: 'D', D: 'U', R: 'L', L: 'R', F: 'B', B: 'F' };
+
+// 3×3 facelet index of 2×2 sticker i (the 2×2 is the 3×3's corners)
+function fromPocket(i) {
+    const face = Math.floor(i / 4), n = i % 4;
+    return face * 9 + Math.floor(n / 2) * 6 + (n % 2) * 2;
+}
+
+const list = (names, letters) => letters.map(c => names[c]).join('-');
+
+function permutationParity(perm) {
+    let parity = 0;
+    for (let i = 0; i < perm.length; i++) {
+        for (let j = i + 1; j < perm.length; j++) {
+            if (perm[j] < perm[i]) parity ^= 1;
+        }
+    }
+    return parity;
+}
+
+// Centre colours as a possible whole-cube orientation; returns the map from
+// colour to the face it stands for, or null
+function centreMap(centres) {
+    const orientation = ORIENTATIONS.find(o => {
+        const colours = faceColours(o);
+        return FACES.every(face => colours[face] === centres[face]);
+    });
+    if (!orientation) return null;
+    const map = {};
+    FACES.forEach(face => { map[centres[face]] = face; });
+    return map;
+}
+
+// Problems with the corners (and edges on 3×3) of a 54-letter string whose
+// letters already name faces
+function checkPieces(facelets, names, withEdges) {
+    const problems = [];
+    const cp = [], co = [], ep = [], eo = [];
+    const cornerSeen = new Map(), edgeSeen = new Map();
+    // Missing pieces are only worth naming when every slot held a real piece
+    let badCorners = 0, badEdges = 0;
+
+    CORNER_FACELETS.forEach((slot, i) => {
+        const colours = slot.map(j => facelets[j]);
+        const shown = list(names, colours);
+        if (new Set(colours).size < 3 || colours.some(c => colours.includes(OPPOSITE[c]))) {
+            problems.push(`The corner at ${CORNER_NAMES[i]} (${shown}) is not a real corner.`);
+            badCorners++;
+            return;
+        }
+        const ori = colours.findIndex(c => c === 'U' || c === 'D');
+        const turned = [0, 1, 2].map(k => colours[(ori + k) % 3]);
+        const piece = CORNER_COLORS.findIndex(c => c.every((x, k) => x === turned[k]));
+        if (piece < 0) {
+            problems.push(`The corner at ${CORNER_NAMES[i]} (${shown}) has its colours in mirror order.`);
+            badCorners++;
+            return;
+        }
+        if (cornerSeen.has(piece)) {
+            problems.push(`The ${list(names, CORNER_COLORS[piece])} corner appears twice (${CORNER_NAMES[cornerSeen.get(piece)]} and ${CORNER_NAMES[i]}).`);
+            return;
+        }
+        cornerSeen.set(piece, i);
+        cp[i] = piece;
+        co[i] = ori;
+    });
+    CORNER_COLORS.forEach((c, piece) => {
+        if (!badCorners && !cornerSeen.has(piece)) problems.push(`The ${list(names, c)} corner is missing.`);
+    });
+
+    if (withEdges) {
+        EDGE_FACELETS.forEach((slot, i) => {
+            const [a, b] = slot.map(j => facelets[j]);
+            const shown = list(names, [a, b]);
+            if (a === b || OPPOSITE[a] === b) {
+                problems.push(`The edge at ${EDGE_NAMES[i]} (${shown}) is not a real edge.`);
+                badEdges++;
+                return;
+            }
+            let piece = EDGE_COLORS.findIndex(c => c[0] === a && c[1] === b);
+            let ori = 0;
+            if (piece < 0) {
+                piece = EDGE_COLORS.findIndex(c => c[0] === b && c[1] === a);
+                ori = 1;
+            }
+            if (edgeSeen.has(piece)) {
+                problems.push(`The ${list(names, EDGE_COLORS[piece])} edge appears twice (${EDGE_NAMES[edgeSeen.get(piece)]} and ${EDGE_NAMES[i]}).`);
+                return;
+            }
+            edgeSeen.set(piece, i);
+            ep[i] = piece;
+            eo[i] = ori;
+        });
+        EDGE_COLORS.forEach((c, piece) => {
+            if (!badEdges && !edgeSeen.has(piece)) problems.push(`The ${list(names, c)} edge is missing.`);
+        });
+    }
+    if (problems.length) return problems;
+
+    const twist = co.reduce((a, b) => a + b, 0) % 3;
+    if (twist === 1) problems.push('One corner is twisted clockwise (or two counter-clockwise).');
+    if (twist === 2) problems.push('One corner is twisted counter-clockwise (or two clockwise).');
+    if (withEdges) {
+        if (eo.reduce((a, b) => a + b, 0) % 2) problems.push('One edge is flipped.');
+        if (permutationParity(cp) !== permutationParity(ep)) {
+            problems.push('Two pieces are swapped (permutation parity): swap two edges or two corners back.');
+        }
+    }
+    return problems;
+}
+
+// Corner (2×2) or corner and edge (3×3) problems of a string with the right
+// colour counts
+function checkPieceStates(facelets, order, names) {
+    if (order === 2) {
+        const full = Array.from({ length: 54 }, () => '?');
+        for (let i = 0; i < 24; i++) full[fromPocket(i)] = facelets[i];
+        return checkPieces(full.join(''), names, false);
+    }
+
+    const centres = {};
+    FACES.forEach((face, i) => { centres[face] = facelets[i * 9 + 4]; });
+    const map = centreMap(centres);
+    if (!map) return ['The centres are not in a possible arrangement (each must sit opposite its usual partner, e.g. white opposite yellow).'];
+    // Read every colour as the face whose centre it matches
+    const relative = facelets.split('').map(c => map[c]).join('');
+    const named = {};
+    FACES.forEach(face => { named[map[face]] = names[face]; });
+    return checkPieces(relative, named, true);
+}
+
+// The stickers of an order-N string that move like a smaller cube's: the
+// corners as a 2×2 on even orders; the corners, middle edges and middle
+// centres as a 3×3 on odd ones
+function reduceFacelets(facelets, order) {
+    const n2 = order * order, last = order - 1;
+    const keep = order % 2 ? [0, last / 2, last] : [0, last];
+    return FACES.map((_, face) => keep.flatMap(row => keep.map(col => facelets[face * n2 + row * order + col])).join('')).join('');
+}
+
+// All problems with a facelet string for an order-N cube; [] if it is a
+// state the cube can reach. Unpainted stickers may be any other character.
+export function validateFacelets(facelets, order, names = COLOUR_NAMES) {
+    const n2 = order * order;
+    if (facelets.length !== 6 * n2) return [`A ${order}x${order} needs ${6 * n2} stickers (got ${facelets.length}).`];
+
+    const unpainted = [...facelets].filter(c => !FACES.includes(c)).length;
+    if (unpainted) return [`${unpainted} sticker${unpainted === 1 ? ' is' : 's are'} not painted yet.`];
+
+    const problems = [];
+    for (const face of FACES) {
+        const count = facelets.split(face).length - 1;
+        if (count !== n2) problems.push(`There ${count === 1 ? 'is' : 'are'} ${count} ${names[face]} sticker${count === 1 ? '' : 's'} (need ${n2}).`);
+    }
+    if (problems.length) return problems;
+    if (order <= 3) return checkPieceStates(facelets, order, names);
+
+    const reduced = checkPieceStates(reduceFacelets(facelets, order), order % 2 ? 3 : 2, names);
+    if (reduced.length) return reduced;
+
+    try {
+        importFacelets(new VirtualCube(order).pieces, order, facelets);
+    } catch (error) {
+        // Name the colours rather than the face letters
+        return [error.message.replace(/colours ([URFDLB]+)/, (_, letters) => `colours ${list(names, [...letters])}`)];
+    }
+    return [];
+}
@@ -0,0 +1,102 @@
+// --- 3x3 VARIANTS ---
+// Solving help for the 3x3 variants of lib/cube.js. On the supercube and the
+// picture cube each centre also has to be turned the right way; once the
+// colours are solved that takes centre-only algorithms, found here by a
+// search over the 4^6 centre twist states. The void cube has no centres, so
+// a state is solved as the 3x3 it could be. Which way round the missing
+// centres sit matters: a slice turn is a quarter turn of the centres, and
+// guessing them wrong leaves edges and corners in opposite parity, which a
+// 3x3 solver cannot finish.
+
+import { VirtualCube } from './cube.js';
+import { algorithmToMoves } from './notation.js';
+import { ORIENTATIONS, faceColours } from './facelets.js';
+import { FACES } from './cubie.js';
+import { validateFacelets } from './validate.js';
+
+export const VARIANTS = ['super', 'picture', 'void'];
+
+// Algorithms that turn centres and nothing else, with their length in moves
+const CENTRE_ALGORITHMS = [
+    { alg: "(U R L U2 R' L')2", length: 12 },   // U 180°
+    { alg: '(U M2 U\' M2)3', length: 12 },      // U and D a quarter each
+    { alg: "(U M' U' M)5", length: 20 }         // U and F a quarter each
+];
+
+// Every whole-cube orientation as a setup for the algorithms
+const SETUPS = ['', 'x', 'x2', "x'", 'z', "z'"].flatMap(a => ['', 'y', 'y2', "y'"].map(b => `${a} ${b}`.trim()));
+
+const stateKey = twists => FACES.reduce((key, face) => key * 4 + ((twists[face] ?? 0) % 4 + 4) % 4, 0);
+
+let table = null;
+
+// Cheapest way to every twist state from solved, built the first time it
+// is needed: { key: { from, alg } } back to 0
+function centreTable() {
+    if (table) return table;
+    const ops = new Map();
+    for (const { alg, length } of CENTRE_ALGORITHMS) {
+        for (const setup of SETUPS) {
+            const written = setup ? `[${setup}: ${alg}]` : alg;
+            const cube = new VirtualCube(3, 'super').applyMoves(algorithmToMoves(written, 3));
+            const effect = cube.centreTwists();
+            const key = stateKey(effect);
+            if (!ops.has(key) || ops.get(key).length > length) ops.set(key, { alg: written, effect, length });
+        }
+    }
+    // Dijkstra over move counts; the states form a group, so the same
+    // algorithms lead from any state
+    table = new Map([[0, { cost: 0, from: null, alg: null, twists: {} }]]);
+    const open = [0];
+    const done = new Set();
+    while (open.length) {
+        open.sort((a, b) => table.get(b).cost - table.get(a).cost);
+        const key = open.pop();
+        if (done.has(key)) continue;
+        done.add(key);
+        const { cost, twists } = table.get(key);
+        for (const op of ops.values()) {
+            const next = {};
+            FACES.forEach(face => { next[face] = ((twists[face] ?? 0) + op.effect[face]) % 4; });
+            const nextKey = stateKey(next);
+            const known = table.get(nextKey);
+            if (!known || known.cost > cost + op.length) {
+                table.set(nextKey, { cost: cost + op.length, from: key, alg: op.alg, twists: next });
+                open.push(nextKey);
+            }
+        }
+    }
+    return table;
+}
+
+// Algorithm that turns every centre back by `twists` (as from
+// VirtualCube#centreTwists) and moves nothing else; '' if none are turned.
+// Throws for twists no 3x3 can reach: the quarter turns always add up to an
+// even number.
+export function centreFix(twists) {
+    const undo = {};
+    FACES.forEach(face => { undo[face] = (4 - (twists[face] ?? 0) % 4) % 4; });
+    const states = centreTable();
+    let key = stateKey(undo);
+    if (!states.has(key)) throw new Error('These centre twists cannot be reached: the turns add up to an odd number.');
+    const algs = [];
+    // Applied in the order found from solved; the twists commute anyway
+    while (states.get(key).from !== null) {
+        algs.unshift(states.get(key).alg);
+        key = states.get(key).from;
+    }
+    return algs.join(' ');
+}
+
+// A void cube's facelet string with the centres filled in, in the first of
+// the 24 orientations that makes it a valid 3x3 state. Whatever stickers the
+// centre slots hold are ignored. Throws if none does, i.e. the stickers are
+// not a void cube state at all.
+export function fillVoidCentres(facelets) {
+    for (const orientation of ORIENTATIONS) {
+        const colours = faceColours(orientation);
+        const filled = [...facelets].map((c, i) => (i % 9 === 4 ? colours[FACES[Math.floor(i / 9)]] : c)).join('');
+        if (!validateFacelets(filled, 3).length) return filled;
+    }
+    throw new Error('These stickers are not a void cube state.');
+}
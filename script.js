@@ -1,21 +1,44 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RoundedBoxGeometry } from 'three/addons/geometries/RoundedBoxGeometry.js';
+import { VirtualCube, ORIENTED_CENTRES } from './lib/cube.js';
+import { VARIANTS } from './lib/variants.js';
+import { describeMismatch, forEachSticker, hideCentres } from './lib/facelets.js';
+import { FACES } from './lib/cubie.js';
+import { canSolve } from './lib/solvers.js';
+import { runSolverJob } from './lib/solverjob.js';
+import { parseAlgorithm, formatAlgorithm, invertAlgorithm, algorithmToMoves, movesToAlgorithm } from './lib/notation.js';
+import { DEFAULT_KEYMAP, keyLabel, rebindKey, sanitiseKeymap, shiftLayers } from './lib/keymap.js';
+import {
+    INSPECTION_MS, inspectionPenalty, formatTime, formatSolve, sessionStats, defaultSessions, sanitiseSessions
+} from './lib/timer.js';
+import { SolveRecorder } from './lib/reconstruction.js';
+import { applyMoves, solvedFacelets, stickerAt } from './lib/stickers.js';
+import { validateFacelets } from './lib/validate.js';
+import { SCHEMES, GLYPHS, defaultColourSettings, sanitiseColourSettings, schemeNames } from './lib/colours.js';
+import { OLL_CASES, PLL_CASES, caseSetup, casePicture, findCase } from './lib/cases.js';
+import {
+    caseSolved, caseStats, defaultTrainerData, pickCase, recordCaseTime, sanitiseTrainerData, weakCases
+} from './lib/trainer.js';
+import { builtInPatterns, sanitisePatterns } from './lib/patterns.js';
+import { Playback, invertMoves, playbackSteps, solveHoldsCube } from './lib/playback.js';
+import { readShareParams, buildShareQuery, parsePuzzle, puzzleValue } from './lib/share.js';
+import { turnDir, optimiseMoves, parallelCount, moveCounts } from './lib/sequence.js';
+import { dimsOf, isCuboid, quarterTurns, sizeName } from './lib/cuboid.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
+    // Sticker colours of the active scheme (lib/colours.js), set by applyColours()
     colors: {
-        R: 0xdc143c,      // Realistic red (slightly brighter)
-        L: 0xff6600,      // Realistic orange
-        U: 0xffffff,       // White
-        D: 0xffd700,       // Realistic yellow (slightly warmer)
-        F: 0x00a651,      // Realistic green (slightly brighter)
-        B: 0x0066cc,       // Realistic blue
+        ...SCHEMES.western.colors,
         CORE: 0x0a0a0a    // Deep black for plastic
     },
     spacing: 1.08, // Increased spacing for realistic gaps between cubelets
     cubeletSize: 0.92, // Slightly smaller cubelets to show gaps (like real Rubik's cube)
     animSpeed: 0.25,
+    // Solver worker limits in ms: a whole job (tables included), and one search
+    solverTimeout: 60000,
+    searchTimeout: 10000,
     // Production mode: set to true to minimize console output
     production: window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1'
 };
@@ -27,14 +50,50 @@ const STATE = {
     isAnimating: false,
     memoryStack: [],
     isSolving: false,
+    isScrambling: false,    // waiting for the scramble job
     // Solver mode:
     //  - 'reverse'     → current reverse-scramble solver
-    //  - 'ai-kociemba' → planned 3×3 Kociemba-based solver (stubbed, PRs welcome)
+    //  - 'ai-kociemba' → 3×3 Kociemba two-phase solver (lib/kociemba.js)
+    //  - 'beginner'    → 3×3 layer-by-layer solver with explanations (lib/beginner.js)
+    //  - 'reduction'   → 4×4/5×5 reduction solver with parity fixes (lib/reduction.js)
+    //  - 'pocket'      → optimal 2×2 solver from BFS distance tables (lib/pocket.js)
     solveMode: 'reverse',
     // Timing
     isTiming: false,
     solveStartTime: 0,
     solveElapsed: 0,
+    // Speedcubing timer for human solves (lib/timer.js)
+    timer: {
+        enabled: false,
+        inspection: true,
+        phase: 'idle',      // idle | inspecting | holding | ready | running | stopped
+        inspectStart: 0,
+        holdStart: 0,
+        start: 0,
+        penalty: ''         // earned during inspection
+    },
+    sessions: defaultSessions(),    // persisted in localStorage
+    currentScramble: '',            // last scramble, kept with each timed solve
+    // Hand-solve recording (lib/reconstruction.js): armed with the scramble,
+    // started by the first hand turn, finished when the cube is solved
+    recordArmed: null,
+    recorder: null,
+    lastReconstruction: null,
+    // Sticker editor: null, or { stickers: face letters ('?' unpainted), paint: letter }
+    editor: null,
+    // Colour scheme and colour-blind marks (persisted in localStorage)
+    colours: defaultColourSettings(),
+    // Step-through playback of the last solution or algorithm (see PLAYBACK):
+    // { player: Playback, kind: 'solve' | 'algorithm', history, playing }
+    playback: null,
+    // Saved patterns, [{ name, puzzle, alg }] (persisted in localStorage)
+    patterns: [],
+    // OLL/PLL trainer: stored case selection and times, and the case being
+    // drilled ({ case, setup, start, time }: start at the first turn, time once solved)
+    trainer: { data: defaultTrainerData(), current: null },
+    // Keyboard turning: KeyboardEvent.code → algorithm (persisted in localStorage)
+    keymap: { ...DEFAULT_KEYMAP },
+    keymapListening: null,  // code being rebound, '' for a new binding, null when idle
     // Dashboard drag/resize
     isDragging: false,
     isResizing: false,
@@ -48,9 +107,8 @@ const STATE = {
 
 // --- GLOBALS ---
 let scene, camera, renderer, controls;
-let allCubelets = [];
+let cubeView = null;    // the drawn cube, see CUBE RENDERING
 const moveQueue = [];
-let pivot = new THREE.Object3D(); 
 let logicCube = null;
 
 // --- INITIALIZATION ---
@@ -60,7 +118,6 @@ function init() {
     scene = new THREE.Scene();
     // Grey background for realistic look
     scene.background = new THREE.Color(0x2a2a2a);
-    scene.add(pivot);
 
     camera = new THREE.PerspectiveCamera(45, window.innerWidth/window.innerHeight, 0.1, 100);
     
@@ -106,6 +163,7 @@ function init() {
         ONE: THREE.TOUCH.ROTATE,
         TWO: THREE.TOUCH.DOLLY_PAN
     };
+    controls.addEventListener('change', requestRender);
 
     // Enhanced lighting setup for realistic look
     const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
@@ -155,205 +213,273 @@ function init() {
 
     buildPuzzle(3, 'normal');
     
-    renderer.setAnimationLoop(animate);
     setupUI();
-}
-
-// --- LOGIC ENGINE ---
-class VirtualCube {
-    constructor(order, type) {
-        this.pieces = [];
-        const offset = (order - 1) / 2;
-        
-        for (let x = 0; x < order; x++) {
-            for (let y = 0; y < order; y++) {
-                for (let z = 0; z < order; z++) {
-                    this.pieces.push({
-                        // Integers
-                        x: x - offset, y: y - offset, z: z - offset,
-                        // Vectors
-                        u: new THREE.Vector3(0, 1, 0),
-                        f: new THREE.Vector3(0, 0, 1),
-                        // ID
-                        ox: x - offset, oy: y - offset, oz: z - offset,
-                        isCenter: (Math.abs(x-offset)+Math.abs(y-offset)+Math.abs(z-offset) === 1),
-                        // Visual
-                        mesh: null
-                    });
-                }
-            }
-        }
-    }
-
-    rotateLogic(axis, slice, dir) {
-        const eps = 0.1;
-        const axisVec = new THREE.Vector3();
-        axisVec[axis] = 1;
-
-        this.pieces.forEach(p => {
-            if (Math.abs(p[axis] - slice) < eps) {
-                const pos = new THREE.Vector3(p.x, p.y, p.z);
-                pos.applyAxisAngle(axisVec, dir * (Math.PI / 2));
-                
-                p.x = Math.round(pos.x * 2) / 2;
-                p.y = Math.round(pos.y * 2) / 2;
-                p.z = Math.round(pos.z * 2) / 2;
-
-                p.u.applyAxisAngle(axisVec, dir * (Math.PI / 2));
-                p.f.applyAxisAngle(axisVec, dir * (Math.PI / 2));
-                
-                p.u.x = Math.round(p.u.x); p.u.y = Math.round(p.u.y); p.u.z = Math.round(p.u.z);
-                p.f.x = Math.round(p.f.x); p.f.y = Math.round(p.f.y); p.f.z = Math.round(p.f.z);
-            }
-        });
-    }
-
-    forceReset() {
-        this.pieces.forEach(p => {
-            p.x = p.ox; p.y = p.oy; p.z = p.oz;
-            p.u.set(0, 1, 0);
-            p.f.set(0, 0, 1);
-        });
-    }
+    applyShareLink();
+    requestRender();
 }
 
 function buildPuzzle(order, type) {
+    if (STATE.editor) stopEditor();
+    cancelSolver();
+    stopTrainer();
+    stopPlayback();
+    STATE.isSolving = false;
     STATE.order = order;
     STATE.type = type;
     STATE.memoryStack = [];
     updateUI();
+    showScramble('');
+    STATE.currentScramble = '';
+    armRecording(null);
+    cancelDragTurn();
+
+    logicCube = new VirtualCube(order, type);
+    buildCubeView();
+    renderPatterns();
+}
 
-    pivot.rotation.set(0,0,0);
-    while(pivot.children.length) scene.attach(pivot.children[0]);
+// --- CUBE RENDERING ---
+// The cube is two InstancedMeshes: a rounded plastic body for every surface
+// piece and a sticker for every facelet. Geometry and materials are shared
+// by all pieces, so a 17x17 takes the same few draw calls as a 2x2. A turn
+// only rewrites the matrices of the layer being turned.
+
+// Local faces of a piece, in sticker order: +x, -x, +y, -y, +z, -z, and the
+// colour each one shows on a solved cube
+const LOCAL_NORMALS = [
+    { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 },
+    { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 },
+    { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 }
+];
+const LOCAL_COLOURS = ['R', 'L', 'U', 'D', 'F', 'B'];
+
+// Square with rounded corners, facing +z
+function roundedSquare(size, radius) {
+    const h = size / 2;
+    const shape = new THREE.Shape();
+    shape.moveTo(-h + radius, -h);
+    shape.lineTo(h - radius, -h);
+    shape.quadraticCurveTo(h, -h, h, -h + radius);
+    shape.lineTo(h, h - radius);
+    shape.quadraticCurveTo(h, h, h - radius, h);
+    shape.lineTo(-h + radius, h);
+    shape.quadraticCurveTo(-h, h, -h, h - radius);
+    shape.lineTo(-h, -h + radius);
+    shape.quadraticCurveTo(-h, -h, -h + radius, -h);
+    const geometry = new THREE.ShapeGeometry(shape, 3);
+    // ShapeGeometry uses the raw coordinates as UVs; stretch them to 0..1
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) uv.setXY(i, (uv.getX(i) + h) / size, (uv.getY(i) + h) / size);
+    return geometry;
+}
+
+// Beveled cubelet with realistic rounded edges
+const BODY_GEOMETRY = new RoundedBoxGeometry(CONFIG.cubeletSize, CONFIG.cubeletSize, CONFIG.cubeletSize, 3, 0.08);
+const STICKER_GEOMETRY = roundedSquare(CONFIG.cubeletSize * 0.86, 0.1);
+const BODY_MATERIALS = {
+    // Semi-matte black plastic like a real Rubik's cube
+    normal: new THREE.MeshStandardMaterial({ color: CONFIG.colors.CORE, roughness: 0.7, metalness: 0.0 }),
+    mirror: new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.1, metalness: 0.5 })
+};
+// Cuboids and the 3x3 variants are the same black plastic
+for (const type of ['cuboid', 'super', 'picture', 'void']) BODY_MATERIALS[type] = BODY_MATERIALS.normal;
+// Glossy vinyl; the colour comes from each instance and the colour-blind
+// mark from a cell of the glyph atlas (see COLOUR SCHEME)
+const STICKER_MATERIAL = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.15, metalness: 0.0 });
+
+// Sticker placement on each local face, just off the plastic
+const STICKER_TURNS = LOCAL_NORMALS.map(n => new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3(n.x, n.y, n.z)));
+const STICKER_OFFSETS = LOCAL_NORMALS.map((n, k) => new THREE.Matrix4().compose(
+    new THREE.Vector3(n.x, n.y, n.z).multiplyScalar(CONFIG.cubeletSize / 2 + 0.002),
+    STICKER_TURNS[k],
+    new THREE.Vector3(1, 1, 1)
+));
+
+// Picture cube: which tile of the 3x3 face picture a sticker shows, from
+// where it sits when solved, in its texture's own right and up directions
+function pictureTile(home, k) {
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(STICKER_TURNS[k]);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(STICKER_TURNS[k]);
+    return (1 - Math.round(up.dot(home))) * 3 + Math.round(right.dot(home)) + 1;
+}
+
+const tmpMatrix = new THREE.Matrix4();
+const turnMatrix = new THREE.Matrix4();
+const turnedMatrix = new THREE.Matrix4();
+const tmpColour = new THREE.Color();
+
+function buildCubeView() {
+    if (cubeView) {
+        scene.remove(cubeView.group);
+        cubeView.body.dispose();
+        cubeView.stickers.dispose();
+        cubeView.stickers.geometry.dispose();
+    }
 
-    allCubelets.forEach(m => {
-        scene.remove(m);
-        if(m.geometry) m.geometry.dispose();
+    const dims = dimsOf(STATE.order);
+    const pieces = logicCube.pieces;
+    // Stickers on the faces each piece shows when solved; the mirror cube
+    // has none, its shape is its colour, and the void cube has no centres.
+    // `cell` overrides the colour-blind mark: the supercube's centre arrows
+    // and the picture cube's tiles.
+    const stickerSlots = [];
+    const stickersOf = pieces.map((p, i) => {
+        if (STATE.type === 'mirror' || (STATE.type === 'void' && p.isCenter)) return [];
+        const home = { x: p.ox, y: p.oy, z: p.oz };
+        return LOCAL_NORMALS.flatMap((n, k) => {
+            const axis = n.x ? 'x' : n.y ? 'y' : 'z';
+            if (home[axis] !== n[axis] * (dims[axis] - 1) / 2) return [];
+            const slot = { piece: i, face: k };
+            if (STATE.type === 'super' && p.isCenter) slot.cell = GLYPH_ARROW;
+            if (STATE.type === 'picture') slot.cell = GLYPH_PICTURE + pictureTile(new THREE.Vector3(p.ox, p.oy, p.oz), k);
+            stickerSlots.push(slot);
+            return [[stickerSlots.length - 1, k]];
+        });
     });
-    allCubelets = [];
 
-    logicCube = new VirtualCube(order, type);
-    
-    // Create realistic beveled cube geometry with rounded edges
-    const createRealisticCubelet = () => {
-        const size = CONFIG.cubeletSize;
-        const radius = 0.08; // Radius for rounded corners (realistic bevel)
-        const segments = 3; // Number of segments for smooth rounded edges
-        
-        // Use RoundedBoxGeometry for realistic beveled edges
-        return new RoundedBoxGeometry(size, size, size, segments, radius);
+    const body = new THREE.InstancedMesh(BODY_GEOMETRY, BODY_MATERIALS[STATE.type], pieces.length);
+    body.castShadow = true;
+    body.receiveShadow = true;
+    // Per-sticker atlas cell of its mark
+    const stickerGeometry = STICKER_GEOMETRY.clone();
+    stickerGeometry.setAttribute('glyph', new THREE.InstancedBufferAttribute(new Float32Array(stickerSlots.length), 1));
+    const stickers = new THREE.InstancedMesh(stickerGeometry, STICKER_MATERIAL, stickerSlots.length);
+    stickers.receiveShadow = true;
+
+    const group = new THREE.Group();
+    // Big cubes are shrunk to the size of a 5x5 so the camera needs no change;
+    // a cuboid by its longest side
+    group.scale.setScalar(Math.min(1, 5 / Math.max(dims.x, dims.y, dims.z)));
+    group.add(body, stickers);
+    scene.add(group);
+
+    cubeView = {
+        group, body, stickers, stickerSlots, stickersOf,
+        index: new Map(pieces.map((p, i) => [p, i])),
+        base: pieces.map(() => new THREE.Matrix4()),
+        turning: null       // { axis, layers } while layers are off the grid
     };
-    
-    logicCube.pieces.forEach(p => {
-        const ox = p.ox, oy = p.oy, oz = p.oz;
-        const offset = (order - 1) / 2;
-
-        // Create realistic black plastic material for cube body
-        const plasticMaterial = new THREE.MeshStandardMaterial({
-            color: 0x0a0a0a, // Deep black plastic like real Rubik's cube
-            roughness: 0.7,  // Semi-matte finish (realistic plastic)
-            metalness: 0.0,
-            flatShading: false
-        });
+    paintStickers();
+    forceVisualSync();
+    body.computeBoundingSphere();
+    stickers.computeBoundingSphere();
+}
 
-        // Create realistic sticker materials - vibrant colors with glossy finish
-        const createStickerMaterial = (color) => {
-            return new THREE.MeshStandardMaterial({
-                color: color,
-                roughness: 0.15,  // Glossy sticker finish (like real vinyl stickers)
-                metalness: 0.0,
-                flatShading: false
-            });
-        };
+// Where piece p sits when it is on the grid
+function pieceMatrix(p, target) {
+    const spacing = STATE.type === 'mirror' ? 1.4 : CONFIG.spacing;
+    const up = new THREE.Vector3(p.u.x, p.u.y, p.u.z);
+    const front = new THREE.Vector3(p.f.x, p.f.y, p.f.z);
+    const right = new THREE.Vector3().crossVectors(up, front);
+    target.makeBasis(right, up, front);
+    // Mirror pieces are sized by their home position
+    if (STATE.type === 'mirror') target.scale(new THREE.Vector3(1 + p.ox * 0.35, 1 + p.oy * 0.35, 1 + p.oz * 0.35));
+    // The void cube has a hole where the centres would be
+    if (STATE.type === 'void' && p.isCenter) target.scale(new THREE.Vector3(0, 0, 0));
+    return target.setPosition(p.x * spacing, p.y * spacing, p.z * spacing);
+}
 
-        // Determine which faces have colored stickers
-        const hasStickerRight = ox === offset;
-        const hasStickerLeft = ox === -offset;
-        const hasStickerTop = oy === offset;
-        const hasStickerBottom = oy === -offset;
-        const hasStickerFront = oz === offset;
-        const hasStickerBack = oz === -offset;
-
-        // Create materials array: [Right, Left, Top, Bottom, Front, Back]
-        const materials = [
-            hasStickerRight ? createStickerMaterial(CONFIG.colors.R) : plasticMaterial.clone(),
-            hasStickerLeft ? createStickerMaterial(CONFIG.colors.L) : plasticMaterial.clone(),
-            hasStickerTop ? createStickerMaterial(CONFIG.colors.U) : plasticMaterial.clone(),
-            hasStickerBottom ? createStickerMaterial(CONFIG.colors.D) : plasticMaterial.clone(),
-            hasStickerFront ? createStickerMaterial(CONFIG.colors.F) : plasticMaterial.clone(),
-            hasStickerBack ? createStickerMaterial(CONFIG.colors.B) : plasticMaterial.clone(),
-        ];
-
-        if (type === 'mirror') {
-            materials.forEach(m => { 
-                m.color.setHex(0x2a2a2a); 
-                m.roughness = 0.1;
-                m.metalness = 0.5;
-            });
-        }
+function placePiece(i, matrix) {
+    cubeView.body.setMatrixAt(i, matrix);
+    for (const [id, k] of cubeView.stickersOf[i]) {
+        cubeView.stickers.setMatrixAt(id, tmpMatrix.multiplyMatrices(matrix, STICKER_OFFSETS[k]));
+    }
+}
 
-        // Create the main cubelet mesh with realistic beveled edges
-        const geom = createRealisticCubelet();
-        const mesh = new THREE.Mesh(geom, materials);
-        
-        if (type === 'mirror') mesh.scale.set(1 + ox*0.35, 1 + oy*0.35, 1 + oz*0.35);
+function viewChanged() {
+    cubeView.body.instanceMatrix.needsUpdate = true;
+    cubeView.stickers.instanceMatrix.needsUpdate = true;
+    requestRender();
+}
 
-        // Add subtle black edge lines for definition (like real cube gaps)
-        const edgeGeometry = new THREE.EdgesGeometry(geom);
-        const edgeMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x000000,
-            linewidth: 1.5
-        });
-        const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
-        mesh.add(edges);
+// Colour and mark of every sticker by face letter ('?' for unpainted);
+// `letterOf(slot)` overrides the solved colours (editor)
+function paintStickers(letterOf = slot => LOCAL_COLOURS[slot.face]) {
+    const { stickers, stickerSlots } = cubeView;
+    const glyph = stickers.geometry.attributes.glyph;
+    stickerSlots.forEach((slot, id) => {
+        const letter = letterOf(slot);
+        stickers.setColorAt(id, tmpColour.setHex(CONFIG.colors[letter] ?? 0x444444));
+        glyph.setX(id, slot.cell ?? (FACES.includes(letter) ? FACES.indexOf(letter) : GLYPH_BLANK));
+    });
+    if (stickers.instanceColor) stickers.instanceColor.needsUpdate = true;
+    glyph.needsUpdate = true;
+    requestRender();
+}
 
-        // Enable shadows for realistic depth and lighting
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
+// Lift layers along `axis` off the grid to turn them on screen together.
+// `turns` are { slice, dir }: at angle a each layer stands at a * dir.
+function startLayerTurn(axis, turns) {
+    cubeView.turning = {
+        axis,
+        layers: turns.map(({ slice, dir }) => ({ dir, pieces: logicCube.layer(axis, slice).map(p => cubeView.index.get(p)) }))
+    };
+}
 
-        p.mesh = mesh;
-        scene.add(mesh);
-        allCubelets.push(mesh);
+function setLayerAngle(angle) {
+    const { axis, layers } = cubeView.turning;
+    const axisVec = new THREE.Vector3();
+    axisVec[axis] = 1;
+    layers.forEach(({ dir, pieces }) => {
+        turnMatrix.makeRotationAxis(axisVec, angle * dir);
+        pieces.forEach(i => placePiece(i, turnedMatrix.multiplyMatrices(turnMatrix, cubeView.base[i])));
     });
+    viewChanged();
+}
 
-    forceVisualSync();
+// Once rotateLogic has moved the turned layers, put them back on the grid
+function endLayerTurn() {
+    cubeView.turning.layers.forEach(({ pieces }) => {
+        pieces.forEach(i => placePiece(i, pieceMatrix(logicCube.pieces[i], cubeView.base[i])));
+    });
+    cubeView.turning = null;
+    viewChanged();
 }
 
-// --- VISUAL SYNC (THE FIX) ---
-// This function ensures the mesh is NEVER stuck on a tilted pivot.
+// --- VISUAL SYNC ---
+// Put every piece where the logic cube says it is. Needed after a build or
+// an import; turns only touch their own layer.
 function forceVisualSync() {
-    // 1. NUCLEAR DETACH: Force everything off the pivot into World Space
-    while(pivot.children.length > 0) {
-        scene.attach(pivot.children[0]);
-    }
-    
-    // 2. Reset Pivot to Neutral
-    pivot.rotation.set(0, 0, 0);
-    pivot.position.set(0, 0, 0);
-    pivot.updateMatrixWorld();
+    cubeView.turning = null;
+    logicCube.pieces.forEach((p, i) => placePiece(i, pieceMatrix(p, cubeView.base[i])));
+    viewChanged();
+    showFrame();
+}
 
-    // 3. Teleport Meshes to Logic Grid
-    const spacing = (STATE.type === 'mirror') ? 1.4 : CONFIG.spacing;
-    
-    logicCube.pieces.forEach(p => {
-        const m = p.mesh;
-        m.position.set(p.x * spacing, p.y * spacing, p.z * spacing);
-        
-        const mat = new THREE.Matrix4();
-        const right = new THREE.Vector3().crossVectors(p.u, p.f).normalize();
-        mat.makeBasis(right, p.u, p.f);
-        m.quaternion.setFromRotationMatrix(mat);
-        
-        m.updateMatrix();
-        m.updateMatrixWorld();
-    });
+// --- ORIENTATION ---
+// x, y and z are single moves that turn every piece (lib/cube.js), so
+// notation always names the faces as seen. The cube's frame records the
+// rotations since home; solvers take any orientation, so nothing turns the
+// cube back unless asked.
+
+function showFrame() {
+    document.getElementById('frame-state').innerText = logicCube.frameAlgorithm() || 'Home';
+}
+
+// Rotate back to the home orientation, as recorded moves
+function resetOrientation() {
+    if (STATE.isAnimating || moveQueue.length || dragTurn || STATE.editor) return;
+    const rotations = logicCube.frameAlgorithm();
+    if (!rotations) {
+        log("Orientation: the cube is already in its home orientation.");
+        return;
+    }
+    const undo = formatAlgorithm(invertAlgorithm(parseAlgorithm(rotations)));
+    log(`Orientation: ${undo}`);
+    stopPlayback();
+    queueMoves(algorithmToMoves(undo, STATE.order));
 }
 
 // --- ANIMATION ---
-let currentMove = null;
+// Moves on parallel layers of one axis at the head of the queue turn
+// together (lib/sequence.js), and a half turn is one move, so R2 or
+// R L' animate as a single turn.
+let currentTurn = null;     // the moves turning now
 let progress = 0;
 let lastTime = 0;
-const ANIMATION_DURATION = 0.4; // seconds per rotation
+let turnDuration = 0;
+const ANIMATION_DURATION = 0.4; // seconds per quarter turn
+const HALF_TURN_DURATION = 0.6; // seconds when any layer turns 180°
 
 // Smooth easing functions
 function easeInOutCubic(t) {
@@ -365,14 +491,19 @@ function easeOutCubic(t) {
 }
 
 function processQueue() {
-    if (!moveQueue.length) {
+    // A layer is being turned by hand; queued moves wait until it settles
+    if (dragTurn) return;
+    if (!moveQueue.length && !currentTurn) feedPlayback();
+
+    if (!moveQueue.length && !currentTurn) {
         if (STATE.isAnimating) {
             STATE.isAnimating = false;
-            document.getElementById('ai-state').innerText = "IDLE";
-            document.getElementById('ai-state').style.color = "#666";
+            // Turns made while the solver works end back at THINKING
+            showSolverStatus(Boolean(solverJob));
             
             forceVisualSync();
-            validateAndHeal();
+            verifySolve();
+            checkTimerSolved();
 
             // Stop timer when solving completes
             if (STATE.isTiming) {
@@ -384,360 +515,1776 @@ function processQueue() {
         return;
     }
 
-    const currentTime = performance.now() / 1000; // Convert to seconds
-    const deltaTime = lastTime ? currentTime - lastTime : 0.016; // Default to ~60fps if first frame
-    lastTime = currentTime;
+    const currentTime = performance.now() / 1000; // Convert to seconds
+    let deltaTime = lastTime ? currentTime - lastTime : 0.016; // Default to ~60fps if first frame
+    lastTime = currentTime;
+
+    if (!currentTurn) {
+        currentTurn = moveQueue.splice(0, parallelCount(moveQueue));
+        turnDuration = currentTurn.some(m => Math.abs(m.dir) === 2) ? HALF_TURN_DURATION : ANIMATION_DURATION;
+        STATE.isAnimating = true;
+        progress = 0;
+        // Frames stop while idle, so the time since the last one means nothing
+        deltaTime = 0;
+        document.getElementById('ai-state').innerText = "MOVING";
+        document.getElementById('ai-state').style.color = "#00ff88";
+
+        startLayerTurn(currentTurn[0].axis, currentTurn);
+    }
+
+    // Calculate speed multiplier based on CONFIG.animSpeed
+    // animSpeed 0.25 = normal speed, higher = faster
+    // Map slider value (1-20) to speed multiplier (0.1x to 10x)
+    const speedMultiplier = Math.max(0.1, CONFIG.animSpeed / 0.25);
+    const adjustedDuration = turnDuration / speedMultiplier;
+    
+    // Update progress based on deltaTime for smooth frame-rate independent animation
+    progress += deltaTime / adjustedDuration;
+    
+    // Clamp progress
+    if (progress >= 1.0) progress = 1.0;
+
+    if (progress >= 1.0) {
+        // Finish the turn
+        currentTurn.forEach(m => logicCube.rotateLogic(m.axis, m.slice, m.dir));
+        endLayerTurn();
+
+        currentTurn = null;
+        progress = 0;
+    } else {
+        // Apply easing for smooth acceleration and deceleration
+        const easedProgress = easeInOutCubic(progress);
+        setLayerAngle(easedProgress * (Math.PI / 2));
+    }
+}
+
+// Apply the turning and queued moves at once
+function finishQueuedMoves() {
+    if (currentTurn) {
+        currentTurn.forEach(m => logicCube.rotateLogic(m.axis, m.slice, m.dir));
+        currentTurn = null;
+        progress = 0;
+    }
+    moveQueue.splice(0).forEach(m => logicCube.rotateLogic(m.axis, m.slice, m.dir));
+}
+
+// --- PLAYBACK ---
+// Solutions and typed algorithms play one step at a time through the move
+// queue (lib/playback.js), so they can be paused, stepped both ways and
+// scrubbed. The move history follows the position: an algorithm adds the
+// steps played so far, a solution keeps the inverse of the steps still to
+// play, which is empty once the cube is solved.
+
+// Play `alg` from the current state; kind is 'solve' or 'algorithm'
+function startPlayback(alg, kind) {
+    STATE.playback = {
+        player: new Playback(playbackSteps(alg, STATE.order)),
+        kind,
+        history: STATE.memoryStack.slice(),
+        playing: true
+    };
+    const steps = document.getElementById('playback-steps');
+    steps.innerHTML = '';
+    STATE.playback.player.steps.forEach((step, i) => {
+        const span = document.createElement('span');
+        span.className = 'playback-step';
+        span.textContent = step.notation;
+        span.title = `Go to after move ${i + 1}`;
+        span.addEventListener('click', () => seekPlayback(i + 1));
+        steps.appendChild(span);
+    });
+    document.getElementById('playback-title').textContent = kind === 'solve' ? 'Solution' : 'Algorithm';
+    syncPlaybackHistory();
+    renderPlayback();
+    requestRender();
+}
+
+function stopPlayback() {
+    if (!STATE.playback) return;
+    // A solution closed part-way is no longer being solved
+    if (STATE.playback.kind === 'solve') STATE.isSolving = false;
+    STATE.playback = null;
+    renderPlayback();
+}
+
+function syncPlaybackHistory() {
+    const { player, kind, history } = STATE.playback;
+    STATE.memoryStack = kind === 'solve' ? invertMoves(player.movesAfter()) : [...history, ...player.movesBefore()];
+    updateUI();
+}
+
+// Called by processQueue once the queue is empty: the next step, if playing
+function feedPlayback() {
+    const playback = STATE.playback;
+    if (!playback?.playing) return;
+    const moves = playback.player.forward();
+    if (moves) {
+        moveQueue.push(...moves);
+        syncPlaybackHistory();
+    } else {
+        playback.playing = false;
+    }
+    renderPlayback();
+}
+
+function togglePlayback() {
+    const playback = STATE.playback;
+    if (!playback || STATE.editor) return;
+    // Play at the end starts over
+    if (!playback.playing && playback.player.atEnd) seekPlayback(0);
+    playback.playing = !playback.playing;
+    renderPlayback();
+    requestRender();
+}
+
+// One step forward (1) or back (-1), animated; pauses playing
+function stepPlayback(direction) {
+    const playback = STATE.playback;
+    if (!playback || STATE.editor) return;
+    playback.playing = false;
+    if (!currentTurn && !moveQueue.length && !dragTurn) {
+        const moves = direction > 0 ? playback.player.forward() : playback.player.back();
+        if (moves) {
+            playMoves(moves);
+            syncPlaybackHistory();
+        }
+    }
+    renderPlayback();
+}
+
+// Jump to a position at once; a step still turning is finished first
+function seekPlayback(position) {
+    const playback = STATE.playback;
+    if (!playback || STATE.editor || dragTurn) return;
+    playback.playing = false;
+    finishQueuedMoves();
+    logicCube.applyMoves(playback.player.seek(position));
+    forceVisualSync();
+    syncPlaybackHistory();
+    renderPlayback();
+    verifySolve();
+    requestRender();
+}
+
+// Highlight the step just played and update the transport
+function renderPlayback() {
+    const playback = STATE.playback;
+    document.getElementById('playback-panel').hidden = !playback;
+    if (!playback) return;
+    const { player, playing } = playback;
+    const spans = document.getElementById('playback-steps').children;
+    for (let i = 0; i < spans.length; i++) {
+        spans[i].classList.toggle('done', i < player.position);
+        spans[i].classList.toggle('current', i === player.position - 1);
+    }
+    spans[player.position - 1]?.scrollIntoView({ block: 'nearest' });
+
+    const scrub = document.getElementById('playback-scrub');
+    scrub.max = player.steps.length;
+    scrub.value = player.position;
+    document.getElementById('playback-position').textContent = `${player.position} / ${player.steps.length}`;
+    const play = document.getElementById('btn-playback-play');
+    play.textContent = playing ? '⏸' : '▶';
+    play.title = playing ? 'Pause' : 'Play';
+    document.getElementById('btn-playback-start').disabled = player.atStart;
+    document.getElementById('btn-playback-back').disabled = player.atStart;
+    document.getElementById('btn-playback-forward').disabled = player.atEnd;
+    document.getElementById('btn-playback-end').disabled = player.atEnd;
+}
+
+function setupPlayback() {
+    document.getElementById('btn-playback-start').addEventListener('click', () => seekPlayback(0));
+    document.getElementById('btn-playback-back').addEventListener('click', () => stepPlayback(-1));
+    document.getElementById('btn-playback-play').addEventListener('click', togglePlayback);
+    document.getElementById('btn-playback-forward').addEventListener('click', () => stepPlayback(1));
+    document.getElementById('btn-playback-end').addEventListener('click', () => {
+        if (STATE.playback) seekPlayback(STATE.playback.player.steps.length);
+    });
+    const scrub = document.getElementById('playback-scrub');
+    scrub.addEventListener('input', () => seekPlayback(Number(scrub.value)));
+    // Turning keys must not move the slider
+    scrub.addEventListener('change', () => scrub.blur());
+}
+
+// --- DRAG TO TURN ---
+// Pointer drags on a sticker turn the layer under it. The layer follows the
+// pointer (startLayerTurn), snaps to the nearest quarter turn on release and is then
+// committed through VirtualCube.rotateLogic. Drags that start on the
+// background fall through to OrbitControls.
+const raycaster = new THREE.Raycaster();
+const DRAG_THRESHOLD = 8;      // pixels before a drag commits to an axis
+const SNAP_DURATION = 0.15;    // seconds to settle on a quarter turn
+let dragTurn = null;
+
+function worldToScreen(v) {
+    const p = v.clone().project(camera);
+    const rect = renderer.domElement.getBoundingClientRect();
+    return new THREE.Vector2((p.x + 1) / 2 * rect.width, (1 - p.y) / 2 * rect.height);
+}
+
+// Snap a world direction to the closest principal axis
+function snapToAxis(v) {
+    const axis = ['x', 'y', 'z'].reduce((best, a) => Math.abs(v[a]) > Math.abs(v[best]) ? a : best, 'x');
+    const vec = new THREE.Vector3();
+    vec[axis] = Math.sign(v[axis]);
+    return { axis, vec };
+}
+
+// The piece under the pointer: { hit, piece, normal }, or null. normal is
+// the world axis the touched face points along, from snapToAxis.
+function pickCubelet(e) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(ndc, camera);
+    const hit = raycaster.intersectObjects([cubeView.body, cubeView.stickers], false)[0];
+    if (!hit || !hit.face) return null;
+
+    const index = hit.object === cubeView.body ? hit.instanceId : cubeView.stickerSlots[hit.instanceId].piece;
+    hit.object.getMatrixAt(hit.instanceId, tmpMatrix);
+    const normal = snapToAxis(hit.face.normal.clone().transformDirection(tmpMatrix));
+    return { hit, piece: logicCube.pieces[index], normal };
+}
+
+function onTurnPointerDown(e) {
+    if (dragTurn || !e.isPrimary) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (STATE.isAnimating || currentTurn || moveQueue.length) return;
+
+    const picked = pickCubelet(e);
+    if (!picked) return;
+    const { hit, piece, normal } = picked;
+    // While editing, a click paints the sticker instead of turning
+    if (STATE.editor) {
+        paintCubeletSticker(piece, normal);
+        return;
+    }
+
+    // Keep OrbitControls from starting a rotation for this gesture
+    controls.enabled = false;
+    renderer.domElement.setPointerCapture(e.pointerId);
+    dragTurn = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        piece,
+        point: hit.point.clone(),
+        normal,
+        axis: null,
+        axisVec: null,
+        slice: 0,
+        tangent: null,     // screen pixels per world unit along the turn direction
+        radius: 1,
+        angle: 0,
+        snap: null
+    };
+}
+
+// Pick the turn axis whose on-screen motion best matches the drag
+function chooseDragAxis(dx, dy) {
+    const drag = new THREE.Vector2(dx, dy).normalize();
+    const origin = worldToScreen(dragTurn.point);
+    let best = null;
+    ['x', 'y', 'z'].filter(a => a !== dragTurn.normal.axis).forEach(axis => {
+        const axisVec = new THREE.Vector3();
+        axisVec[axis] = 1;
+        // A positive rotation about axisVec moves the sticker along axisVec × normal
+        const motion = new THREE.Vector3().crossVectors(axisVec, dragTurn.normal.vec);
+        const tangent = worldToScreen(dragTurn.point.clone().add(motion)).sub(origin);
+        const score = Math.abs(drag.dot(tangent.clone().normalize()));
+        if (!best || score > best.score) best = { axis, axisVec, tangent, score };
+    });
+
+    dragTurn.axis = best.axis;
+    dragTurn.axisVec = best.axisVec;
+    dragTurn.tangent = best.tangent;
+    dragTurn.slice = dragTurn.piece[best.axis];
+    const offAxis = dragTurn.point.clone().sub(best.axisVec.clone().multiplyScalar(dragTurn.point.dot(best.axisVec)));
+    dragTurn.radius = Math.max(offAxis.length(), 0.5);
+
+    startLayerTurn(best.axis, [{ slice: dragTurn.slice, dir: 1 }]);
+}
+
+function onTurnPointerMove(e) {
+    if (!dragTurn || dragTurn.snap || e.pointerId !== dragTurn.pointerId) return;
+    const dx = e.clientX - dragTurn.startX;
+    const dy = e.clientY - dragTurn.startY;
+
+    if (!dragTurn.axis) {
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+        chooseDragAxis(dx, dy);
+    }
+
+    const t = dragTurn.tangent;
+    const pixelsPerUnit = Math.max(t.length(), 1e-3);
+    const worldDistance = (dx * t.x + dy * t.y) / (pixelsPerUnit * pixelsPerUnit);
+    dragTurn.angle = worldDistance / dragTurn.radius;
+    setLayerAngle(dragTurn.angle);
+}
+
+function onTurnPointerUp(e) {
+    if (!dragTurn || dragTurn.snap || e.pointerId !== dragTurn.pointerId) return;
+    controls.enabled = true;
+    if (renderer.domElement.hasPointerCapture(e.pointerId)) {
+        renderer.domElement.releasePointerCapture(e.pointerId);
+    }
+
+    // A tap without movement is not a turn
+    if (!dragTurn.axis) {
+        dragTurn = null;
+        return;
+    }
+
+    // Layers without square faces (cuboids) snap to half turns only
+    const step = quarterTurns(STATE.order, dragTurn.axis) ? 1 : 2;
+    const quarters = step * Math.round(dragTurn.angle / (step * Math.PI / 2));
+    dragTurn.snap = {
+        from: dragTurn.angle,
+        to: quarters * (Math.PI / 2),
+        quarters,
+        start: performance.now() / 1000
+    };
+    requestRender();
+}
+
+// Called every frame: ease the layer onto its quarter turn, then commit it
+function updateDragSnap() {
+    if (!dragTurn || !dragTurn.snap) return;
+    const snap = dragTurn.snap;
+    const t = Math.min(1, (performance.now() / 1000 - snap.start) / SNAP_DURATION);
+
+    setLayerAngle(snap.from + (snap.to - snap.from) * easeOutCubic(t));
+    if (t < 1) return;
+
+    const dir = turnDir(snap.quarters);
+    const moves = dir ? [{ axis: dragTurn.axis, slice: dragTurn.slice, dir }] : [];
+    if (moves.length) recordHandTurn(movesToAlgorithm(moves, STATE.order), moves);
+    moves.forEach(m => {
+        logicCube.rotateLogic(m.axis, m.slice, m.dir);
+        STATE.memoryStack.push(m);
+    });
+    dragTurn = null;
+    endLayerTurn();
+    updateUI();
+    checkTimerSolved();
+}
+
+function cancelDragTurn() {
+    if (!dragTurn) return;
+    // A lifted layer drops back onto the grid unturned
+    if (dragTurn.axis) forceVisualSync();
+    dragTurn = null;
+    controls.enabled = true;
+}
+
+function setupDragToTurn() {
+    // Capture phase on the container so we run before OrbitControls' own listener on the canvas
+    const container = document.getElementById('viewport');
+    container.addEventListener('pointerdown', onTurnPointerDown, { capture: true });
+    window.addEventListener('pointermove', onTurnPointerMove);
+    window.addEventListener('pointerup', onTurnPointerUp);
+    window.addEventListener('pointercancel', onTurnPointerUp);
+}
+
+// --- KEYBOARD TURNING ---
+function isTypingTarget(el) {
+    return el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+function onTurnKeyDown(e) {
+    if (STATE.keymapListening !== null) {
+        captureKeyBinding(e);
+        return;
+    }
+    if (isTypingTarget(e.target)) return;
+    if (STATE.editor) return;
+    // Space belongs to the timer while it is on
+    if (STATE.timer.enabled && e.code === 'Space') return;
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (solveHoldsCube(STATE.isSolving, STATE.playback)) return;
+
+    const alg = STATE.keymap[e.code];
+    if (!alg) return;
+    e.preventDefault();
+
+    try {
+        const nodes = parseAlgorithm(alg);
+        // Shift reaches the next inner layer on big cubes (R → 2R)
+        const turn = e.shiftKey ? shiftLayers(nodes) : nodes;
+        const moves = algorithmToMoves(turn, STATE.order);
+        recordHandTurn(formatAlgorithm(turn), moves);
+        queueMoves(moves);
+    } catch (error) {
+        log(`<span class="err">Key ${escapeHtml(keyLabel(e.code))}: ${escapeHtml(error.message)}</span>`);
+    }
+}
+
+function captureKeyBinding(e) {
+    // Wait for a real key, not a lone modifier
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+    e.preventDefault();
+    const previous = STATE.keymapListening;
+    STATE.keymapListening = null;
+    if (e.code === 'Escape') {
+        renderKeymapEditor();
+        return;
+    }
+
+    const { keymap, taken } = rebindKey(STATE.keymap, previous, e.code);
+    STATE.keymap = keymap;
+    renderKeymapEditor();
+    saveKeymap();
+
+    const key = keyLabel(e.code);
+    if (taken !== null && previous) {
+        log(`Keymap: ${escapeHtml(key)} was bound to ${escapeHtml(taken || '(nothing)')}, which moves to ${escapeHtml(keyLabel(previous))}.`);
+    } else if (taken !== null) {
+        log(`Keymap: ${escapeHtml(key)} is already bound to ${escapeHtml(taken || '(nothing)')}; change it there.`);
+    }
+    // New bindings start empty: jump straight to the move field
+    if (!STATE.keymap[e.code]) {
+        const input = document.querySelector(`.keymap-row[data-code="${e.code}"] .keymap-move`);
+        if (input) input.focus();
+    }
+}
+
+function renderKeymapEditor() {
+    const list = document.getElementById('keymap-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    Object.entries(STATE.keymap).forEach(([code, alg]) => {
+        const row = document.createElement('div');
+        row.className = 'keymap-row';
+        row.dataset.code = code;
+
+        const keyBtn = document.createElement('button');
+        keyBtn.className = 'keymap-key';
+        keyBtn.title = 'Click, then press a new key';
+        keyBtn.textContent = STATE.keymapListening === code ? '...' : keyLabel(code);
+        keyBtn.addEventListener('click', () => {
+            STATE.keymapListening = code;
+            keyBtn.textContent = '...';
+            keyBtn.blur();
+        });
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'keymap-move';
+        input.value = alg;
+        input.spellcheck = false;
+        input.addEventListener('change', () => {
+            try {
+                parseAlgorithm(input.value);
+                STATE.keymap[code] = input.value.trim();
+                input.classList.remove('invalid');
+                saveKeymap();
+            } catch (error) {
+                input.classList.add('invalid');
+                log(`<span class="err">Keymap: ${escapeHtml(error.message)}</span>`);
+            }
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'keymap-remove';
+        removeBtn.title = 'Remove binding';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+            delete STATE.keymap[code];
+            renderKeymapEditor();
+            saveKeymap();
+        });
+
+        row.append(keyBtn, input, removeBtn);
+        list.appendChild(row);
+    });
+}
+
+function setupKeyboard() {
+    loadKeymap();
+    renderKeymapEditor();
+    window.addEventListener('keydown', onTurnKeyDown);
+
+    document.getElementById('btn-keymap-add').addEventListener('click', e => {
+        STATE.keymapListening = '';
+        e.target.blur();
+        log("Keymap: press the key to bind (Esc to cancel).");
+    });
+    document.getElementById('btn-keymap-reset').addEventListener('click', () => {
+        STATE.keymap = { ...DEFAULT_KEYMAP };
+        renderKeymapEditor();
+        saveKeymap();
+        log("Keymap: restored defaults.");
+    });
+}
+
+// --- SPEEDCUBING TIMER ---
+// Space: tap to start inspection, hold until the display turns green, release
+// to start, press to stop. Esc cancels. Solving the on-screen cube by hand
+// also stops the clock.
+const TIMER_HOLD_MS = 300;
+
+function currentSession() {
+    return STATE.sessions.sessions.find(s => s.name === STATE.sessions.current);
+}
+
+const PUZZLE_NAMES = { mirror: 'Mirror', super: 'Supercube', picture: 'Picture', void: 'Void' };
+
+function puzzleName() {
+    return PUZZLE_NAMES[STATE.type] ?? sizeName(STATE.order);
+}
+
+function onTimerKeyDown(e) {
+    const timer = STATE.timer;
+    if (!timer.enabled || STATE.keymapListening !== null || isTypingTarget(e.target)) return;
+    requestRender();
+
+    if (e.code === 'Escape' && timer.phase !== 'idle') {
+        timer.phase = 'idle';
+        log("Timer: cancelled.");
+        return;
+    }
+    if (e.code !== 'Space') return;
+    e.preventDefault();
+    if (e.repeat) return;
+
+    if (timer.phase === 'running') {
+        stopTimer('stopped');
+    } else if (timer.phase === 'inspecting' || (timer.phase === 'idle' && !timer.inspection)) {
+        timer.phase = 'holding';
+        timer.holdStart = performance.now();
+    }
+}
+
+function onTimerKeyUp(e) {
+    const timer = STATE.timer;
+    if (!timer.enabled || e.code !== 'Space' || isTypingTarget(e.target)) return;
+    e.preventDefault();
+    requestRender();
+    const now = performance.now();
+
+    if (timer.phase === 'stopped') {
+        // Release after the stopping press
+        timer.phase = 'idle';
+    } else if (timer.phase === 'idle' && timer.inspection) {
+        timer.phase = 'inspecting';
+        timer.inspectStart = now;
+    } else if (timer.phase === 'holding') {
+        // Let go too early: back to where we were
+        timer.phase = timer.inspectStart ? 'inspecting' : 'idle';
+    } else if (timer.phase === 'ready') {
+        timer.penalty = timer.inspectStart ? inspectionPenalty(now - timer.inspectStart) : '';
+        timer.phase = 'running';
+        timer.start = now;
+    }
+}
+
+function stopTimer(nextPhase) {
+    const timer = STATE.timer;
+    const time = Math.round(performance.now() - timer.start);
+    timer.phase = nextPhase;
+    timer.inspectStart = 0;
+    recordSolve({
+        time,
+        penalty: timer.penalty,
+        scramble: STATE.currentScramble,
+        puzzle: puzzleName(),
+        date: Date.now()
+    });
+}
+
+// After a hand turn: a solved cube stops a running timer
+function checkTimerSolved() {
+    if (STATE.timer.phase === 'running' && logicCube.isSolved()) stopTimer('idle');
+}
+
+function recordSolve(solve) {
+    currentSession().solves.push(solve);
+    saveSessions();
+    renderTimerStats();
+    const stats = sessionStats(currentSession().solves);
+    log(`Timer: ${formatSolve(solve)} (ao5 ${formatTime(stats.ao5)}, ao12 ${formatTime(stats.ao12)})`);
+}
+
+// Called every frame: hold-to-ready and the clock itself
+function updateTimer() {
+    const timer = STATE.timer;
+    const display = document.getElementById('timer-display');
+    const now = performance.now();
+    if (timer.phase === 'holding' && now - timer.holdStart >= TIMER_HOLD_MS) timer.phase = 'ready';
+
+    let text;
+    if (timer.phase === 'running') {
+        text = formatTime(now - timer.start);
+    } else if (timer.inspectStart && ['inspecting', 'holding', 'ready'].includes(timer.phase)) {
+        const elapsed = now - timer.inspectStart;
+        text = elapsed < INSPECTION_MS ? String(Math.ceil((INSPECTION_MS - elapsed) / 1000)) : inspectionPenalty(elapsed);
+    } else if (timer.phase === 'holding' || timer.phase === 'ready') {
+        text = '0.00';
+    } else {
+        const last = currentSession().solves.at(-1);
+        text = last ? formatSolve(last) : '0.00';
+    }
+    let state = '';
+    if (timer.phase === 'holding' || timer.phase === 'ready') state = timer.phase;
+    else if (timer.phase === 'inspecting') state = 'inspecting';
+    if (display.textContent !== text) display.textContent = text;
+    if (display.dataset.state !== state) {
+        display.dataset.state = state;
+        display.className = `timer-display ${state}`.trim();
+    }
+}
+
+function renderSessions() {
+    const select = document.getElementById('timer-session');
+    select.innerHTML = '';
+    STATE.sessions.sessions.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.name;
+        option.textContent = `${session.name} (${session.solves.length})`;
+        select.appendChild(option);
+    });
+    select.value = STATE.sessions.current;
+}
+
+// Best and rolling averages in the stats grid, solves newest first
+function renderTimerStats() {
+    const solves = currentSession().solves;
+    const stats = sessionStats(solves);
+    ['best', 'mo3', 'ao5', 'ao12', 'ao100'].forEach(key => {
+        document.getElementById(`stat-${key}`).innerText = formatTime(stats[key]);
+    });
+
+    const list = document.getElementById('timer-solves');
+    list.innerHTML = '';
+    solves.slice().reverse().forEach((solve, i) => {
+        const row = document.createElement('div');
+        row.className = 'timer-solve';
+        row.title = `${solve.puzzle} ${new Date(solve.date).toLocaleString()}\n${solve.scramble || '(no scramble)'}`;
+        const time = document.createElement('span');
+        time.textContent = `${solves.length - i}. ${formatSolve(solve)}`;
+        const scramble = document.createElement('span');
+        scramble.className = 'scramble';
+        scramble.textContent = solve.scramble;
+        row.append(time, scramble);
+        list.appendChild(row);
+    });
+    renderSessions();    // The big display shows the last solve while idle
+    updateTimer();
+}
+
+// +2 / DNF on the last solve; the same penalty again removes it
+function togglePenalty(penalty) {
+    const last = currentSession().solves.at(-1);
+    if (!last) return;
+    last.penalty = last.penalty === penalty ? '' : penalty;
+    saveSessions();
+    renderTimerStats();
+    log(`Timer: last solve is now ${formatSolve(last)}.`);
+}
+
+function setupTimer() {
+    loadSessions();
+    renderTimerStats();
+    window.addEventListener('keydown', onTimerKeyDown);
+    window.addEventListener('keyup', onTimerKeyUp);
+
+    const enabled = document.getElementById('timer-enabled');
+    enabled.addEventListener('change', () => {
+        STATE.timer.enabled = enabled.checked;
+        STATE.timer.phase = 'idle';
+        STATE.timer.inspectStart = 0;
+        // Space must reach the timer, not toggle this checkbox
+        enabled.blur();
+        log(enabled.checked ? "Timer: on. Space starts inspection." : "Timer: off.");
+    });
+    const inspection = document.getElementById('timer-inspection');
+    inspection.addEventListener('change', () => {
+        STATE.timer.inspection = inspection.checked;
+        inspection.blur();
+    });
+
+    document.getElementById('timer-session').addEventListener('change', e => {
+        STATE.sessions.current = e.target.value;
+        e.target.blur();
+        saveSessions();
+        renderTimerStats();
+    });
+    document.getElementById('btn-session-new').addEventListener('click', () => {
+        const name = (window.prompt('Session name:', `Session ${STATE.sessions.sessions.length + 1}`) || '').trim();
+        if (!name) return;
+        if (!STATE.sessions.sessions.some(s => s.name === name)) {
+            STATE.sessions.sessions.push({ name, solves: [] });
+        }
+        STATE.sessions.current = name;
+        saveSessions();
+        renderTimerStats();
+    });
+    document.getElementById('btn-session-delete').addEventListener('click', () => {
+        const session = currentSession();
+        if (!window.confirm(`Delete session "${session.name}" and its ${session.solves.length} solves?`)) return;
+        STATE.sessions.sessions = STATE.sessions.sessions.filter(s => s !== session);
+        if (!STATE.sessions.sessions.length) STATE.sessions = defaultSessions();
+        STATE.sessions.current = STATE.sessions.sessions[0].name;
+        saveSessions();
+        renderTimerStats();
+    });
+    document.getElementById('btn-penalty-plus2').addEventListener('click', () => togglePenalty('+2'));
+    document.getElementById('btn-penalty-dnf').addEventListener('click', () => togglePenalty('DNF'));
+    document.getElementById('btn-solve-remove').addEventListener('click', () => {
+        const removed = currentSession().solves.pop();
+        if (!removed) return;
+        saveSessions();
+        renderTimerStats();
+        log(`Timer: removed ${formatSolve(removed)}.`);
+    });
+}
+
+// --- SOLVE RECORDING ---
+// Hand turns (drag or keyboard) after a scramble are recorded with
+// timestamps. On a 3x3 the reconstruction is split into CFOP steps.
+
+// The state once every queued and animating move has played
+function pendingFacelets() {
+    const pending = currentTurn ? [...currentTurn, ...moveQueue] : moveQueue;
+    return applyMoves(logicCube.toFacelets(), pending, STATE.order);
+}
+
+// The same for the supercube's centre turns
+function pendingCentres() {
+    const cube = new VirtualCube(STATE.order, STATE.type);
+    cube.importFacelets(logicCube.toFacelets());
+    cube.setCentreTwists(logicCube.centreTwists());
+    return cube.applyMoves(currentTurn ? [...currentTurn, ...moveQueue] : moveQueue).centreTwists();
+}
+
+// Arm recording for a new scramble (null: stop recording)
+function armRecording(scramble) {
+    STATE.recordArmed = scramble;
+    STATE.recorder = null;
+}
+
+// Call before the turn is queued or applied
+function recordHandTurn(notation, moves) {
+    const now = performance.now();
+    trainerTurn(moves, now);
+    // The cube leaves the played steps behind
+    stopPlayback();
+    if (!STATE.recorder) {
+        if (STATE.recordArmed === null) return;
+        // A running timer started the solve; otherwise the first turn does
+        const start = STATE.timer.phase === 'running' ? STATE.timer.start : now;
+        STATE.recorder = new SolveRecorder(pendingFacelets(), STATE.order, { scramble: STATE.recordArmed, start });
+        STATE.recordArmed = null;
+    }
+    if (STATE.recorder.record(notation, moves, now)) {
+        STATE.lastReconstruction = STATE.recorder;
+        STATE.recorder = null;
+        showReconstruction();
+    }
+}
+
+function showReconstruction() {
+    const recorder = STATE.lastReconstruction;
+    if (!recorder) {
+        log("Reconstruction: nothing recorded yet. Scramble, then solve by hand.");
+        return;
+    }
+    const { time, moves, tps, steps } = recorder.summary();
+    log(`<span class="cmd">Reconstruction</span>: ${formatTime(time)}s, ${moves} moves, ${tps} TPS`);
+    log(`&nbsp;&nbsp;Scramble: ${escapeHtml(recorder.scramble || '(none)')}`);
+    steps.forEach(step => {
+        const solution = step.solution ? escapeHtml(step.solution) : 'skip';
+        log(`&nbsp;&nbsp;${step.name} (${step.moves} moves, ${formatTime(step.time)}s, ${step.tps} TPS): ${solution}`);
+    });
+}
+
+async function copyReconstruction() {
+    const recorder = STATE.lastReconstruction;
+    if (!recorder) {
+        log("Reconstruction: nothing recorded yet. Scramble, then solve by hand.");
+        return;
+    }
+    const text = recorder.toText();
+    try {
+        await navigator.clipboard.writeText(text);
+        log("Reconstruction: copied to the clipboard.");
+    } catch (error) {
+        // No clipboard access (e.g. plain http): show the text to copy by hand
+        log("Reconstruction: clipboard unavailable, text below.");
+        text.split('\n').forEach(line => log(`&nbsp;&nbsp;${escapeHtml(line)}`));
+    }
+}
+
+// --- STATE EDITOR ---
+// Paint stickers from the palette, on the 3D cube or on the 2D net, to enter
+// the state of a real cube. Apply checks it (lib/validate.js) before the
+// cube takes it over.
+
+const hexColour = hex => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Facelet index shown by local face k of a piece (see LOCAL_NORMALS)
+function localSticker(piece, k) {
+    const n = LOCAL_NORMALS[k];
+    const u = piece.u, f = piece.f;
+    const r = { x: u.y * f.z - u.z * f.y, y: u.z * f.x - u.x * f.z, z: u.x * f.y - u.y * f.x };
+    const normal = {
+        x: n.x * r.x + n.y * u.x + n.z * f.x,
+        y: n.x * r.y + n.y * u.y + n.z * f.y,
+        z: n.x * r.z + n.y * u.z + n.z * f.z
+    };
+    return stickerAt(STATE.order, piece, normal);
+}
+
+function startEditor() {
+    if (STATE.type === 'mirror') {
+        log("Editor: the mirror cube has no colours to paint. Pick a standard cube.");
+        return;
+    }
+    if (isCuboid(STATE.order)) {
+        log("Editor: cuboids cannot be edited yet. Pick a standard cube.");
+        return;
+    }
+    if (VARIANTS.includes(STATE.type)) {
+        log("Editor: centre turns and missing centres cannot be painted. Pick a standard cube.");
+        return;
+    }
+    if (STATE.isAnimating || moveQueue.length || dragTurn) return;
+    STATE.editor = { stickers: logicCube.toFacelets().split(''), paint: 'U' };
+    document.getElementById('editor-tools').hidden = false;
+    document.getElementById('btn-edit-state').textContent = 'Cancel Edit';
+    renderEditor();
+    log("Editor: pick a colour, then click stickers on the cube or the net. Apply when done.");
+}
+
+function stopEditor() {
+    STATE.editor = null;
+    paintStickers();
+    document.getElementById('editor-tools').hidden = true;
+    document.getElementById('btn-edit-state').textContent = 'Edit State';
+}
+
+function paintSticker(index) {
+    STATE.editor.stickers[index] = STATE.editor.paint;
+    renderEditor();
+}
+
+function paintCubeletSticker(piece, normal) {
+    const index = stickerAt(STATE.order, piece, normal.vec);
+    if (index >= 0) paintSticker(index);
+}
+
+// Show the edited colours on the cube, the net and the palette
+function renderEditor() {
+    const { stickers, paint } = STATE.editor;
+    const colour = letter => CONFIG.colors[letter] ?? 0x444444;
+
+    paintStickers(slot => stickers[localSticker(logicCube.pieces[slot.piece], slot.face)]);
+
+    document.querySelectorAll('.palette-swatch').forEach(swatch => {
+        swatch.classList.toggle('selected', swatch.dataset.face === paint);
+    });
+
+    // Net: U above F; L, F, R, B in a row; D below F
+    const net = document.getElementById('editor-net');
+    const n = STATE.order;
+    net.innerHTML = '';
+    net.style.gridTemplateColumns = `repeat(${4 * n}, 1fr)`;
+    const place = { U: [0, 1], L: [1, 0], F: [1, 1], R: [1, 2], B: [1, 3], D: [2, 1] };
+    forEachSticker(n, (face, index) => {
+        const cell = document.createElement('button');
+        cell.className = 'net-sticker';
+        const i = index % (n * n);
+        cell.style.gridRow = place[face][0] * n + Math.floor(i / n) + 1;
+        cell.style.gridColumn = place[face][1] * n + (i % n) + 1;
+        cell.style.background = hexColour(colour(stickers[index]));
+        cell.textContent = glyphFor(stickers[index]);
+        cell.title = `${face}${i + 1}`;
+        cell.addEventListener('click', () => paintSticker(index));
+        net.appendChild(cell);
+    });
+}
+
+// Every sticker unpainted except fixed centres on odd cubes
+function clearEditor() {
+    const n = STATE.order, mid = (n * n - 1) / 2;
+    STATE.editor.stickers = STATE.editor.stickers.map((c, i) => (n % 2 && i % (n * n) === mid ? c : '?'));
+    renderEditor();
+}
+
+function checkEditor() {
+    const problems = validateFacelets(STATE.editor.stickers.join(''), STATE.order, schemeNames(CONFIG.colors));
+    if (!problems.length) {
+        log("Editor: the state is valid.");
+        return true;
+    }
+    log(`<span class="err">Editor: ${problems.length} problem${problems.length === 1 ? '' : 's'} found:</span>`);
+    problems.forEach(problem => log(`&nbsp;&nbsp;${escapeHtml(problem)}`));
+    return false;
+}
+
+function applyEditor() {
+    if (!checkEditor()) return;
+    const facelets = STATE.editor.stickers.join('');
+    stopEditor();
+    stopTrainer();
+    stopPlayback();
+    try {
+        logicCube.importFacelets(facelets);
+    } catch (error) {
+        log(`<span class="err">Editor: ${escapeHtml(error.message)}</span>`);
+        return;
+    }
+    // The history no longer leads to this state
+    STATE.memoryStack = [];
+    STATE.currentScramble = '';
+    showScramble('');
+    armRecording('');
+    forceVisualSync();
+    updateUI();
+    log("Editor: state applied. Pick a solve strategy and press Auto-Solve.");
+}
+
+function setupEditor() {
+    const palette = document.getElementById('editor-palette');
+    FACES.forEach(face => {
+        const swatch = document.createElement('button');
+        swatch.className = 'palette-swatch';
+        swatch.dataset.face = face;
+        swatch.addEventListener('click', () => {
+            STATE.editor.paint = face;
+            renderEditor();
+        });
+        palette.appendChild(swatch);
+    });
+    document.getElementById('btn-edit-state').addEventListener('click', () => {
+        if (STATE.editor) {
+            stopEditor();
+            log("Editor: cancelled.");
+        } else {
+            startEditor();
+        }
+    });
+    document.getElementById('btn-editor-clear').addEventListener('click', clearEditor);
+    document.getElementById('btn-editor-check').addEventListener('click', checkEditor);
+    document.getElementById('btn-editor-apply').addEventListener('click', applyEditor);
+}
+
+// --- COLOUR SCHEME ---
+// Presets or custom colours per face, and colour-blind marks drawn on the
+// stickers. Marks come from a canvas atlas with one cell per face letter
+// plus a blank one, then the supercube's centre arrow and the nine tiles of
+// the picture cube's face picture; each sticker instance picks its cell
+// through the `glyph` attribute. Only the drawing changes: the cube logic
+// works on face letters whatever the colours.
+const GLYPH_BLANK = 6;          // atlas cell for unpainted stickers and no marks
+const GLYPH_ARROW = 7;
+const GLYPH_PICTURE = 8;        // first of 9 tiles, row by row from the top left
+const GLYPH_CELLS = 17;
+const GLYPH_CELL_SIZE = 128;    // pixels
+
+const glyphCanvas = document.createElement('canvas');
+glyphCanvas.width = GLYPH_CELL_SIZE * GLYPH_CELLS;
+glyphCanvas.height = GLYPH_CELL_SIZE;
+const glyphTexture = new THREE.CanvasTexture(glyphCanvas);
+glyphTexture.colorSpace = THREE.SRGBColorSpace;
+STICKER_MATERIAL.map = glyphTexture;
+// Squeeze the sticker UVs into the instance's atlas cell
+STICKER_MATERIAL.onBeforeCompile = shader => {
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute float glyph;')
+        .replace('#include <uv_vertex>', `#include <uv_vertex>\n\tvMapUv.x = (vMapUv.x + glyph) / ${GLYPH_CELLS}.0;`);
+};
+
+// Mark for a face letter in the current mode, '' if none
+function glyphFor(letter) {
+    return GLYPHS[STATE.colours.glyphs]?.[letter] ?? '';
+}
+
+// White cells (the sticker colour shows through) with dark marks
+function drawGlyphAtlas() {
+    const ctx = glyphCanvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, glyphCanvas.width, glyphCanvas.height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.font = `bold ${GLYPH_CELL_SIZE * 0.6}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    FACES.forEach((face, i) => ctx.fillText(glyphFor(face), (i + 0.5) * GLYPH_CELL_SIZE, GLYPH_CELL_SIZE / 2));
+
+    const c = GLYPH_CELL_SIZE;
+    // Arrow pointing up the sticker
+    ctx.beginPath();
+    ctx.moveTo((GLYPH_ARROW + 0.5) * c, 0.15 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.8) * c, 0.5 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.6) * c, 0.5 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.6) * c, 0.85 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.4) * c, 0.85 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.4) * c, 0.5 * c);
+    ctx.lineTo((GLYPH_ARROW + 0.2) * c, 0.5 * c);
+    ctx.fill();
+
+    // Face picture: a ring across the whole face with a triangle in the
+    // middle, cut into the nine tiles
+    const picture = document.createElement('canvas');
+    picture.width = picture.height = 3 * c;
+    const pctx = picture.getContext('2d');
+    pctx.strokeStyle = pctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    pctx.lineWidth = 0.15 * c;
+    pctx.beginPath();
+    pctx.arc(1.5 * c, 1.5 * c, 1.1 * c, 0, 2 * Math.PI);
+    pctx.stroke();
+    pctx.beginPath();
+    pctx.moveTo(1.5 * c, 1.15 * c);
+    pctx.lineTo(1.8 * c, 1.75 * c);
+    pctx.lineTo(1.2 * c, 1.75 * c);
+    pctx.fill();
+    for (let tile = 0; tile < 9; tile++) {
+        ctx.drawImage(picture, (tile % 3) * c, Math.floor(tile / 3) * c, c, c, (GLYPH_PICTURE + tile) * c, 0, c, c);
+    }
+    glyphTexture.needsUpdate = true;
+}
+
+// Push STATE.colours to the cube, the editor palette and the controls
+function applyColours() {
+    Object.assign(CONFIG.colors, STATE.colours.colors);
+    drawGlyphAtlas();
+    document.querySelectorAll('.palette-swatch').forEach(swatch => {
+        swatch.style.background = hexColour(CONFIG.colors[swatch.dataset.face]);
+        swatch.textContent = glyphFor(swatch.dataset.face);
+    });
+    document.getElementById('colour-scheme').value = STATE.colours.scheme;
+    document.getElementById('colour-glyphs').value = STATE.colours.glyphs;
+    document.querySelectorAll('.colour-face input').forEach(input => {
+        input.value = hexColour(CONFIG.colors[input.dataset.face]);
+    });
+    if (STATE.editor) renderEditor();
+    else paintStickers();
+    renderTrainerCases();
+    renderTrainerCase();
+}
+
+function setupColours() {
+    loadColours();
+    const scheme = document.getElementById('colour-scheme');
+    Object.entries(SCHEMES).forEach(([key, { label }]) => scheme.add(new Option(label, key)));
+    scheme.add(new Option('Custom', 'custom'));
+    scheme.addEventListener('change', () => {
+        STATE.colours.scheme = scheme.value;
+        if (SCHEMES[scheme.value]) STATE.colours.colors = { ...SCHEMES[scheme.value].colors };
+        saveColours();
+        applyColours();
+    });
+
+    const faces = document.getElementById('colour-faces');
+    FACES.forEach(face => {
+        const label = document.createElement('label');
+        label.className = 'colour-face';
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.face = face;
+        input.title = `${face} face colour`;
+        input.addEventListener('input', () => {
+            STATE.colours.scheme = 'custom';
+            STATE.colours.colors[face] = parseInt(input.value.slice(1), 16);
+            saveColours();
+            applyColours();
+        });
+        label.append(face, input);
+        faces.appendChild(label);
+    });
+
+    document.getElementById('colour-glyphs').addEventListener('change', e => {
+        STATE.colours.glyphs = e.target.value;
+        saveColours();
+        applyColours();
+    });
+    applyColours();
+}
+
+// --- PATTERNS ---
+// Built-in and saved pretty patterns (lib/patterns.js). A pattern starts
+// from a solved cube and is played like a scramble, so Reverse History
+// undoes it and Copy Link shares it as notation.
+
+function puzzlePatterns() {
+    const puzzle = puzzleValue(STATE.order, STATE.type);
+    return {
+        builtIn: builtInPatterns(STATE.order),
+        saved: STATE.patterns.filter(p => p.puzzle === puzzle)
+    };
+}
+
+// Patterns of the current puzzle in the dropdown; the choice survives
+// when the same entry is still there
+function renderPatterns() {
+    const select = document.getElementById('pattern-list');
+    const previous = select.value;
+    const { builtIn, saved } = puzzlePatterns();
+    select.innerHTML = '';
+    [['Built-in', builtIn, 'built-in'], ['Saved', saved, 'saved']].forEach(([label, patterns, kind]) => {
+        if (!patterns.length) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        patterns.forEach((pattern, i) => {
+            const option = new Option(pattern.name, `${kind}:${i}`);
+            option.title = pattern.alg;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+    if ([...select.options].some(o => o.value === previous)) select.value = previous;
+    document.getElementById('btn-pattern-delete').disabled = !saved.length;
+}
+
+function selectedPattern() {
+    const [kind, index] = document.getElementById('pattern-list').value.split(':');
+    const { builtIn, saved } = puzzlePatterns();
+    return (kind === 'saved' ? saved : builtIn)[Number(index)] || null;
+}
+
+function applyPattern(animate) {
+    const pattern = selectedPattern();
+    if (!pattern || STATE.isAnimating || moveQueue.length || dragTurn || solveHoldsCube(STATE.isSolving, STATE.playback) || STATE.isScrambling) return;
+    if (STATE.editor) {
+        log("Editor: apply or cancel the edit first.");
+        return;
+    }
+    const moves = algorithmToMoves(pattern.alg, STATE.order);
+    // Back to solved, then the pattern as the new history
+    buildPuzzle(STATE.order, STATE.type);
+    STATE.currentScramble = pattern.alg;
+    showScramble(pattern.alg);
+    if (animate) {
+        queueMoves(moves);
+    } else {
+        logicCube.applyMoves(moves);
+        STATE.memoryStack.push(...moves);
+        forceVisualSync();
+        updateUI();
+    }
+    log(`Pattern: ${escapeHtml(pattern.name)}: ${escapeHtml(pattern.alg)}`);
+}
+
+// Notation that builds the current state from a solved cube: the move
+// history if it leads here, otherwise an inverted solver solution (e.g.
+// after the state editor). null if neither is available.
+async function stateAlgorithm() {
+    const { order, type } = STATE;
+    if (applyMoves(solvedFacelets(order), STATE.memoryStack, order) === logicCube.toFacelets()) {
+        return movesToAlgorithm(STATE.memoryStack, order);
+    }
+    const method = ['ai-kociemba', 'pocket', 'reduction'].find(m => canSolve(m, order, type));
+    if (!method) return null;
+    const { solution } = await runSolver(method);
+    return formatAlgorithm(invertAlgorithm(parseAlgorithm(solution)));
+}
+
+async function saveCurrentPattern() {
+    if (STATE.isAnimating || moveQueue.length || dragTurn || STATE.editor || solverJob) return;
+    if (logicCube.isSolved()) {
+        log("Pattern: the cube is solved. Make a pattern first, then save it.");
+        return;
+    }
+    const name = (window.prompt('Pattern name:') || '').trim();
+    if (!name) return;
+    let alg;
+    try {
+        alg = await stateAlgorithm();
+    } catch (error) {
+        log(`<span class="err">Pattern: ${escapeHtml(error.message)}</span>`);
+        return;
+    }
+    if (alg === null) {
+        log(`<span class="err">Pattern: this state has no move history to save. Build it with moves instead.</span>`);
+        return;
+    }
+    const puzzle = puzzleValue(STATE.order, STATE.type);
+    // The same name replaces the old pattern
+    STATE.patterns = [...STATE.patterns.filter(p => p.puzzle !== puzzle || p.name !== name), { name, puzzle, alg }];
+    savePatterns();
+    renderPatterns();
+    document.getElementById('pattern-list').value = `saved:${puzzlePatterns().saved.length - 1}`;
+    log(`Pattern: saved "${escapeHtml(name)}": ${escapeHtml(alg)}`);
+}
+
+function deleteSavedPattern() {
+    const pattern = selectedPattern();
+    if (!pattern || !STATE.patterns.includes(pattern)) {
+        log("Pattern: pick a saved pattern to delete. Built-in ones stay.");
+        return;
+    }
+    if (!window.confirm(`Delete pattern "${pattern.name}"?`)) return;
+    STATE.patterns = STATE.patterns.filter(p => p !== pattern);
+    savePatterns();
+    renderPatterns();
+}
+
+function setupPatterns() {
+    loadPatterns();
+    renderPatterns();
+    document.getElementById('pattern-list').addEventListener('change', e => e.target.blur());
+    document.getElementById('btn-pattern-play').addEventListener('click', () => applyPattern(true));
+    document.getElementById('btn-pattern-set').addEventListener('click', () => applyPattern(false));
+    document.getElementById('btn-pattern-save').addEventListener('click', saveCurrentPattern);
+    document.getElementById('btn-pattern-delete').addEventListener('click', deleteSavedPattern);
+}
+
+// --- OLL / PLL TRAINER ---
+// Drills last-layer cases on a 3x3: the cube is set to a random selected
+// case (lib/cases.js), the first hand turn starts the clock and the turn
+// that solves the case stops it. Times per case are kept in localStorage.
+
+// Case picture as an SVG string; '-' (not U-coloured) and corners are grey
+function caseSvg(c, size) {
+    const grid = casePicture(caseSetup(c).facelets, c.set);
+    const cell = size / 5;
+    const cells = grid.flatMap((row, y) => row.map((letter, x) => {
+        if (letter === null) return '';
+        const fill = hexColour(CONFIG.colors[letter] ?? 0x444444);
+        return `<rect x="${x * cell + 1}" y="${y * cell + 1}" width="${cell - 2}" height="${cell - 2}" rx="2" fill="${fill}"/>`;
+    }));
+    return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">${cells.join('')}</svg>`;
+}
+
+function startTrainerCase() {
+    if (STATE.order !== 3 || STATE.type !== 'normal') {
+        log("Trainer: pick the 3x3 Standard cube first.");
+        return;
+    }
+    if (STATE.isAnimating || moveQueue.length || dragTurn || solveHoldsCube(STATE.isSolving, STATE.playback)) return;
+    if (STATE.editor) {
+        log("Editor: apply or cancel the edit first.");
+        return;
+    }
+    const trainer = STATE.trainer;
+    const id = pickCase(trainer.data.selected, trainer.current?.case.id);
+    if (!id) {
+        log("Trainer: select at least one case to drill.");
+        return;
+    }
+    const c = findCase(id);
+    const { setup, facelets } = caseSetup(c, Math.floor(Math.random() * 4));
+    stopPlayback();
+    logicCube.importFacelets(facelets);
+    // Reverse History can undo the setup like a scramble
+    STATE.memoryStack = algorithmToMoves(setup, 3);
+    STATE.currentScramble = setup;
+    showScramble(setup);
+    armRecording(null);
+    forceVisualSync();
+    updateUI();
+    trainer.current = { case: c, setup, start: 0, time: null };
+    renderTrainerCase();
+    log(`Trainer: ${escapeHtml(c.name)}. The first turn starts the clock.`);
+}
+
+function stopTrainer() {
+    if (!STATE.trainer.current) return;
+    STATE.trainer.current = null;
+    renderTrainerCase();
+}
+
+// Call before a hand turn is queued or applied
+function trainerTurn(moves, now) {
+    const current = STATE.trainer.current;
+    if (!current || current.time !== null) return;
+    if (!current.start) current.start = now;
+    if (!caseSolved(applyMoves(pendingFacelets(), moves, 3), current.case.set)) return;
+
+    current.time = Math.round(now - current.start);
+    recordCaseTime(STATE.trainer.data, current.case.id, current.time);
+    saveTrainer();
+    const { mean } = caseStats(STATE.trainer.data, current.case.id);
+    log(`Trainer: ${escapeHtml(current.case.name)} in ${formatTime(current.time)} (mean ${formatTime(mean)}). Next when ready.`);
+    renderTrainerCase();
+    renderTrainerCases();
+}
+
+// Called every frame: the running clock
+function updateTrainer() {
+    const current = STATE.trainer.current;
+    const display = document.getElementById('trainer-display');
+    let text = '0.00';
+    if (current?.time !== null && current?.time !== undefined) text = formatTime(current.time);
+    else if (current?.start) text = formatTime(performance.now() - current.start);
+    if (display.textContent !== text) display.textContent = text;
+}
+
+function renderTrainerCase() {
+    const current = STATE.trainer.current;
+    const box = document.getElementById('trainer-current');
+    box.hidden = !current;
+    document.getElementById('btn-trainer-next').textContent = current ? 'Next Case' : 'Start';
+    if (!current) return;
+    const c = current.case;
+    document.getElementById('trainer-picture').innerHTML = caseSvg(c, 100);
+    document.getElementById('trainer-name').textContent = `${c.name} (${c.group})`;
+    const algs = document.getElementById('trainer-algs');
+    algs.innerHTML = '';
+    c.algs.forEach(alg => {
+        const line = document.createElement('div');
+        line.textContent = alg;
+        algs.appendChild(line);
+    });
+    // Algorithms stay hidden until the case is done, to practise recall
+    algs.hidden = current.time === null;
+    updateTrainer();
+}
+
+// One tile per case of the shown set; click to select it for drilling
+function renderTrainerCases() {
+    const { data } = STATE.trainer;
+    const cases = shownTrainerCases();
+    const weak = new Set(weakCases(data, cases.map(c => c.id)));
+    const list = document.getElementById('trainer-cases');
+    list.innerHTML = '';
+    cases.forEach(c => {
+        const { count, best, mean } = caseStats(data, c.id);
+        const tile = document.createElement('button');
+        tile.className = 'trainer-tile';
+        tile.classList.toggle('selected', data.selected.includes(c.id));
+        tile.classList.toggle('weak', weak.has(c.id));
+        tile.title = `${c.name} (${c.group})\n${c.algs.join('\n')}\n` +
+            (count ? `${count} times, mean ${formatTime(mean)}, best ${formatTime(best)}` : 'Not practised yet');
+        tile.innerHTML = caseSvg(c, 40);
+        const label = document.createElement('span');
+        label.textContent = `${c.name.replace(/ perm$|^OLL /, '')} ${count ? formatTime(mean) : ''}`.trim();
+        tile.appendChild(label);
+        tile.addEventListener('click', () => {
+            data.selected = data.selected.includes(c.id)
+                ? data.selected.filter(id => id !== c.id)
+                : [...data.selected, c.id];
+            saveTrainer();
+            renderTrainerCases();
+        });
+        list.appendChild(tile);
+    });
+}
+
+function shownTrainerCases() {
+    return document.getElementById('trainer-set').value === 'oll' ? OLL_CASES : PLL_CASES;
+}
+
+// Replace the selection within the shown set by `pick(ids of the set)`
+function selectTrainerCases(pick) {
+    const { data } = STATE.trainer;
+    const ids = shownTrainerCases().map(c => c.id);
+    const picked = pick(ids);
+    if (!picked) return;
+    data.selected = [...data.selected.filter(id => !ids.includes(id)), ...picked];
+    saveTrainer();
+    renderTrainerCases();
+}
+
+function setupTrainer() {
+    loadTrainer();
+    document.getElementById('btn-trainer-next').addEventListener('click', e => {
+        // Keyboard turns must not press this button again
+        e.target.blur();
+        startTrainerCase();
+    });
+    document.getElementById('btn-trainer-stop').addEventListener('click', () => {
+        if (STATE.trainer.current) log("Trainer: stopped.");
+        stopTrainer();
+    });
+    document.getElementById('trainer-set').addEventListener('change', e => {
+        e.target.blur();
+        renderTrainerCases();
+    });
+    document.getElementById('btn-trainer-all').addEventListener('click', () => selectTrainerCases(ids => ids));
+    document.getElementById('btn-trainer-none').addEventListener('click', () => selectTrainerCases(() => []));
+    document.getElementById('btn-trainer-weak').addEventListener('click', () => selectTrainerCases(ids => {
+        const weak = weakCases(STATE.trainer.data, ids);
+        if (weak.length) return weak;
+        log("Trainer: no weak cases yet. Drill each case a few times first.");
+        return null;
+    }));
+    renderTrainerCases();
+    renderTrainerCase();
+}
+
+// --- SHARE LINKS ---
+// ?puzzle=4&scramble=...&alg=...&speed=12&play=1 (or the same after #) sets
+// up the cube on load; see lib/share.js for the parameters.
+
+function applyShareLink() {
+    const link = readShareParams(window.location.search, window.location.hash);
+    link.errors.forEach(error => log(`<span class="err">Link: ${escapeHtml(error)}</span>`));
+
+    if (link.speed) {
+        const slider = document.getElementById('speed-slider');
+        slider.value = link.speed;
+        slider.dispatchEvent(new Event('input'));
+    }
+    if (link.puzzle) {
+        document.getElementById('puzzle-type').value = puzzleValue(link.puzzle.order, link.puzzle.type);
+        buildPuzzle(link.puzzle.order, link.puzzle.type);
+    }
+
+    // The state is set at once, without animating
+    if (link.scramble) {
+        const moves = algorithmToMoves(link.scramble, STATE.order);
+        logicCube.applyMoves(moves);
+        STATE.memoryStack.push(...moves);
+        STATE.currentScramble = link.scramble;
+        showScramble(link.scramble);
+        armRecording(link.scramble);
+        log(`Link: scramble ${escapeHtml(link.scramble)}`);
+    } else if (link.state) {
+        try {
+            logicCube.importFacelets(link.state);
+            armRecording('');
+            log("Link: cube state loaded.");
+        } catch (error) {
+            log(`<span class="err">Link: ${escapeHtml(error.message)}</span>`);
+        }
+    }
+    if (link.centres) {
+        logicCube.setCentreTwists(link.centres);
+        if (!link.scramble && !link.state) armRecording('');
+    }
+    forceVisualSync();
+    updateUI();
+
+    if (link.alg) {
+        document.getElementById('alg-input').value = link.alg;
+        if (link.play) runAlgorithm(link.alg);
+        else log(`Link: algorithm ${escapeHtml(link.alg)} (press Run to play it)`);
+    }
+}
+
+// Link to the cube as it is now: the scramble if nothing has been turned
+// since, otherwise the full sticker state, with the centre turns on the
+// supercube and picture cube
+function shareUrl() {
+    const facelets = pendingFacelets();
+    const centres = ORIENTED_CENTRES.includes(STATE.type) ? pendingCentres() : null;
+    const sameCentres = twists => !centres || FACES.every(face => twists[face] === centres[face]);
+    let scramble = null, state = null;
+    if (STATE.currentScramble && applyMoves(solvedFacelets(STATE.order), algorithmToMoves(STATE.currentScramble, STATE.order), STATE.order) === facelets &&
+        sameCentres(new VirtualCube(STATE.order, STATE.type).applyMoves(algorithmToMoves(STATE.currentScramble, STATE.order)).centreTwists())) {
+        scramble = STATE.currentScramble;
+    } else if (facelets !== solvedFacelets(STATE.order)) {
+        state = facelets;
+    }
+    const query = buildShareQuery({
+        order: STATE.order,
+        type: STATE.type,
+        scramble,
+        state,
+        centres: scramble ? null : centres,
+        alg: document.getElementById('alg-input').value.trim(),
+        speed: parseInt(document.getElementById('speed-slider').value),
+        play: document.getElementById('share-autoplay').checked
+    });
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+}
+
+async function copyShareLink() {
+    const url = shareUrl();
+    try {
+        await navigator.clipboard.writeText(url);
+        log("Link: copied to the clipboard.");
+    } catch (error) {
+        // No clipboard access (e.g. plain http): show the link to copy by hand
+        log(`Link: ${escapeHtml(url)}`);
+    }
+}
+
+// --- SOLVE CHECK ---
+// Once a solve has played out, check the stickers. A cube that is still not
+// solved is reported face by face so the bug can be found.
+function verifySolve() {
+    if (!STATE.isSolving || STATE.memoryStack.length !== 0) return;
 
-    if (!currentMove) {
-        forceVisualSync();
-        
-        currentMove = moveQueue.shift();
-        STATE.isAnimating = true;
-        progress = 0;
-        lastTime = currentTime;
-        document.getElementById('ai-state').innerText = "MOVING";
+    // Solved in whatever orientation the cube is held: no re-alignment
+    if (logicCube.isSolved()) {
+        STATE.isSolving = false;
+        document.getElementById('ai-state').innerText = "SOLVED";
         document.getElementById('ai-state').style.color = "#00ff88";
-
-        const eps = 0.1;
-        const group = logicCube.pieces.filter(p => 
-            Math.abs(p[currentMove.axis] - currentMove.slice) < eps
-        );
-
-        pivot.rotation.set(0,0,0);
-        pivot.updateMatrixWorld();
-        group.forEach(p => pivot.attach(p.mesh));
+        return;
     }
 
-    // Calculate speed multiplier based on CONFIG.animSpeed
-    // animSpeed 0.25 = normal speed, higher = faster
-    // Map slider value (1-20) to speed multiplier (0.1x to 10x)
-    const speedMultiplier = Math.max(0.1, CONFIG.animSpeed / 0.25);
-    const adjustedDuration = ANIMATION_DURATION / speedMultiplier;
-    
-    // Update progress based on deltaTime for smooth frame-rate independent animation
-    progress += deltaTime / adjustedDuration;
-    
-    // Clamp progress
-    if (progress >= 1.0) progress = 1.0;
+    STATE.isSolving = false;
+    const facelets = logicCube.toFacelets();
+    const mismatch = describeMismatch(STATE.type === 'void' ? hideCentres(facelets, STATE.order) : facelets, STATE.order);
+    if (mismatch.length) {
+        log(`<span class="err">AI: Solve finished but the cube is NOT solved (${mismatch.length} faces differ):</span>`);
+        mismatch.forEach(line => log(`&nbsp;&nbsp;${escapeHtml(line)}`));
+    } else {
+        // Supercube or picture cube: the colours are right, the centres not
+        const turned = Object.entries(logicCube.centreTwists()).filter(([, twist]) => twist);
+        log(`<span class="err">AI: Solve finished but centres are still turned: ${turned.map(([face, twist]) => `${face} ${twist * 90}°`).join(', ')}.</span>`);
+    }
+    document.getElementById('ai-state').innerText = "UNSOLVED";
+    document.getElementById('ai-state').style.color = "#ff4f7d";
+}
 
-    if (progress >= 1.0) {
-        // Finish Move
-        const axisVec = new THREE.Vector3();
-        axisVec[currentMove.axis] = 1;
-        pivot.quaternion.setFromAxisAngle(axisVec, currentMove.dir * (Math.PI / 2));
-        pivot.updateMatrixWorld();
+// --- SOLVER WORKER ---
 
-        logicCube.rotateLogic(currentMove.axis, currentMove.slice, currentMove.dir);
-        
-        // This function now handles the cleanup safely
-        forceVisualSync();
+// State-based solvers run in solver-worker.js (protocol in lib/solverjob.js)
+// so table building and searches never stall the render loop. Without
+// module workers the same job runs here and blocks the page instead.
+let solverWorker = null;
+let solverJob = null;       // { id, label, finish, resolve, reject, timer }
+let solverJobId = 0;
 
-        currentMove = null;
-        progress = 0;
-    } else {
-        // Animate Move with smooth easing
-        const axisVec = new THREE.Vector3();
-        axisVec[currentMove.axis] = 1;
-        
-        // Apply easing for smooth acceleration and deceleration
-        const easedProgress = easeInOutCubic(progress);
-        const rotationAngle = currentMove.dir * easedProgress * (Math.PI / 2);
-        
-        pivot.rotation.set(0,0,0);
-        pivot.rotateOnAxis(axisVec, rotationAngle);
-    }
-}
-
-// --- HEALER ---
-function validateAndHeal() {
-    if (STATE.isSolving && STATE.memoryStack.length === 0) {
-        let isBroken = false;
-        const faces = [{ax:'x',v:1},{ax:'x',v:-1},{ax:'y',v:1},{ax:'y',v:-1},{ax:'z',v:1},{ax:'z',v:-1}];
-
-        for(let f of faces) {
-            const onFace = logicCube.pieces.filter(p => Math.abs(p[f.ax] - f.v) < 0.1);
-            const oxSet = new Set(onFace.map(p => p.ox));
-            const oySet = new Set(onFace.map(p => p.oy));
-            const ozSet = new Set(onFace.map(p => p.oz));
-            const solved = (oxSet.size===1 && Math.abs([...oxSet][0])===1) || 
-                           (oySet.size===1 && Math.abs([...oySet][0])===1) || 
-                           (ozSet.size===1 && Math.abs([...ozSet][0])===1);
-            if(!solved) isBroken = true;
-        }
+class SolverCancelledError extends Error {}
 
-        if (isBroken) {
-            log("AI: Solution complete. Cube restored.");
-            logicCube.forceReset();
-            forceVisualSync();
-            STATE.isSolving = false;
-            document.getElementById('ai-state').innerText = "SOLVED";
-            document.getElementById('ai-state').style.color = "#00ff88";
-        } else {
-            checkAndFixAlignment();
-        }
+function getSolverWorker() {
+    if (solverWorker || typeof Worker === 'undefined') return solverWorker;
+    try {
+        solverWorker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+        solverWorker.onmessage = e => handleSolverMessage(e.data);
+        solverWorker.onerror = e => {
+            e.preventDefault();
+            stopSolverWorker();
+            if (solverJob) endSolverJob(new Error(e.message || 'The solver worker failed.'));
+        };
+    } catch (error) {
+        solverWorker = null;
     }
+    return solverWorker;
 }
 
-function checkAndFixAlignment() {
-    if (STATE.memoryStack.length > 0) return;
+// A search can't be interrupted from inside: drop the worker, and the next
+// job starts a fresh one (reloading the tables from the browser cache)
+function stopSolverWorker() {
+    if (!solverWorker) return;
+    solverWorker.terminate();
+    solverWorker = null;
+}
 
-    const topPiece = logicCube.pieces.find(p => p.oy === 1 && p.isCenter);
-    if(topPiece) {
-        if(Math.abs(topPiece.u.y - 1) > 0.1) {
-            log("AI: Aligning Orientation...");
-            moveQueue.push({ axis: 'x', slice: 0, dir: 1 });
-            moveQueue.push({ axis: 'x', slice: 1, dir: 1 });
-            moveQueue.push({ axis: 'x', slice: -1, dir: 1 });
-            return;
+// Solve the current cube with a mode from lib/solvers.js. Resolves to
+// { solution, moves, details } like solveCube(); rejects on solver errors,
+// the timeout, a cube changed meanwhile, or cancelSolver().
+function runSolver(method) {
+    const request = {
+        type: 'solve',
+        id: ++solverJobId,
+        method,
+        facelets: logicCube.toFacelets(),
+        order: STATE.order,
+        puzzleType: STATE.type,
+        options: {
+            timeout: CONFIG.searchTimeout,
+            centres: ORIENTED_CENTRES.includes(STATE.type) ? logicCube.centreTwists() : undefined
         }
-    }
-    const frontPiece = logicCube.pieces.find(p => p.oz === 1 && p.isCenter);
-    if(frontPiece) {
-        if(Math.abs(frontPiece.f.z - 1) > 0.1) {
-            log("AI: Aligning Front...");
-            moveQueue.push({ axis: 'y', slice: 0, dir: 1 });
-            moveQueue.push({ axis: 'y', slice: 1, dir: 1 });
-            moveQueue.push({ axis: 'y', slice: -1, dir: 1 });
-            return;
+    };
+    // Supercube centres can turn without a sticker changing colour
+    const twistKey = twists => FACES.map(face => twists[face]).join('');
+    const centres = request.options.centres && twistKey(request.options.centres);
+    return startSolverJob(request, 'AI', ({ solution, details }) => {
+        const turned = ORIENTED_CENTRES.includes(STATE.type) && twistKey(logicCube.centreTwists()) !== centres;
+        if (logicCube.toFacelets() !== request.facelets || turned) {
+            throw new Error('The cube changed while the solver was thinking. Solve again.');
         }
-    }
-    
-    STATE.isSolving = false;
-    document.getElementById('ai-state').innerText = "SOLVED";
-    document.getElementById('ai-state').style.color = "#00ff88";
+        const moves = solution ? algorithmToMoves(solution, request.order) : [];
+        return { solution, moves, details };
+    });
 }
 
-// --- KOCIEMBA AI SOLVER ---
+// A scramble for the current puzzle from lib/scramble.js, made in the
+// worker since random-state scrambles need the solver tables. Resolves to
+// { seed, method, scramble, moves }; rejects like runSolver().
+function runScramble(seed) {
+    const request = { type: 'scramble', id: ++solverJobId, order: STATE.order, puzzleType: STATE.type, seed };
+    return startSolverJob(request, 'Scramble', ({ seed, method, scramble }) => {
+        return { seed, method, scramble, moves: algorithmToMoves(scramble, request.order) };
+    });
+}
 
-// Convert our cube state to cubejs facelet string format
-// Facelet order: U1-U9, R1-R9, F1-F9, D1-D9, L1-L9, B1-B9
-function exportCubeStateToCubejs() {
-    if (!logicCube || STATE.order !== 3) return null;
-    
-    const offset = 1; // For 3x3
-    const facelets = [];
-    
-    // Map face positions to cubejs facelet positions
-    // Our system: x=left/right, y=up/down, z=front/back
-    // Cubejs: U(white top), R(red right), F(green front), D(yellow bottom), L(orange left), B(blue back)
-    
-    // Helper: get color of a specific face of a piece
-    const getFaceColor = (piece, faceDir) => {
-        if (!piece || !piece.mesh || !Array.isArray(piece.mesh.material)) return 'U';
-        
-        const materials = piece.mesh.material;
-        const matColors = materials.map(m => m.color.getHex());
-        
-        // Materials order: [Right, Left, Top, Bottom, Front, Back]
-        // 0=Right, 1=Left, 2=Top, 3=Bottom, 4=Front, 5=Back
-        
-        if (faceDir === 'U' && matColors[2] === CONFIG.colors.U) return 'U';
-        if (faceDir === 'D' && matColors[3] === CONFIG.colors.D) return 'D';
-        if (faceDir === 'R' && matColors[0] === CONFIG.colors.R) return 'R';
-        if (faceDir === 'L' && matColors[1] === CONFIG.colors.L) return 'L';
-        if (faceDir === 'F' && matColors[4] === CONFIG.colors.F) return 'F';
-        if (faceDir === 'B' && matColors[5] === CONFIG.colors.B) return 'B';
-        
-        // If exact match not found, check which material is closest to expected position
-        // This handles rotated pieces
-        const expectedPos = {
-            'U': { y: offset },
-            'D': { y: -offset },
-            'R': { x: offset },
-            'L': { x: -offset },
-            'F': { z: offset },
-            'B': { z: -offset }
+// Post a request to the worker (or run it here without one). `label`
+// prefixes its progress in the console; `finish(result message)` gives what
+// the promise resolves to, or throws to reject it.
+function startSolverJob(request, label, finish) {
+    if (solverJob) return Promise.reject(new Error('The solver is already running.'));
+    return new Promise((resolve, reject) => {
+        solverJob = {
+            id: request.id,
+            label,
+            finish,
+            resolve,
+            reject,
+            timer: setTimeout(() => {
+                stopSolverWorker();
+                endSolverJob(new Error(`No answer within ${CONFIG.solverTimeout / 1000}s, the solver was stopped.`));
+            }, CONFIG.solverTimeout)
         };
-        
-        const pos = expectedPos[faceDir];
-        if (pos) {
-            const isOnFace = Object.keys(pos).every(axis => 
-                Math.abs(piece[axis] - pos[axis]) < 0.1
-            );
-            if (isOnFace) {
-                // Find which material color matches this face's expected color
-                const expectedColor = {
-                    'U': CONFIG.colors.U, 'D': CONFIG.colors.D,
-                    'R': CONFIG.colors.R, 'L': CONFIG.colors.L,
-                    'F': CONFIG.colors.F, 'B': CONFIG.colors.B
-                }[faceDir];
-                
-                const colorIdx = matColors.findIndex(c => c === expectedColor);
-                if (colorIdx >= 0) {
-                    // Map material index to face
-                    const matToFace = ['R', 'L', 'U', 'D', 'F', 'B'];
-                    return matToFace[colorIdx];
-                }
-            }
+        showSolverStatus(true);
+        const worker = getSolverWorker();
+        if (worker) {
+            worker.postMessage(request);
+        } else {
+            runSolverJob(request, handleSolverMessage);
         }
-        
-        return faceDir; // Fallback to expected face
-    };
-    
-    // Build facelet string in cubejs order: U, R, F, D, L, B (each 9 facelets)
-    const faces = [
-        { name: 'U', getPos: (r, c) => ({ x: c, y: offset, z: -r }) },
-        { name: 'R', getPos: (r, c) => ({ x: offset, y: -r, z: c }) },
-        { name: 'F', getPos: (r, c) => ({ x: c, y: -r, z: offset }) },
-        { name: 'D', getPos: (r, c) => ({ x: -c, y: -offset, z: r }) },
-        { name: 'L', getPos: (r, c) => ({ x: -offset, y: -r, z: -c }) },
-        { name: 'B', getPos: (r, c) => ({ x: -c, y: -r, z: -offset }) }
-    ];
-    
-    for (const face of faces) {
-        // Cubejs reads facelets row by row, top to bottom, left to right
-        for (let row = 1; row >= -1; row--) {
-            for (let col = -1; col <= 1; col++) {
-                const pos = face.getPos(row, col);
-                const piece = logicCube.pieces.find(p => 
-                    Math.abs(p.x - pos.x) < 0.1 && 
-                    Math.abs(p.y - pos.y) < 0.1 && 
-                    Math.abs(p.z - pos.z) < 0.1
-                );
-                
-                if (piece) {
-                    facelets.push(getFaceColor(piece, face.name));
-                } else {
-                    facelets.push(face.name); // Fallback
-                }
-            }
+    });
+}
+
+function handleSolverMessage(message) {
+    // Answers to a cancelled or timed-out job are stale
+    if (!solverJob || message.id !== solverJob.id) return;
+    if (message.type === 'progress') {
+        log(`${solverJob.label}: ${escapeHtml(message.message)}`);
+    } else if (message.type === 'error') {
+        endSolverJob(new Error(message.message));
+    } else if (message.type === 'result') {
+        let result;
+        try {
+            result = solverJob.finish(message);
+        } catch (error) {
+            endSolverJob(error);
+            return;
         }
+        endSolverJob(null, result);
     }
-    
-    return facelets.join('');
 }
 
-// Convert cubejs move notation to our move format
-// cubejs uses: U, R, F, D, L, B (and ', 2)
-// Our format: { axis: 'x'|'y'|'z', slice: -1|0|1, dir: 1|-1 }
-function convertCubejsMoveToOurFormat(moveStr) {
-    // Parse move string like "U", "R'", "F2", etc.
-    const move = moveStr.trim();
-    if (!move) return null;
-    
-    const face = move[0];
-    const modifier = move.length > 1 ? move[1] : '';
-    
-    let axis, slice, dir;
-    
-    // Map faces to our coordinate system
-    // Our system: x=left/right, y=up/down, z=front/back
-    if (face === 'U') {
-        axis = 'y';
-        slice = 1; // Top layer
-        dir = modifier === "'" ? -1 : 1;
-    } else if (face === 'D') {
-        axis = 'y';
-        slice = -1; // Bottom layer
-        dir = modifier === "'" ? 1 : -1; // Inverted for bottom
-    } else if (face === 'R') {
-        axis = 'x';
-        slice = 1; // Right layer
-        dir = modifier === "'" ? -1 : 1;
-    } else if (face === 'L') {
-        axis = 'x';
-        slice = -1; // Left layer
-        dir = modifier === "'" ? 1 : -1; // Inverted for left
-    } else if (face === 'F') {
-        axis = 'z';
-        slice = 1; // Front layer
-        dir = modifier === "'" ? -1 : 1;
-    } else if (face === 'B') {
-        axis = 'z';
-        slice = -1; // Back layer
-        dir = modifier === "'" ? 1 : -1; // Inverted for back
+function endSolverJob(error, result) {
+    const job = solverJob;
+    solverJob = null;
+    clearTimeout(job.timer);
+    showSolverStatus(false);
+    if (error) {
+        job.reject(error);
     } else {
-        return null;
+        job.resolve(result);
     }
-    
-    // Handle double moves (F2 = F F)
-    if (modifier === '2') {
-        return [
-            { axis, slice, dir },
-            { axis, slice, dir }
-        ];
+}
+
+function cancelSolver() {
+    if (!solverJob) return;
+    stopSolverWorker();
+    log(`${solverJob.label}: Cancelled.`);
+    endSolverJob(new SolverCancelledError('Solver cancelled.'));
+}
+
+// THINKING in the header and the cancel button while a job runs
+function showSolverStatus(thinking) {
+    const aiState = document.getElementById('ai-state');
+    if (thinking) {
+        aiState.innerText = "THINKING";
+        aiState.style.color = "#ffb84d";
+    } else if (!STATE.isAnimating) {
+        aiState.innerText = "IDLE";
+        aiState.style.color = "#666";
+    }
+    document.getElementById('btn-solve').hidden = thinking;
+    document.getElementById('btn-solve-cancel').hidden = !thinking;
+}
+
+// Log a solver failure; a cancel has been logged already
+function logSolverError(name, error) {
+    if (error instanceof SolverCancelledError) return;
+    log(`<span class="err">AI: ${name} solver error: ${escapeHtml(error.message)}</span>`);
+    // Only log to console in development
+    if (!CONFIG.production) {
+        console.error(`${name} solver error:`, error);
     }
-    
-    return { axis, slice, dir };
 }
 
-// Solve using Kociemba's algorithm - STUB FOR CONTRIBUTORS
-// This function is a clean hook for implementing Kociemba's two-phase algorithm
-// See README.md "Implementing Kociemba's Algorithm" section for implementation guide
+// --- KOCIEMBA AI SOLVER ---
+
+// Solve using Kociemba's two-phase algorithm (lib/kociemba.js)
 async function solveWithKociemba() {
-    // Check if Kociemba solver library is available
-    if (typeof Cube === 'undefined') {
-        log("AI: Kociemba solver not available. See README.md for implementation instructions.");
-        log("AI: Contributing? Check 'Implementing Kociemba's Algorithm' section.");
+    try {
+        const { solution, moves, details } = await runSolver('ai-kociemba');
+        if (!solution) {
+            log("AI: Cube is already solved.");
+            return [];
+        }
+
+        log(`AI: Kociemba solution found: ${solution}`);
+        logCentreFix(details);
+        return moves;
+
+    } catch (error) {
+        logSolverError('Kociemba', error);
         return null;
     }
-    
+}
+
+// Supercube and picture cube solutions end by turning the centres
+function logCentreFix({ centres }) {
+    if (centres) log(`AI: ...then the centres are turned with ${centres}`);
+}
+
+// --- BEGINNER LBL SOLVER ---
+
+// Solve with the layer-by-layer method and explain every stage in the console
+async function solveWithBeginnerMethod() {
     try {
-        // Export current cube state to facelet notation
-        const faceletString = exportCubeStateToCubejs();
-        if (!faceletString || faceletString.length !== 54) {
-            log(`AI: Failed to export cube state (got ${faceletString?.length || 0} facelets, need 54).`);
-            return null;
-        }
-        
-        log("AI: Initializing Kociemba solver...");
-        
-        // Initialize solver (loads pattern databases - may take time on first call)
-        if (!Cube.initSolver) {
-            log("AI: Cube.initSolver not found. Check library integration.");
-            return null;
-        }
-        Cube.initSolver();
-        
-        // Create cube from facelet string
-        const cube = Cube.fromString ? Cube.fromString(faceletString) : new Cube();
-        if (cube.fromString && !Cube.fromString) {
-            cube.fromString(faceletString);
-        }
-        
-        // Solve using Kociemba's two-phase algorithm
-        if (typeof cube.solve !== 'function') {
-            log("AI: cube.solve() method not found. Check library API.");
-            return null;
-        }
-        
-        const solution = cube.solve();
-        if (!solution || solution.length === 0) {
-            log("AI: Kociemba solver returned no solution.");
-            return null;
+        const { solution, moves, details } = await runSolver('beginner');
+        const { stages } = details;
+        if (!solution) {
+            log("AI: Cube is already solved.");
+            return [];
         }
-        
-        log(`AI: Kociemba solution found: ${solution}`);
-        
-        // Convert solution to our move format
-        const moves = [];
-        const moveStrings = solution.trim().split(/\s+/).filter(m => m.length > 0);
-        
-        for (const moveStr of moveStrings) {
-            const converted = convertCubejsMoveToOurFormat(moveStr);
-            if (Array.isArray(converted)) {
-                moves.push(...converted);
-            } else if (converted) {
-                moves.push(converted);
-            }
+
+        stages.forEach((stage, i) => {
+            log(`<span class="cmd">LBL ${i + 1}/${stages.length} ${stage.name}</span>: ${stage.description}`);
+            stage.steps.forEach(step => log(`&nbsp;&nbsp;${step.label}: ${step.detail}`));
+        });
+        logCentreFix(details);
+        log(`AI: Beginner solution (${solution.split(' ').length} moves): ${solution}`);
+        return moves;
+    } catch (error) {
+        logSolverError('Beginner', error);
+        return null;
+    }
+}
+
+// --- REDUCTION SOLVER (4x4, 5x5) ---
+
+// Centres, edge pairing, parity, then the 3x3 stage; logs each stage
+async function solveWithReduction() {
+    try {
+        const { solution, moves, details: { stages } } = await runSolver('reduction');
+        if (!solution) {
+            log("AI: Cube is already solved.");
+            return [];
         }
-        
+
+        stages.forEach((stage, i) => {
+            const count = stage.solution.split(' ').length;
+            log(`<span class="cmd">Reduction ${i + 1}/${stages.length} ${stage.name}</span> (${count} moves): ${stage.description}`);
+        });
+        log(`AI: Reduction solution ready (${solution.split(' ').length} moves).`);
         return moves;
-        
     } catch (error) {
-        log(`AI: Kociemba solver error: ${error.message}`);
-        // Only log to console in development
-        if (!CONFIG.production) {
-            console.error("Kociemba solver error:", error);
+        logSolverError('Reduction', error);
+        return null;
+    }
+}
+
+// --- OPTIMAL 2X2 SOLVER ---
+
+// Shortest solution in both metrics; the half-turn one is executed
+async function solveWithPocketOptimal() {
+    try {
+        const { moves, details: { htm, qtm } } = await runSolver('pocket');
+        if (!htm.solution) {
+            log("AI: Cube is already solved.");
+            return [];
         }
+        log(`AI: Optimal (half-turn metric): ${htm.length} moves: ${htm.solution}`);
+        log(`AI: Optimal (quarter-turn metric): ${qtm.length} quarter turns: ${qtm.solution}`);
+        return moves;
+    } catch (error) {
+        logSolverError('2x2', error);
         return null;
     }
 }
 
 // --- CONTROLS ---
 
-function scramble() {
-    if (STATE.isAnimating) return;
+// Random-state on 2x2/3x3, WCA-length random moves on bigger cubes. The
+// optional seed from the dashboard reproduces a scramble exactly.
+async function scramble() {
+    if (STATE.isAnimating || dragTurn || STATE.isScrambling || STATE.editor || solverJob) return;
     if (moveQueue.length > 0) return;
 
     STATE.isSolving = false;
@@ -745,28 +2292,79 @@ function scramble() {
     STATE.isTiming = false;
     STATE.solveElapsed = 0;
     updateTimerUI(0);
-    
-    const moves = 20;
-    const axes = ['x','y','z'];
-    const range = (STATE.order - 1) / 2;
-    const slices = [];
-    for(let i = -range; i <= range; i++) slices.push(i);
-
-    log("Scramble Initiated");
-    for(let i=0; i<moves; i++) {
-        const m = {
-            axis: axes[Math.floor(Math.random()*3)],
-            slice: slices[Math.floor(Math.random()*slices.length)],
-            dir: Math.random() > 0.5 ? 1 : -1
-        };
-        moveQueue.push(m);
-        STATE.memoryStack.push(m);
+
+    const seedText = document.getElementById('scramble-seed').value.trim();
+    const { order, type } = STATE;
+    STATE.isScrambling = true;
+    try {
+        const { seed, method, scramble, moves } = await runScramble(seedText || undefined);
+        // The puzzle may have been switched while the worker was busy
+        if (order !== STATE.order || type !== STATE.type) return;
+
+        log(`Scramble (${method}, seed ${escapeHtml(seed)}): ${scramble}`);
+        stopTrainer();
+        stopPlayback();
+        showScramble(scramble, seed);
+        STATE.currentScramble = scramble;
+        armRecording(scramble);
+        queueMoves(moves);
+    } catch (error) {
+        if (!(error instanceof SolverCancelledError)) log(`<span class="err">Scramble error: ${escapeHtml(error.message)}</span>`);
+    } finally {
+        STATE.isScrambling = false;
+    }
+}
+
+// Current scramble in the dashboard; '' clears it
+function showScramble(scramble, seed) {
+    document.getElementById('scramble-text').textContent = scramble;
+    document.getElementById('scramble-text').title = scramble && seed ? `Seed: ${seed}` : '';
+}
+
+// Parse an algorithm in WCA/SiGN notation and queue it like a scramble
+function runAlgorithm(text) {
+    if (solveHoldsCube(STATE.isSolving, STATE.playback) || STATE.editor) return;
+    if (!text.trim()) return;
+
+    let alg;
+    try {
+        const nodes = parseAlgorithm(text);
+        const moves = algorithmToMoves(nodes, STATE.order);
+        alg = formatAlgorithm(nodes);
+        const { htm, qtm, stm } = moveCounts(moves, STATE.order);
+        log(`Algorithm: ${alg} (${htm} HTM, ${qtm} QTM, ${stm} STM)`);
+    } catch (error) {
+        log(`<span class="err">Algorithm error: ${escapeHtml(error.message)}</span>`);
+        return;
     }
+
+    // A typed algorithm is often a scramble: record the solve that follows
+    armRecording(alg);
+    stopPlayback();
+    startPlayback(alg, 'algorithm');
+}
+
+// Queue moves for animation, cancelling and merging with the moves still
+// waiting (the turn on screen is left alone)
+function playMoves(moves) {
+    moveQueue.splice(0, moveQueue.length, ...optimiseMoves([...moveQueue, ...moves]));
+    requestRender();
+}
+
+// Queue moves for animation and record them in the history, like scramble() does
+function queueMoves(moves) {
+    playMoves(moves);
+    moves.forEach(m => STATE.memoryStack.push(m));
     updateUI();
 }
 
 function solve() {
-    if (STATE.isAnimating) return;
+    if (STATE.isAnimating || dragTurn || solverJob) return;
+    if (STATE.editor) {
+        log("Editor: apply or cancel the edit first.");
+        return;
+    }
+    armRecording(null);
 
     // Mode 1: current reverse-scramble solver (always works, not optimal)
     if (STATE.solveMode === 'reverse') {
@@ -781,21 +2379,15 @@ function solve() {
         STATE.solveStartTime = performance.now();
         STATE.solveElapsed = 0;
         updateTimerUI(0);
-        const sol = STATE.memoryStack.slice().reverse().map(m => ({
-            axis: m.axis,
-            slice: m.slice,
-            dir: m.dir * -1
-        }));
-        sol.forEach(m => moveQueue.push(m));
-        STATE.memoryStack = [];
-        updateUI();
+        const sol = optimiseMoves(invertMoves(STATE.memoryStack));
+        startPlayback(movesToAlgorithm(sol, STATE.order), 'solve');
         return;
     }
 
-    // Mode 2: Kociemba-based AI solver (3×3 only) - REAL IMPLEMENTATION!
+    // Mode 2: Kociemba two-phase solver (3×3 only)
     if (STATE.solveMode === 'ai-kociemba') {
-        if (STATE.order !== 3 || STATE.type !== 'normal') {
-            log("AI: Kociemba solver works for 3x3 Standard only. Switch architecture to 3x3.");
+        if (!canSolve('ai-kociemba', STATE.order, STATE.type)) {
+            log("AI: Kociemba solver works for the 3x3 (Standard, Supercube, Picture or Void) only. Switch architecture to 3x3.");
             return;
         }
 
@@ -807,31 +2399,106 @@ function solve() {
         STATE.solveElapsed = 0;
         updateTimerUI(0);
         
-        // Solve asynchronously
+        // Solve in the solver worker
         solveWithKociemba().then(moves => {
             if (!moves || moves.length === 0) {
-                log("AI: Kociemba solver failed. Falling back to reverse-scramble.");
+                if (!moves) log("AI: Kociemba solver failed. Try the reverse-history strategy.");
                 STATE.isSolving = false;
+                STATE.isTiming = false;
                 return;
             }
             
             log(`AI: Kociemba solution ready! Executing ${moves.length} moves...`);
             
             // Push all moves to queue
-            moves.forEach(m => moveQueue.push(m));
-            STATE.memoryStack = []; // Clear scramble history since we're using AI
-            updateUI();
-        }).catch(error => {
-            log(`AI: Kociemba solver error: ${error.message}`);
-            STATE.isSolving = false;
+            startPlayback(movesToAlgorithm(moves, STATE.order), 'solve');
         });
         
         return;
     }
+
+    // Mode 3: beginner layer-by-layer solver (3×3 only)
+    if (STATE.solveMode === 'beginner') {
+        if (!canSolve('beginner', STATE.order, STATE.type)) {
+            log("AI: Beginner solver works for the 3x3 (Standard, Supercube, Picture or Void) only. Switch architecture to 3x3.");
+            return;
+        }
+
+        STATE.isSolving = true;
+        log("AI: Solving layer by layer...");
+        solveWithBeginnerMethod().then(moves => {
+            if (!moves || moves.length === 0) {
+                STATE.isSolving = false;
+                return;
+            }
+
+            STATE.isTiming = true;
+            STATE.solveStartTime = performance.now();
+            STATE.solveElapsed = 0;
+            updateTimerUI(0);
+
+            startPlayback(movesToAlgorithm(moves, STATE.order), 'solve');
+        });
+        return;
+    }
+
+    // Mode 4: reduction solver (4×4 and 5×5)
+    if (STATE.solveMode === 'reduction') {
+        if (!canSolve('reduction', STATE.order, STATE.type)) {
+            log("AI: Reduction solver works for 4x4 and 5x5 only. Switch architecture to 4x4 or 5x5.");
+            return;
+        }
+
+        STATE.isSolving = true;
+        log("AI: Solving by reduction...");
+        solveWithReduction().then(moves => {
+            if (!moves || moves.length === 0) {
+                STATE.isSolving = false;
+                return;
+            }
+
+            STATE.isTiming = true;
+            STATE.solveStartTime = performance.now();
+            STATE.solveElapsed = 0;
+            updateTimerUI(0);
+
+            startPlayback(movesToAlgorithm(moves, STATE.order), 'solve');
+        });
+        return;
+    }
+
+    // Mode 5: optimal 2×2 solver
+    if (STATE.solveMode === 'pocket') {
+        if (!canSolve('pocket', STATE.order, STATE.type)) {
+            log("AI: Optimal solver works for 2x2 only. Switch architecture to 2x2.");
+            return;
+        }
+
+        STATE.isSolving = true;
+        log("AI: Searching for an optimal 2x2 solution...");
+        solveWithPocketOptimal().then(moves => {
+            if (!moves || moves.length === 0) {
+                STATE.isSolving = false;
+                return;
+            }
+
+            STATE.isTiming = true;
+            STATE.solveStartTime = performance.now();
+            STATE.solveElapsed = 0;
+            updateTimerUI(0);
+
+            startPlayback(movesToAlgorithm(moves, STATE.order), 'solve');
+        });
+        return;
+    }
 }
 
+// Move counts of the history, tidied as lib/sequence.js does
 function updateUI() {
-    document.getElementById('stack-count').innerText = STATE.memoryStack.length;
+    const counts = moveCounts(STATE.memoryStack, STATE.order);
+    ['htm', 'qtm', 'stm'].forEach(metric => {
+        document.getElementById(`stat-${metric}`).innerText = counts[metric];
+    });
 }
 
 function updateTimerUI(elapsedSeconds) {
@@ -842,6 +2509,11 @@ function updateTimerUI(elapsedSeconds) {
         : STATE.solveElapsed;
     el.innerText = `${val.toFixed(2)}s`;
 }
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
 function log(msg) {
     const d = document.createElement('div');
     d.innerHTML = `> ${msg}`;
@@ -849,9 +2521,27 @@ function log(msg) {
 }
 function setupUI() {
     document.getElementById('btn-scramble').addEventListener('click', scramble);
+    document.getElementById('btn-recon-show').addEventListener('click', showReconstruction);
+    document.getElementById('btn-recon-copy').addEventListener('click', copyReconstruction);
     document.getElementById('btn-solve').addEventListener('click', solve);
+    document.getElementById('btn-solve-cancel').addEventListener('click', cancelSolver);
+    document.getElementById('btn-frame-reset').addEventListener('click', resetOrientation);
+    document.getElementById('btn-share').addEventListener('click', copyShareLink);
+    const algInput = document.getElementById('alg-input');
+    document.getElementById('btn-run-alg').addEventListener('click', () => runAlgorithm(algInput.value));
+    algInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') runAlgorithm(algInput.value);
+    });
     setupDashboardDragAndResize();
-    // Solver mode selector (reverse history vs AI/Kociemba stub)
+    setupDragToTurn();
+    setupKeyboard();
+    setupTimer();
+    setupEditor();
+    setupColours();
+    setupTrainer();
+    setupPatterns();
+    setupPlayback();
+    // Solver mode selector (reverse history vs Kociemba)
     const solveModeEl = document.getElementById('solve-mode');
     if (solveModeEl) {
         solveModeEl.value = STATE.solveMode;
@@ -861,7 +2551,13 @@ function setupUI() {
             if (mode === 'reverse') {
                 log("AI: Using reverse-scramble solver (always works, not optimal).");
             } else if (mode === 'ai-kociemba') {
-                log("AI: Kociemba mode selected (experimental - see README for implementation guide).");
+                log("AI: Kociemba two-phase mode selected (3x3 only, ~20 moves).");
+            } else if (mode === 'beginner') {
+                log("AI: Beginner layer-by-layer mode selected (3x3 only, explained step by step).");
+            } else if (mode === 'reduction') {
+                log("AI: Reduction mode selected (4x4/5x5: centres, edges, parity, then 3x3).");
+            } else if (mode === 'pocket') {
+                log("AI: Optimal 2x2 mode selected (shortest solution, at most 11 moves).");
             }
         });
     }
@@ -873,9 +2569,8 @@ function setupUI() {
         CONFIG.animSpeed = 0.1 * val; // val=20 -> animSpeed=2.0 (8x baseline)
     });
     document.getElementById('puzzle-type').addEventListener('change', e => {
-        const val = e.target.value;
-        if(val === 'mirror') buildPuzzle(3, 'mirror');
-        else buildPuzzle(parseInt(val), 'normal');
+        const { order, type } = parsePuzzle(e.target.value);
+        buildPuzzle(order, type);
     });
     window.addEventListener('resize', () => {
         const isMobile = window.innerWidth <= 768;
@@ -891,6 +2586,7 @@ function setupUI() {
         }
         camera.lookAt(0,0,0);
         controls.update();
+        requestRender();
     });
 }
 function setupDashboardDragAndResize() {
@@ -1072,9 +2768,91 @@ function loadDashboardPosition() {
     }
 }
 
+function saveColours() {
+    localStorage.setItem('colourScheme', JSON.stringify(STATE.colours));
+}
+
+function loadColours() {
+    try {
+        const data = JSON.parse(localStorage.getItem('colourScheme'));
+        if (data) STATE.colours = sanitiseColourSettings(data);
+    } catch (e) {
+        // Ignore if no saved data
+    }
+}
+
+function savePatterns() {
+    localStorage.setItem('patterns', JSON.stringify(STATE.patterns));
+}
+
+function loadPatterns() {
+    try {
+        const data = JSON.parse(localStorage.getItem('patterns'));
+        if (data) STATE.patterns = sanitisePatterns(data);
+    } catch (e) {
+        // Ignore if no saved data
+    }
+}
+
+function saveTrainer() {
+    localStorage.setItem('trainer', JSON.stringify(STATE.trainer.data));
+}
+
+function loadTrainer() {
+    try {
+        const data = JSON.parse(localStorage.getItem('trainer'));
+        if (data) STATE.trainer.data = sanitiseTrainerData(data);
+    } catch (e) {
+        // Ignore if no saved data
+    }
+}
+
+function saveKeymap() {
+    localStorage.setItem('keymap', JSON.stringify(STATE.keymap));
+}
+
+function saveSessions() {
+    localStorage.setItem('timerSessions', JSON.stringify(STATE.sessions));
+}
+
+function loadSessions() {
+    try {
+        const data = JSON.parse(localStorage.getItem('timerSessions'));
+        if (data) STATE.sessions = sanitiseSessions(data);
+    } catch (e) {
+        // Ignore if no saved data
+    }
+}
+
+function loadKeymap() {
+    try {
+        const data = JSON.parse(localStorage.getItem('keymap'));
+        if (data) STATE.keymap = sanitiseKeymap(data);
+    } catch (e) {
+        // Ignore if no saved data
+    }
+}
+
+// --- RENDER LOOP ---
+// Frames are drawn on demand: whatever changes the scene calls
+// requestRender(), and animate() asks for the next frame only while
+// something is still moving or a clock is running.
+let frameRequested = false;
+
+function requestRender() {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(animate);
+}
+
 function animate() {
-    controls.update();
+    frameRequested = false;
+    // Damping keeps the camera gliding for a while after the pointer stops
+    const cameraMoving = controls.update();
+    updateDragSnap();
     processQueue();
+    updateTimer();
+    updateTrainer();
     
     // Update timer in real-time if solving
     if (STATE.isTiming) {
@@ -1083,6 +2861,12 @@ function animate() {
     }
     
     renderer.render(scene, camera);
+
+    const timerRunning = STATE.timer.phase !== 'idle' && STATE.timer.phase !== 'stopped';
+    const trainerRunning = STATE.trainer.current?.start && STATE.trainer.current.time === null;
+    if (cameraMoving || moveQueue.length || currentTurn || STATE.isAnimating || dragTurn?.snap || timerRunning || trainerRunning || STATE.isTiming) {
+        requestRender();
+    }
 }
 
 init();
\ No newline at end of file
@@ -0,0 +1,9 @@
+// --- SOLVER WORKER ---
+// Runs the state-based solvers off the main thread so table building and
+// long searches never stall rendering. The message protocol is described in
+// lib/solverjob.js. Loaded as a module worker: the page's import map does
+// not apply here, which is fine because lib/ never imports Three.js.
+
+import { runSolverJob } from './lib/solverjob.js';
+
+self.onmessage = event => runSolverJob(event.data, message => self.postMessage(message));
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CASES, OLL_CASES, PLL_CASES, caseSetup, casePicture, findCase } from '../lib/cases.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { applyMoves, solvedFacelets } from '../lib/stickers.js';
+
+const SOLVED = solvedFacelets(3);
+const play = (facelets, alg) => applyMoves(facelets, algorithmToMoves(alg, 3), 3);
+
+// Last-layer stickers: the U face and the top rows of R, F, L and B
+const LAST_LAYER = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 18, 19, 20, 36, 37, 38, 45, 46, 47];
+
+// Letters renamed after the face whose centre has that colour, so a
+// rotated cube reads like one held the usual way
+function relabel(facelets) {
+    const face = {};
+    for (let f = 0; f < 6; f++) face[facelets[f * 9 + 4]] = 'URFDLB'[f];
+    return facelets.split('').map(c => face[c]).join('');
+}
+
+// The same key for a last layer seen from any side, before or after any
+// U turn. OLL only looks at which stickers are U-coloured.
+function caseKey(facelets, set) {
+    let best = null;
+    for (const rotation of ['', 'y', 'y2', "y'"]) {
+        for (const auf of ['', 'U', 'U2', "U'"]) {
+            const turned = relabel(play(facelets, `${rotation} ${auf}`));
+            const key = LAST_LAYER.map(i => (set === 'oll' && turned[i] !== 'U' ? '-' : turned[i])).join('');
+            if (best === null || key < best) best = key;
+        }
+    }
+    return best;
+}
+
+test('the library has every case once', () => {
+    assert.equal(OLL_CASES.length, 57);
+    assert.equal(PLL_CASES.length, 21);
+    assert.equal(new Set(CASES.map(c => c.id)).size, 78);
+    assert.equal(new Set(OLL_CASES.map(c => caseKey(caseSetup(c).facelets, 'oll'))).size, 57);
+    assert.equal(new Set(PLL_CASES.map(c => caseKey(caseSetup(c).facelets, 'pll'))).size, 21);
+    assert.equal(findCase('pll-t').name, 'T perm');
+    assert.equal(findCase('oll-99'), null);
+});
+
+test('cases only touch the last layer', () => {
+    for (const c of CASES) {
+        const { facelets } = caseSetup(c, 1);
+        for (let i = 0; i < 54; i++) {
+            if (!LAST_LAYER.includes(i)) assert.equal(facelets[i], SOLVED[i], `${c.name} moves sticker ${i}`);
+        }
+        assert.notEqual(facelets, SOLVED, `${c.name} is already solved`);
+        if (c.set === 'pll') assert.equal(facelets.slice(0, 9), 'UUUUUUUUU', `${c.name} is not oriented`);
+    }
+});
+
+test('every algorithm solves its case from some angle', () => {
+    for (const c of CASES) {
+        const target = caseKey(SOLVED, c.set);
+        for (const alg of c.algs) {
+            const solves = ['', 'U', 'U2', "U'"].some(auf => {
+                const after = play(caseSetup(c).facelets, `${auf} ${alg}`);
+                return c.set === 'oll' ? caseKey(after, 'oll') === target : caseKey(after, 'pll') === target;
+            });
+            assert.ok(solves, `${c.name}: ${alg}`);
+        }
+    }
+});
+
+test('the setup is the inverse algorithm with the AUF after it', () => {
+    const { setup, facelets } = caseSetup(findCase('oll-27'), 2);
+    assert.equal(setup, "R U2' R' U' R U' R' U2");
+    assert.equal(play(facelets, "U2 R U R' U R U2 R'"), SOLVED);
+});
+
+test('pictures show the last layer from above', () => {
+    assert.deepEqual(casePicture(caseSetup(findCase('oll-27')).facelets, 'oll'), [
+        [null, 'U', '-', '-', null],
+        ['-', '-', 'U', '-', 'U'],
+        ['-', 'U', 'U', 'U', '-'],
+        ['-', 'U', 'U', '-', '-'],
+        [null, '-', '-', 'U', null]
+    ]);
+    const h = casePicture(caseSetup(findCase('pll-h')).facelets, 'pll');
+    assert.deepEqual(h[4], [null, 'F', 'B', 'F', null]);
+    assert.deepEqual(h.map(row => row[4]), [null, 'R', 'L', 'R', null]);
+});
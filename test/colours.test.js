@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GLYPHS, GLYPH_MODES, SCHEMES, colourName, defaultColourSettings, sanitiseColourSettings, schemeNames } from '../lib/colours.js';
+import { COLOUR_NAMES } from '../lib/validate.js';
+
+test('every preset has six different colours', () => {
+    for (const { colors } of Object.values(SCHEMES)) {
+        assert.deepEqual(Object.keys(colors).sort(), ['B', 'D', 'F', 'L', 'R', 'U']);
+        assert.equal(new Set(Object.values(colors)).size, 6);
+    }
+});
+
+test('colours get plain names', () => {
+    assert.deepEqual(schemeNames(SCHEMES.western.colors), COLOUR_NAMES);
+    assert.equal(schemeNames(SCHEMES.japanese.colors).D, 'blue');
+    assert.equal(schemeNames(SCHEMES['high-contrast'].colors).L, 'magenta');
+    assert.equal(colourName(0x111111), 'black');
+});
+
+test('faces with look-alike colours are told apart by letter', () => {
+    const names = schemeNames({ ...SCHEMES.western.colors, L: 0xcc0000 });
+    assert.equal(names.R, 'red (R)');
+    assert.equal(names.L, 'red (L)');
+    assert.equal(names.U, 'white');
+});
+
+test('stored settings are checked', () => {
+    assert.deepEqual(sanitiseColourSettings(null), defaultColourSettings());
+    assert.deepEqual(sanitiseColourSettings({ scheme: 'japanese', colors: { U: 0 }, glyphs: 'shapes' }), {
+        scheme: 'japanese', colors: SCHEMES.japanese.colors, glyphs: 'shapes'
+    });
+    const custom = sanitiseColourSettings({ scheme: 'custom', colors: { U: 0x123456, R: 'red', F: -1 }, glyphs: 'huge' });
+    assert.equal(custom.scheme, 'custom');
+    assert.equal(custom.colors.U, 0x123456);
+    assert.equal(custom.colors.R, SCHEMES.western.colors.R);
+    assert.equal(custom.colors.F, SCHEMES.western.colors.F);
+    assert.equal(custom.glyphs, 'off');
+});
+
+test('each colour-blind mode marks the six colours differently', () => {
+    assert.deepEqual(GLYPH_MODES, ['off', 'letters', 'shapes']);
+    for (const marks of Object.values(GLYPHS)) assert.equal(new Set(Object.values(marks)).size, 6);
+});
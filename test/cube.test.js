@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { randomMoves } from '../lib/scramble.js';
+import { applyMoves, solvedFacelets } from '../lib/stickers.js';
+
+// Small deterministic generator so failures can be reproduced
+function seeded(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+const snapshot = (cube) => JSON.stringify(cube.pieces);
+
+// Number of times an algorithm has to be repeated to get back to solved
+function algorithmOrder(alg, order = 3) {
+    const cube = new VirtualCube(order);
+    const moves = algorithmToMoves(alg, order);
+    const solved = cube.toFacelets();
+    for (let n = 1; n <= 5000; n++) {
+        cube.applyMoves(moves);
+        if (cube.toFacelets() === solved) return n;
+    }
+    return Infinity;
+}
+
+test('every single move is undone by its inverse', () => {
+    for (const order of [2, 3, 4, 5]) {
+        const o = (order - 1) / 2;
+        const cube = new VirtualCube(order);
+        cube.applyMoves(randomMoves(order, 30, seeded(order)));
+        const before = snapshot(cube);
+        for (const axis of ['x', 'y', 'z']) {
+            for (let slice = -o; slice <= o; slice++) {
+                for (const dir of [1, -1, 2]) {
+                    cube.rotateLogic(axis, slice, dir);
+                    cube.rotateLogic(axis, slice, -dir);
+                    assert.equal(snapshot(cube), before, `${order}x${order} ${axis}${slice} ${dir}`);
+                }
+            }
+        }
+    }
+});
+
+test('four quarter turns are the identity', () => {
+    const cube = new VirtualCube(4);
+    const before = snapshot(cube);
+    for (let i = 0; i < 4; i++) cube.rotateLogic('x', 0.5, 1);
+    assert.equal(snapshot(cube), before);
+});
+
+test('common algorithms have their known order', () => {
+    assert.equal(algorithmOrder('R'), 4);
+    assert.equal(algorithmOrder("R U R' U'"), 6);
+    assert.equal(algorithmOrder('R U'), 105);
+    assert.equal(algorithmOrder("R U R' U R U2 R'"), 6);
+    assert.equal(algorithmOrder("R U R' U' R' F R2 U' R' U' R U R' F'"), 2);
+    assert.equal(algorithmOrder("R U2 D' B D'"), 1260);
+    assert.equal(algorithmOrder('M2 E2 S2'), 2);
+    assert.equal(algorithmOrder("R U R' U'", 4), 6);
+});
+
+test('a fresh cube is solved, in any whole-cube orientation', () => {
+    for (const order of [2, 3, 4, 5]) {
+        const cube = new VirtualCube(order);
+        assert.ok(cube.isSolved());
+        cube.applyMoves(algorithmToMoves("x y2 z'", order));
+        assert.ok(cube.isSolved());
+        cube.applyMoves(algorithmToMoves('R', order));
+        assert.ok(!cube.isSolved());
+    }
+});
+
+test('rotations turn the frame, which names the way back', () => {
+    for (const order of [2, 3, 4]) {
+        const cube = new VirtualCube(order);
+        assert.equal(cube.frameAlgorithm(), '');
+        cube.applyMoves(algorithmToMoves("R x U y2 F' z x2", order));
+        assert.equal(cube.layer('x', null).length, cube.pieces.length);
+        const frame = cube.frameAlgorithm();
+        assert.ok(frame.split(' ').length <= 2);
+        // The named rotations reach the same frame from home
+        const check = new VirtualCube(order).applyMoves(algorithmToMoves(frame, order));
+        assert.deepEqual(check.frame, cube.frame);
+        // Face and wide turns leave it alone
+        cube.applyMoves(algorithmToMoves("R U' F2 Rw", order));
+        assert.equal(cube.frameAlgorithm(), frame);
+    }
+});
+
+test('an imported odd cube reads its frame off the centres', () => {
+    const turned = new VirtualCube(5).applyMoves(algorithmToMoves("x y R U'", 5));
+    const cube = new VirtualCube(5);
+    cube.importFacelets(turned.toFacelets());
+    assert.equal(cube.frameAlgorithm(), 'x y');
+    const even = new VirtualCube(4);
+    even.importFacelets(new VirtualCube(4).applyMoves(algorithmToMoves('x', 4)).toFacelets());
+    assert.equal(even.frameAlgorithm(), '');
+});
+
+test('the mirror cube uses the same logic', () => {
+    const cube = new VirtualCube(3, 'mirror');
+    cube.applyMoves(algorithmToMoves("R U R' U'", 3));
+    assert.ok(!cube.isSolved());
+    cube.applyMoves(algorithmToMoves("U R U' R'", 3));
+    assert.ok(cube.isSolved());
+});
+
+test('facelets survive an export/import round trip', () => {
+    for (const order of [2, 3, 4, 5]) {
+        const random = seeded(100 + order);
+        for (let i = 0; i < 5; i++) {
+            const a = new VirtualCube(order);
+            a.applyMoves(randomMoves(order, 40, random));
+            const facelets = a.toFacelets();
+
+            const b = new VirtualCube(order);
+            b.importFacelets(facelets);
+            assert.equal(b.toFacelets(), facelets);
+
+            // The imported cube keeps behaving like the original
+            const more = randomMoves(order, 10, random);
+            a.applyMoves(more);
+            b.applyMoves(more);
+            assert.equal(b.toFacelets(), a.toFacelets());
+        }
+    }
+});
+
+test('importing rejects impossible stickers', () => {
+    const cube = new VirtualCube(3);
+    const solved = cube.toFacelets();
+    assert.throws(() => cube.importFacelets(solved.slice(1)), /54 characters/);
+    const swapped = 'R' + solved.slice(1, 9) + 'U' + solved.slice(10);
+    assert.throws(() => cube.importFacelets(swapped));
+    assert.equal(cube.toFacelets(), solved);
+});
+
+test('sticker permutations agree with the piece model', () => {
+    for (const order of [2, 3, 4, 5]) {
+        const moves = randomMoves(order, 40, seeded(200 + order));
+        const cube = new VirtualCube(order).applyMoves(moves);
+        assert.equal(applyMoves(solvedFacelets(order), moves, order), cube.toFacelets());
+    }
+});
+
+test('only surface pieces are kept, and layers are found by position', () => {
+    assert.equal(new VirtualCube(2).pieces.length, 8);
+    assert.equal(new VirtualCube(3).pieces.length, 26);
+    assert.equal(new VirtualCube(17).pieces.length, 6 * 17 * 17 - 12 * 17 + 8);
+
+    const cube = new VirtualCube(5).applyMoves(randomMoves(5, 40, seeded(7)));
+    for (const axis of ['x', 'y', 'z']) {
+        for (const slice of [-2, -1, 0, 1, 2]) {
+            const scanned = cube.pieces.filter(p => Math.abs(p[axis] - slice) < 0.1);
+            assert.deepEqual(new Set(cube.layer(axis, slice)), new Set(scanned), `${axis}${slice}`);
+        }
+    }
+});
+
+test('big cubes turn and solve like small ones', () => {
+    const cube = new VirtualCube(17);
+    const moves = randomMoves(17, 60, seeded(17));
+    cube.applyMoves(moves);
+    assert.ok(!cube.isSolved());
+    assert.equal(cube.toFacelets(), applyMoves(solvedFacelets(17), moves, 17));
+    const inverse = moves.slice().reverse().map(m => ({ ...m, dir: -m.dir }));
+    assert.ok(cube.applyMoves(inverse).isSolved());
+});
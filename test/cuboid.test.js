@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves, movesToAlgorithm } from '../lib/notation.js';
+import { CUBOIDS, parseCuboid, sizeName, quarterTurns } from '../lib/cuboid.js';
+import { generateScramble } from '../lib/scramble.js';
+import { applyMoves, solvedFacelets } from '../lib/stickers.js';
+import { parsePuzzle, puzzleValue } from '../lib/share.js';
+import { invertMoves } from '../lib/playback.js';
+
+const domino = parseCuboid('3x3x2');
+
+test('cuboid names are width x depth x height', () => {
+    assert.deepEqual(parseCuboid('2x3x4'), { x: 2, y: 4, z: 3 });
+    assert.equal(sizeName(parseCuboid('2x3x4')), '2x3x4');
+    assert.equal(sizeName(4), '4x4');
+    assert.equal(parseCuboid('3x3x3'), null);
+    assert.equal(parseCuboid('1x3x3'), null);
+    assert.equal(parseCuboid('mirror'), null);
+    for (const name of CUBOIDS) assert.deepEqual(parsePuzzle(name), { order: parseCuboid(name), type: 'cuboid' });
+    assert.equal(puzzleValue(domino, 'cuboid'), '3x3x2');
+});
+
+test('only layers with square faces take quarter turns', () => {
+    assert.ok(quarterTurns(domino, 'y'));
+    assert.ok(!quarterTurns(domino, 'x'));
+    assert.ok(!quarterTurns(domino, 'z'));
+    assert.deepEqual(algorithmToMoves("U D' R2 x2 y", domino).map(m => m.dir), [-1, -1, -2, -2, -1]);
+    assert.throws(() => algorithmToMoves('R', domino), /"R" only turns 180° on a 3x3x2; use R2/);
+    assert.throws(() => algorithmToMoves("z'", domino), /only turns 180°/);
+    assert.throws(() => algorithmToMoves('3U', domino), /needs 3 layers along y/);
+    assert.throws(() => new VirtualCube(domino, 'cuboid').rotateLogic('x', 1, 1), /only turn 180°/);
+});
+
+test('a cuboid has its surface pieces and per-face stickers', () => {
+    const tower = new VirtualCube(parseCuboid('2x2x3'), 'cuboid');
+    assert.equal(tower.pieces.length, 12);
+    assert.equal(tower.toFacelets(), 'UUUURRRRRRFFFFFFDDDDLLLLLLBBBBBB');
+    assert.equal(tower.toFacelets(), solvedFacelets(tower.order));
+    assert.equal(new VirtualCube(parseCuboid('2x3x4'), 'cuboid').pieces.length, 24);
+    assert.equal(movesToAlgorithm(algorithmToMoves("M2 S2 2U2 y", parseCuboid('3x3x4')), parseCuboid('3x3x4')), "M2 S2 2U2 y");
+});
+
+test('scrambles are legal, and undoing them solves every cuboid', () => {
+    for (const name of CUBOIDS) {
+        const order = parseCuboid(name);
+        const { method, scramble, moves } = generateScramble(order, { seed: name });
+        assert.equal(method, 'random-move');
+        assert.deepEqual(generateScramble(order, { seed: name }).moves, moves);
+        assert.ok(moves.every(m => Math.abs(m.dir) === 2 || quarterTurns(order, m.axis)), scramble);
+
+        const cube = new VirtualCube(order, 'cuboid').applyMoves(moves);
+        assert.ok(!cube.isSolved());
+        assert.equal(cube.toFacelets(), applyMoves(solvedFacelets(order), moves, order));
+        const copy = new VirtualCube(order, 'cuboid');
+        copy.importFacelets(cube.toFacelets());
+        assert.equal(copy.toFacelets(), cube.toFacelets());
+        assert.ok(cube.applyMoves(invertMoves(moves)).isSolved());
+    }
+});
+
+test('a turned cuboid still counts as solved', () => {
+    const cube = new VirtualCube(domino, 'cuboid').applyMoves(algorithmToMoves('y x2 U D', domino));
+    assert.ok(!cube.isSolved());
+    cube.applyMoves(algorithmToMoves("D' U'", domino));
+    assert.ok(cube.isSolved());
+    assert.equal(cube.frameAlgorithm(), "x2 y'");
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAlgorithm, formatAlgorithm } from '../lib/notation.js';
+import { DEFAULT_KEYMAP, keyLabel, rebindKey, sanitiseKeymap, shiftLayers } from '../lib/keymap.js';
+
+const shifted = alg => formatAlgorithm(shiftLayers(parseAlgorithm(alg)));
+
+test('Shift reaches one layer deeper', () => {
+    assert.equal(shifted('R'), '2R');
+    assert.equal(shifted("2R'"), "3R'");
+    assert.equal(shifted('Rw2'), '3Rw2');
+    assert.equal(shifted('3Rw'), '4Rw');
+    assert.equal(shifted('M x'), 'M x');
+    assert.equal(shifted('[R, U]'), '[2R, 2U]');
+    assert.equal(shifted("(R U')2"), "(2R 2U')2");
+});
+
+test('unusable bindings are dropped', () => {
+    assert.deepEqual(sanitiseKeymap({ KeyA: 'R', KeyB: 'Q', KeyC: '', KeyD: 7, KeyE: "[R, U']" }), { KeyA: 'R', KeyE: "[R, U']" });
+    assert.deepEqual(sanitiseKeymap(null), DEFAULT_KEYMAP);
+    assert.deepEqual(sanitiseKeymap('KeyA=R'), DEFAULT_KEYMAP);
+    assert.notEqual(sanitiseKeymap(null), DEFAULT_KEYMAP);
+    assert.deepEqual(sanitiseKeymap(DEFAULT_KEYMAP), DEFAULT_KEYMAP);
+    assert.deepEqual(sanitiseKeymap({ KeyA: 'Q', KeyB: 7, KeyC: ' ' }), DEFAULT_KEYMAP);
+    assert.deepEqual(sanitiseKeymap({}), {});
+});
+
+test('keys are labelled as printed on the keyboard', () => {
+    assert.equal(keyLabel('KeyI'), 'I');
+    assert.equal(keyLabel('Digit5'), '5');
+    assert.equal(keyLabel('Semicolon'), ';');
+    assert.equal(keyLabel('ArrowUp'), 'ArrowUp');
+});
+
+test('rebinding onto a used key never loses a binding', () => {
+    const keymap = { KeyI: 'R', KeyK: "R'" };
+    assert.deepEqual(rebindKey(keymap, 'KeyI', 'KeyZ'), { keymap: { KeyK: "R'", KeyZ: 'R' }, taken: null });
+    assert.deepEqual(rebindKey(keymap, 'KeyI', 'KeyK'), { keymap: { KeyI: "R'", KeyK: 'R' }, taken: "R'" });
+    assert.deepEqual(rebindKey(keymap, 'KeyI', 'KeyI'), { keymap, taken: null });
+    assert.deepEqual(rebindKey(keymap, '', 'KeyZ'), { keymap: { ...keymap, KeyZ: '' }, taken: null });
+    assert.deepEqual(rebindKey(keymap, '', 'KeyK'), { keymap, taken: "R'" });
+    assert.deepEqual(keymap, { KeyI: 'R', KeyK: "R'" });
+});
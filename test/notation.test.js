@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseAlgorithm, formatAlgorithm, invertAlgorithm, expandAlgorithm,
+    algorithmToMoves, movesToAlgorithm, NotationError
+} from '../lib/notation.js';
+import { VirtualCube } from '../lib/cube.js';
+
+test('parse and format round trip', () => {
+    for (const alg of ["R U' F2 R2'", "Rw 3Rw 2R 2-3Rw", "M E S x y z", "(R U R' U')3", "[R, U] [F: R U R']'"]) {
+        assert.equal(formatAlgorithm(parseAlgorithm(alg)), alg);
+    }
+    assert.equal(formatAlgorithm(parseAlgorithm('r  u’ // comment')), "Rw Uw'");
+    // A zero amount has no direction, even inverted
+    assert.equal(formatAlgorithm(parseAlgorithm('R0 (U)0')), 'R0 (U)0');
+    assert.equal(formatAlgorithm(invertAlgorithm(parseAlgorithm('R0'))), 'R0');
+});
+
+test('parse errors are NotationErrors with a position', () => {
+    assert.throws(() => parseAlgorithm('R Q'), NotationError);
+    assert.throws(() => parseAlgorithm('(R U'), /Unclosed/);
+    assert.throws(() => algorithmToMoves('3Rw', 2), /needs at least a 3x3/);
+});
+
+test('commutators and conjugates expand as expected', () => {
+    assert.equal(formatAlgorithm(expandAlgorithm(parseAlgorithm('[R, U]'))), "R U R' U'");
+    assert.equal(formatAlgorithm(expandAlgorithm(parseAlgorithm('[F: R]'))), "F R F'");
+    assert.equal(formatAlgorithm(expandAlgorithm(parseAlgorithm("(R U)2'"))), "U' R' U' R'");
+});
+
+test('an algorithm followed by its inverse does nothing', () => {
+    for (const [alg, order] of [["R U2 F' (L D)2 [M, U] x", 3], ["Rw 2L' [3U: F2] z", 5], ["R U' Fw2", 4]]) {
+        const nodes = parseAlgorithm(alg);
+        const cube = new VirtualCube(order);
+        cube.applyMoves(algorithmToMoves(nodes, order));
+        assert.ok(!cube.isSolved());
+        cube.applyMoves(algorithmToMoves(invertAlgorithm(nodes), order));
+        assert.equal(cube.toFacelets(), new VirtualCube(order).toFacelets());
+    }
+});
+
+test('one move per layer, half turns included', () => {
+    assert.deepEqual(algorithmToMoves('R2', 3), [{ axis: 'x', slice: 1, dir: -2 }]);
+    assert.equal(algorithmToMoves('Rw', 4).length, 2);
+    assert.equal(algorithmToMoves('M', 5).length, 3);
+    assert.deepEqual(algorithmToMoves("R'", 3), [{ axis: 'x', slice: 1, dir: 1 }]);
+});
+
+test('rotations are one move of the whole cube on every order', () => {
+    for (const order of [2, 3, 4, 7]) {
+        assert.deepEqual(algorithmToMoves("x y2 z'", order), [
+            { axis: 'x', slice: null, dir: -1 },
+            { axis: 'y', slice: null, dir: -2 },
+            { axis: 'z', slice: null, dir: 1 }
+        ]);
+        assert.equal(movesToAlgorithm(algorithmToMoves("x R y2 y2 z'", order), order), "x R z'");
+    }
+});
+
+test('moves print back to notation', () => {
+    assert.equal(movesToAlgorithm(algorithmToMoves("R U2 F' M", 3), 3), "R U2 F' M");
+    assert.equal(movesToAlgorithm(algorithmToMoves("2R 3R' 2L'", 5), 5), "2R 3R' 2L'");
+    assert.equal(movesToAlgorithm(algorithmToMoves("R R'", 3), 3), '');
+});
+
+test('layers turned together print as one block', () => {
+    assert.equal(movesToAlgorithm(algorithmToMoves('Rw', 4), 4), 'Rw');
+    assert.equal(movesToAlgorithm(algorithmToMoves("M E2 S'", 5), 5), "M E2 S'");
+    assert.equal(movesToAlgorithm(algorithmToMoves("3Rw2 2-3Lw' Uw Dw'", 6), 6), "3Rw2 2-3Lw' Uw Dw'");
+    assert.equal(movesToAlgorithm(algorithmToMoves("2L' 3R", 5), 5), "2-3Lw'");
+    // Never every layer of an axis, which is a rotation
+    assert.equal(movesToAlgorithm(algorithmToMoves("R M' L'", 3), 3), "Rw L'");
+    assert.equal(movesToAlgorithm(algorithmToMoves("R L'", 2), 2), "R L'");
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { algorithmToMoves } from '../lib/notation.js';
+import { applyMoves, solvedFacelets } from '../lib/stickers.js';
+import { validateFacelets } from '../lib/validate.js';
+import { builtInPatterns, sanitisePatterns } from '../lib/patterns.js';
+
+const build = (order, alg) => applyMoves(solvedFacelets(order), algorithmToMoves(alg, order), order);
+const pattern = (order, name) => build(order, builtInPatterns(order).find(p => p.name === name).alg);
+const faces = (facelets, order) => Array.from({ length: 6 }, (_, f) => facelets.slice(f * order * order, (f + 1) * order * order));
+const OPPOSITE = { U: 'D', R: 'L', F: 'B', D: 'U', L: 'R', B: 'F' };
+
+test('every order from 2 to 17 has patterns that make a real, unsolved state', () => {
+    for (let order = 2; order <= 17; order++) {
+        const patterns = builtInPatterns(order);
+        assert.ok(patterns.length);
+        for (const { name, alg } of patterns) {
+            const facelets = build(order, alg);
+            assert.notEqual(facelets, solvedFacelets(order), `${name} on ${order}x${order}`);
+            if (order <= 5) assert.deepEqual(validateFacelets(facelets, order), [], `${name} on ${order}x${order}`);
+        }
+    }
+});
+
+test('checkerboards alternate single stickers on odd cubes', () => {
+    for (const order of [3, 5, 7, 17]) {
+        faces(pattern(order, 'Checkerboard'), order).forEach((face, f) => {
+            const own = 'URFDLB'[f];
+            [...face].forEach((c, i) => {
+                const even = (Math.floor(i / order) + (i % order)) % 2 === 0;
+                assert.equal(c, even ? own : OPPOSITE[own], `${order}x${order} ${own}${i + 1}`);
+            });
+        });
+    }
+    // Even cubes: only their own and the opposite colour on each face
+    faces(pattern(4, 'Checkerboard'), 4).forEach((face, f) => {
+        assert.deepEqual(new Set(face), new Set(['URFDLB'[f], OPPOSITE['URFDLB'[f]]]));
+    });
+});
+
+test('the superflip flips every edge and nothing else', () => {
+    for (const order of [3, 4, 5]) {
+        const n = order;
+        faces(pattern(order, 'Superflip'), order).forEach((face, f) => {
+            [...face].forEach((c, i) => {
+                const row = Math.floor(i / n), col = i % n;
+                const border = row === 0 || col === 0 || row === n - 1 || col === n - 1;
+                const corner = (row === 0 || row === n - 1) && (col === 0 || col === n - 1);
+                if (border && !corner) assert.notEqual(c, 'URFDLB'[f]);
+                else assert.equal(c, 'URFDLB'[f]);
+            });
+        });
+    }
+});
+
+test('six spots sets the centres apart from the rest of each face', () => {
+    for (const order of [3, 4, 5]) {
+        const n = order;
+        faces(pattern(order, 'Six spots'), order).forEach(face => {
+            const inner = [], outer = [];
+            [...face].forEach((c, i) => {
+                const row = Math.floor(i / n), col = i % n;
+                (row > 0 && col > 0 && row < n - 1 && col < n - 1 ? inner : outer).push(c);
+            });
+            assert.equal(new Set(inner).size, 1);
+            assert.equal(new Set(outer).size, 1);
+            assert.notEqual(inner[0], outer[0]);
+        });
+    }
+});
+
+test('saved patterns are checked', () => {
+    assert.deepEqual(sanitisePatterns(null), []);
+    assert.deepEqual(sanitisePatterns([
+        { name: ' Demo ', puzzle: '3', alg: "R U R'" },
+        { name: 'Demo', puzzle: '3', alg: 'U' },
+        { name: 'Demo', puzzle: 'mirror', alg: 'U' },
+        { name: 'Bad alg', puzzle: '3', alg: 'R Q' },
+        { name: 'Too deep', puzzle: '2', alg: '3R' },
+        { name: 'No puzzle', puzzle: '18', alg: 'R' },
+        { name: '', puzzle: '3', alg: 'R' },
+        'junk'
+    ]), [
+        { name: 'Demo', puzzle: '3', alg: "R U R'" },
+        { name: 'Demo', puzzle: 'mirror', alg: 'U' }
+    ]);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { Playback, invertMoves, playbackSteps, solveHoldsCube } from '../lib/playback.js';
+
+const state = (order, moves) => new VirtualCube(order).applyMoves(moves).toFacelets();
+
+test('an algorithm is split into single moves', () => {
+    assert.deepEqual(playbackSteps("(R U)2 [F, M2] x'", 3).map(s => s.notation), [
+        'R', 'U', 'R', 'U', 'F', 'M2', "F'", "M2'", "x'"
+    ]);
+    assert.equal(playbackSteps('Rw2', 4)[0].moves.length, 2);
+    assert.throws(() => playbackSteps('R Q', 3));
+});
+
+test('stepping back undoes each step on the cube', () => {
+    const alg = "R U2 Rw' F 2L B'";
+    const playback = new Playback(playbackSteps(alg, 4));
+    const cube = new VirtualCube(4);
+    const states = [cube.toFacelets()];
+    let moves;
+    while ((moves = playback.forward())) states.push(cube.applyMoves(moves).toFacelets());
+    assert.equal(states.at(-1), state(4, algorithmToMoves(alg, 4)));
+    assert.equal(playback.forward(), null);
+    for (let i = states.length - 2; i >= 0; i--) {
+        assert.equal(cube.applyMoves(playback.back()).toFacelets(), states[i]);
+    }
+    assert.ok(playback.atStart);
+    assert.equal(playback.back(), null);
+});
+
+test('seeking reaches the state of any position', () => {
+    const steps = playbackSteps("R U R' U' F' L2 D", 3);
+    const playback = new Playback(steps);
+    const cube = new VirtualCube(3);
+    for (const target of [5, 2, 7, 0, 3, 99, -4]) {
+        cube.applyMoves(playback.seek(target));
+        const position = Math.max(0, Math.min(7, target));
+        assert.equal(playback.position, position);
+        assert.equal(cube.toFacelets(), state(3, steps.slice(0, position).flatMap(s => s.moves)));
+        assert.equal(state(3, [...playback.movesBefore(), ...playback.movesAfter()]), state(3, steps.flatMap(s => s.moves)));
+    }
+});
+
+test('inverse moves undo the moves', () => {
+    const moves = algorithmToMoves("R U' 2F S", 5);
+    assert.equal(state(5, [...moves, ...invertMoves(moves)]), state(5, []));
+});
+
+test('a paused solution gives the cube back to the user', () => {
+    assert.ok(solveHoldsCube(true, null));
+    assert.ok(solveHoldsCube(true, { kind: 'algorithm', playing: false }));
+    assert.ok(solveHoldsCube(true, { kind: 'solve', playing: true }));
+    assert.ok(!solveHoldsCube(true, { kind: 'solve', playing: false }));
+    assert.ok(!solveHoldsCube(false, { kind: 'solve', playing: true }));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { solveBeginner } from '../lib/beginner.js';
+import { generateScramble } from '../lib/scramble.js';
+import { CFOP_STEPS, SolveRecorder, countMoves } from '../lib/reconstruction.js';
+
+// Feed an algorithm to a recorder one move per 250 ms
+function play(recorder, alg, order = 3) {
+    alg.split(' ').filter(Boolean).forEach((move, i) => {
+        recorder.record(move, algorithmToMoves(move, order), 1000 + i * 250);
+    });
+}
+
+test('moves are counted without rotations', () => {
+    assert.equal(countMoves("x R U R' y2 M2"), 4);
+    assert.equal(countMoves('(R U)2'), 4);
+});
+
+test('a full solve is split into every CFOP step', () => {
+    for (const seed of ['a', 'b', 'c']) {
+        const { scramble, moves } = generateScramble(3, { seed });
+        const facelets = new VirtualCube(3).applyMoves(moves).toFacelets();
+        const { solution } = solveBeginner(facelets);
+        const recorder = new SolveRecorder(facelets, 3, { scramble });
+        play(recorder, solution);
+
+        assert.ok(recorder.solved);
+        const summary = recorder.summary();
+        assert.deepEqual(summary.steps.map(s => s.name), CFOP_STEPS);
+        assert.equal(summary.steps.map(s => s.solution).filter(Boolean).join(' '), solution);
+        assert.equal(summary.moves, countMoves(solution));
+        assert.equal(summary.steps.reduce((sum, s) => sum + s.time, 0), summary.time);
+        assert.equal(summary.time, (solution.split(' ').length - 1) * 250);
+    }
+});
+
+test('the cross is followed through rotations', () => {
+    const { scramble, moves } = generateScramble(3, { seed: 'a' });
+    const facelets = new VirtualCube(3).applyMoves(moves).toFacelets();
+    const { solution } = solveBeginner(facelets);
+    const plain = new SolveRecorder(facelets, 3, { scramble });
+    play(plain, solution);
+    const crossEnd = plain.splits[0].end;
+
+    // The same solve held upside down after the cross: every later face
+    // turn has a new name
+    const flipped = { U: 'D', D: 'U', R: 'L', L: 'R', F: 'F', B: 'B' };
+    const turns = solution.split(' ');
+    const rest = turns.slice(crossEnd).map(m => flipped[m[0]] + m.slice(1));
+    const recorder = new SolveRecorder(facelets, 3, { scramble });
+    play(recorder, [...turns.slice(0, crossEnd), 'z2', ...rest].join(' '));
+
+    assert.ok(recorder.solved);
+    const steps = recorder.summary().steps;
+    assert.deepEqual(steps.map(s => s.name), CFOP_STEPS);
+    assert.deepEqual(steps.map(s => s.moves), plain.summary().steps.map(s => s.moves));
+    assert.ok(steps[1].solution.startsWith('z2 '));
+});
+
+test('steps finished by the same move are skips', () => {
+    const recorder = new SolveRecorder(new VirtualCube(3).applyMoves(algorithmToMoves("U'", 3)).toFacelets(), 3);
+    play(recorder, 'U');
+    const { steps } = recorder.summary();
+    assert.equal(steps[0].solution, 'U');
+    assert.ok(steps.slice(1).every(s => s.moves === 0 && s.time === 0));
+    assert.match(recorder.toText(), /^\(no scramble\) \/\/ scramble\n\nU \/\/ cross \(1 move, 0\.00s\)\n\/\/ f2l 1 skip/);
+});
+
+test('the start time can come from a timer', () => {
+    const recorder = new SolveRecorder(new VirtualCube(3).applyMoves(algorithmToMoves('R', 3)).toFacelets(), 3, { start: 0 });
+    play(recorder, "R'");
+    assert.equal(recorder.summary().time, 1000);
+    assert.equal(recorder.summary().tps, '1.00');
+});
+
+test('big cubes are recorded as one step', () => {
+    const scramble = "Rw U 2R'";
+    const recorder = new SolveRecorder(new VirtualCube(4).applyMoves(algorithmToMoves(scramble, 4)).toFacelets(), 4, { scramble });
+    play(recorder, "2R U' Rw'", 4);
+    assert.ok(recorder.solved);
+    const text = recorder.toText();
+    assert.equal(text, [
+        "Rw U 2R' // scramble",
+        '',
+        "2R U' Rw' // solution (3 moves, 0.50s)",
+        '',
+        '// 0.50s, 3 moves, 6.00 TPS'
+    ].join('\n'));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { parseAlgorithm } from '../lib/notation.js';
+import {
+    generateScramble, randomCubieCube, randomPocketFacelets, randomMoveScramble, seededRandom, scrambleLength
+} from '../lib/scramble.js';
+
+test('the same seed gives the same scramble', () => {
+    for (const order of [2, 3, 4, 5]) {
+        const a = generateScramble(order, { seed: 'tuesday' });
+        const b = generateScramble(order, { seed: 'tuesday' });
+        assert.equal(a.scramble, b.scramble, `${order}x${order}`);
+        assert.equal(a.seed, 'tuesday');
+    }
+    assert.notEqual(generateScramble(4, { seed: 1 }).scramble, generateScramble(4, { seed: 2 }).scramble);
+});
+
+test('random-state scrambles reach the generated state', () => {
+    for (const seed of [1, 2, 3]) {
+        const { scramble, moves, method } = generateScramble(3, { seed });
+        assert.equal(method, 'random-state');
+        const expected = randomCubieCube(seededRandom(seed)).toFacelets();
+        assert.equal(new VirtualCube(3).applyMoves(moves).toFacelets(), expected, scramble);
+
+        const pocket = generateScramble(2, { seed });
+        assert.equal(new VirtualCube(2).applyMoves(pocket.moves).toFacelets(), randomPocketFacelets(seededRandom(seed)));
+        assert.ok(pocket.scramble.split(' ').length >= 4, pocket.scramble);
+    }
+});
+
+test('random states are solvable', () => {
+    const random = seededRandom('states');
+    for (let i = 0; i < 50; i++) {
+        const cube = randomCubieCube(random);
+        assert.equal(cube.cornerParity(), cube.edgeParity());
+        assert.equal(cube.co.reduce((a, b) => a + b, 0) % 3, 0);
+        assert.equal(cube.eo.reduce((a, b) => a + b, 0) % 2, 0);
+    }
+});
+
+test('big cube scrambles have WCA length and nothing redundant', () => {
+    assert.equal(scrambleLength(4), 40);
+    assert.equal(scrambleLength(5), 60);
+    for (const order of [4, 5, 7]) {
+        const random = seededRandom(order);
+        for (let i = 0; i < 20; i++) {
+            const nodes = parseAlgorithm(randomMoveScramble(order, scrambleLength(order), random));
+            assert.equal(nodes.length, scrambleLength(order));
+            // Within a run of same-axis turns no block repeats
+            let run = [];
+            for (const { family, from, to } of nodes) {
+                const axis = 'RLUDFB'.indexOf(family) >> 1;
+                if (run.length && run[0].axis !== axis) run = [];
+                const block = `${family}${from}-${to}`;
+                assert.ok(!run.some(r => r.block === block), `${order}x${order}: ${block} repeats`);
+                run.push({ axis, block });
+            }
+        }
+    }
+});
+
+test('4x4 scrambles use R, U, F wide turns only', () => {
+    const { scramble } = generateScramble(4, { seed: 'wide' });
+    assert.match(scramble, /w/);
+    assert.doesNotMatch(scramble, /[LDB]w/);
+    assert.doesNotMatch(generateScramble(5, { seed: 'wide' }).scramble, /3/);
+});
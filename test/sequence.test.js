@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves, movesToAlgorithm } from '../lib/notation.js';
+import { turnDir, optimiseMoves, parallelCount, moveCounts } from '../lib/sequence.js';
+
+const moves = (alg, order = 3) => algorithmToMoves(alg, order);
+const optimised = (alg, order = 3) => movesToAlgorithm(optimiseMoves(moves(alg, order)), order);
+
+test('net quarter turns become a single dir', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5, -1, -2, -3, -6].map(turnDir), [0, 1, 2, -1, 0, 1, -1, -2, 1, -2]);
+});
+
+test('turns of the same layer cancel and merge', () => {
+    assert.equal(optimised("R R'"), '');
+    assert.equal(optimised('R R'), 'R2');
+    assert.equal(optimised('R2 R'), "R'");
+    assert.equal(optimised("R L R'"), 'L');
+    assert.equal(optimised("R U R'"), "R U R'");
+    assert.equal(optimised("x R x'"), 'R');
+    assert.equal(optimised("Rw Rw'", 4), '');
+});
+
+test('optimising never changes the state', () => {
+    for (const [alg, order] of [["R L R2 L' M U U2 R' x x'", 3], ["Rw R' 2L 3R2 U D' D y", 5], ["R U R' U' R2 F F2", 2]]) {
+        const full = new VirtualCube(order).applyMoves(moves(alg, order)).toFacelets();
+        const short = new VirtualCube(order).applyMoves(optimiseMoves(moves(alg, order))).toFacelets();
+        assert.equal(short, full);
+    }
+});
+
+test('layers on one axis turn together, each once', () => {
+    assert.equal(parallelCount(moves("R L' U")), 2);
+    assert.equal(parallelCount(moves('M', 5)), 3);
+    assert.equal(parallelCount(moves('R R')), 1);
+    assert.equal(parallelCount(moves('x R')), 1);
+    assert.equal(parallelCount(moves("R x")), 1);
+    assert.equal(parallelCount([]), 0);
+});
+
+test('HTM, QTM and STM counts', () => {
+    assert.deepEqual(moveCounts(moves("R U2 F'"), 3), { htm: 3, qtm: 4, stm: 3 });
+    assert.deepEqual(moveCounts(moves('M2'), 3), { htm: 2, qtm: 4, stm: 1 });
+    assert.deepEqual(moveCounts(moves('Rw 3R2', 5), 5), { htm: 3, qtm: 5, stm: 2 });
+    assert.deepEqual(moveCounts(moves("x y2 R R'"), 3), { htm: 0, qtm: 0, stm: 0 });
+    assert.deepEqual(moveCounts(moves("R L'"), 3), { htm: 2, qtm: 2, stm: 2 });
+    // Blocks stop short of a whole-cube rotation
+    assert.deepEqual(moveCounts(moves("R L'", 2), 2), { htm: 2, qtm: 2, stm: 2 });
+    assert.deepEqual(moveCounts(moves("R M' L'"), 3), { htm: 2, qtm: 2, stm: 2 });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { buildShareQuery, parsePuzzle, readShareParams } from '../lib/share.js';
+
+test('puzzle values match the puzzle selector', () => {
+    assert.deepEqual(parsePuzzle('4'), { order: 4, type: 'normal' });
+    assert.deepEqual(parsePuzzle('mirror'), { order: 3, type: 'mirror' });
+    assert.deepEqual(parsePuzzle('17'), { order: 17, type: 'normal' });
+    assert.equal(parsePuzzle('18'), null);
+    assert.equal(parsePuzzle('1'), null);
+    assert.equal(parsePuzzle('3x3'), null);
+});
+
+test('links round-trip', () => {
+    const query = buildShareQuery({ order: 4, scramble: "Rw U2 2R'", alg: '[R, U]', speed: 12, play: true });
+    const link = readShareParams(`?${query}`);
+    assert.deepEqual(link, {
+        puzzle: { order: 4, type: 'normal' },
+        scramble: "Rw U2 2R'",
+        state: null,
+        centres: null,
+        alg: '[R, U]',
+        speed: 12,
+        play: true,
+        errors: []
+    });
+});
+
+test('a facelet state can be shared instead of a scramble', () => {
+    const state = new VirtualCube(3).applyMoves(algorithmToMoves("R U R' U'", 3)).toFacelets();
+    const link = readShareParams('', `#${buildShareQuery({ order: 3, type: 'mirror', state })}`);
+    assert.deepEqual(link.puzzle, { order: 3, type: 'mirror' });
+    assert.equal(link.state, state);
+    assert.equal(link.scramble, null);
+});
+
+test('supercube centre turns travel with the state', () => {
+    const cube = new VirtualCube(3, 'super').applyMoves(algorithmToMoves("R U R' U'", 3));
+    cube.setCentreTwists({ U: 2, F: 1, L: 3 });
+    const link = readShareParams(`?${buildShareQuery({ order: 3, type: 'super', state: cube.toFacelets(), centres: cube.centreTwists() })}`);
+    assert.deepEqual(link.errors, []);
+    const copy = new VirtualCube(3, 'super');
+    copy.importFacelets(link.state);
+    copy.setCentreTwists(link.centres);
+    assert.deepEqual(copy.centreTwists(), cube.centreTwists());
+
+    assert.ok(!buildShareQuery({ order: 3, type: 'super', centres: { U: 0 } }).includes('centres'));
+    assert.equal(readShareParams('?puzzle=super&centres=100000').errors.length, 1);
+    assert.match(readShareParams('?puzzle=3&centres=200000').errors[0], /only for the supercube/);
+});
+
+test('the hash overrides the query', () => {
+    assert.equal(readShareParams('?speed=3', '#speed=7').speed, 7);
+});
+
+test('bad parameters are dropped with a message', () => {
+    const link = readShareParams('?puzzle=18&scramble=R%20Q&alg=4Rw&speed=99');
+    assert.equal(link.puzzle, null);
+    assert.equal(link.scramble, null);
+    // Without a valid puzzle a 3x3 is assumed, which has no fourth layer
+    assert.equal(link.alg, null);
+    assert.equal(link.speed, null);
+    assert.equal(link.errors.length, 4);
+
+    const short = readShareParams('?puzzle=2&state=UUUU');
+    assert.equal(short.state, null);
+    assert.match(short.errors[0], /needs 24 stickers/);
+    const counts = readShareParams(`?puzzle=2&state=${'U'.repeat(24)}`);
+    assert.match(counts.errors[0], /has 24 U stickers/);
+});
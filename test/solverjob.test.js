@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { runSolverJob, prepareTables } from '../lib/solverjob.js';
+import { exportSolverTables, importSolverTables } from '../lib/kociemba.js';
+import { generateScramble } from '../lib/scramble.js';
+
+async function job(request) {
+    const messages = [];
+    await runSolverJob(request, message => messages.push(message));
+    return messages;
+}
+
+function scrambled(order, alg) {
+    return new VirtualCube(order).applyMoves(algorithmToMoves(alg, order));
+}
+
+test('a solve request streams progress, then one result with the same id', async () => {
+    const cube = scrambled(3, "R U F' L2 D B' R2 U'");
+    const messages = await job({
+        type: 'solve', id: 7, method: 'ai-kociemba', facelets: cube.toFacelets(), order: 3, puzzleType: 'normal'
+    });
+    const last = messages.pop();
+    assert.equal(last.type, 'result');
+    assert.equal(last.id, 7);
+    assert.ok(messages.length > 0);
+    assert.ok(messages.every(m => m.type === 'progress' && m.id === 7 && typeof m.message === 'string'));
+
+    cube.applyMoves(algorithmToMoves(last.solution, 3));
+    assert.ok(cube.isSolved());
+});
+
+test('details come back as plain data', async () => {
+    const cube = scrambled(2, "R U2 F' R'");
+    const [result] = (await job({
+        type: 'solve', id: 1, method: 'pocket', facelets: cube.toFacelets(), order: 2, puzzleType: 'normal'
+    })).filter(m => m.type === 'result');
+    assert.equal(result.details.htm.length, 4);
+    assert.deepEqual(structuredClone(result.details), result.details);
+});
+
+test('solver failures become error messages', async () => {
+    const [unsupported] = await job({
+        type: 'solve', id: 2, method: 'beginner', facelets: new VirtualCube(4).toFacelets(), order: 4, puzzleType: 'normal'
+    });
+    assert.deepEqual(unsupported, {
+        type: 'error', id: 2, message: 'Beginner layer-by-layer cannot solve a 4x4 normal cube.'
+    });
+
+    const [unknown] = await job({ type: 'shuffle', id: 3 });
+    assert.equal(unknown.type, 'error');
+    assert.match(unknown.message, /Unknown solver request/);
+
+    await assert.rejects(prepareTables('megaminx'), /Unknown solver tables/);
+});
+
+test('a scramble request answers with the same scramble as generateScramble', async () => {
+    const last = (await job({ type: 'scramble', id: 4, order: 3, puzzleType: 'normal', seed: 'job' })).pop();
+    const { seed, method, scramble } = generateScramble(3, { seed: 'job' });
+    assert.deepEqual(last, { type: 'result', id: 4, seed, method, scramble });
+
+    const [big] = await job({ type: 'scramble', id: 5, order: 5, puzzleType: 'normal' });
+    assert.equal(big.method, 'random-move');
+    assert.equal(big.scramble.split(' ').length, 60);
+});
+
+test('Kociemba tables survive an export and only matching tables import', () => {
+    const tables = exportSolverTables();
+    assert.ok(importSolverTables(tables));
+    assert.ok(importSolverTables(structuredClone(tables)));
+    assert.ok(!importSolverTables(null));
+    assert.ok(!importSolverTables({ ...tables, sliceFlipPrune: new Int8Array(10) }));
+    assert.ok(!importSolverTables({ ...tables, twistMove: Array.from(tables.twistMove) }));
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { randomMoves } from '../lib/scramble.js';
+import { solveCube, canSolve } from '../lib/solvers.js';
+
+function seeded(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+function scrambled(order, seed) {
+    return new VirtualCube(order).applyMoves(randomMoves(order, 60, seeded(seed)));
+}
+
+function assertSolves(method, order, seeds) {
+    for (const seed of seeds) {
+        const cube = scrambled(order, seed);
+        const { moves } = solveCube(cube, method);
+        cube.applyMoves(moves);
+        assert.ok(cube.isSolved(), `${method} on ${order}x${order}, seed ${seed}`);
+    }
+}
+
+test('solvers say which cubes they handle', () => {
+    assert.ok(canSolve('ai-kociemba', 3));
+    assert.ok(!canSolve('ai-kociemba', 3, 'mirror'));
+    assert.ok(canSolve('reduction', 5));
+    assert.ok(!canSolve('pocket', 3));
+    assert.throws(() => solveCube(new VirtualCube(4), 'beginner'), /cannot solve/);
+});
+
+test('an already solved cube needs no moves', () => {
+    const result = solveCube(new VirtualCube(3), 'ai-kociemba');
+    assert.equal(result.solution, '');
+    assert.deepEqual(result.moves, []);
+});
+
+test('Kociemba solves 3x3 states in at most 22 moves', () => {
+    for (const seed of [1, 2, 3]) {
+        const cube = scrambled(3, seed);
+        const { solution, moves } = solveCube(cube, 'ai-kociemba');
+        assert.ok(solution.split(' ').length <= 22);
+        cube.applyMoves(moves);
+        assert.ok(cube.isSolved());
+    }
+});
+
+test('beginner method solves 3x3 states', () => {
+    assertSolves('beginner', 3, [4, 5, 6]);
+});
+
+test('optimal 2x2 solutions', () => {
+    const cube = scrambled(2, 7);
+    const { details: { htm, qtm } } = solveCube(cube, 'pocket');
+    assert.ok(htm.length <= 11 && qtm.length <= 14 && htm.length <= qtm.length);
+    assertSolves('pocket', 2, [7, 8]);
+});
+
+test('reduction solves 4x4 and 5x5 states', () => {
+    assertSolves('reduction', 4, [9, 10]);
+    assertSolves('reduction', 5, [11]);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    inspectionPenalty, formatTime, formatSolve, averageOf, meanOf, sessionStats, sanitiseSessions, defaultSessions
+} from '../lib/timer.js';
+
+const solves = (...times) => times.map(t => (t === 'DNF'
+    ? { time: 10000, penalty: 'DNF' }
+    : { time: t, penalty: '' }));
+
+test('inspection penalties follow WCA timing', () => {
+    assert.equal(inspectionPenalty(14999), '');
+    assert.equal(inspectionPenalty(15000), '+2');
+    assert.equal(inspectionPenalty(16999), '+2');
+    assert.equal(inspectionPenalty(17000), 'DNF');
+});
+
+test('times are truncated to hundredths', () => {
+    assert.equal(formatTime(12345), '12.34');
+    assert.equal(formatTime(62359), '1:02.35');
+    assert.equal(formatTime(Infinity), 'DNF');
+    assert.equal(formatTime(null), '-');
+    assert.equal(formatSolve({ time: 12340, penalty: '+2' }), '14.34+');
+    assert.equal(formatSolve({ time: 12340, penalty: 'DNF' }), 'DNF(12.34)');
+});
+
+test('averages drop the best and worst times', () => {
+    assert.equal(averageOf(solves(10000, 11000, 12000, 13000, 20000), 5), 12000);
+    // One DNF is the dropped worst time, two make the average a DNF
+    assert.equal(averageOf(solves(10000, 11000, 12000, 13000, 'DNF'), 5), 12000);
+    assert.equal(averageOf(solves(10000, 11000, 12000, 'DNF', 'DNF'), 5), Infinity);
+    assert.equal(averageOf(solves(10000, 11000, 12000), 5), null);
+    // Only the last n solves count
+    assert.equal(averageOf(solves(1, 10000, 11000, 12000, 13000, 14000), 5), 12000);
+    assert.equal(meanOf(solves(10000, 11000, 15000), 3), 12000);
+    assert.equal(meanOf(solves(10000, 11000, 'DNF'), 3), Infinity);
+});
+
+test('ao100 drops five solves at each end', () => {
+    const times = Array.from({ length: 100 }, (_, i) => 10000 + i * 100);
+    times[0] = 1;
+    times[99] = Infinity;
+    const list = times.map(t => (t === Infinity ? { time: 0, penalty: 'DNF' } : { time: t, penalty: '' }));
+    // Drops indices 0-4 and 95-99; the rest average to 10000 + 49.5 * 100
+    assert.equal(averageOf(list, 100), 14950);
+});
+
+test('session stats include a +2 penalty', () => {
+    const stats = sessionStats([{ time: 9000, penalty: '+2' }, ...solves(12000, 13000)]);
+    assert.equal(stats.best, 11000);
+    assert.equal(stats.mo3, 12000);
+    assert.equal(stats.ao5, null);
+});
+
+test('stored sessions are sanitised', () => {
+    assert.deepEqual(sanitiseSessions(null), defaultSessions());
+    assert.deepEqual(sanitiseSessions({ sessions: 'nope' }), defaultSessions());
+    const clean = sanitiseSessions({
+        current: 'missing',
+        sessions: [
+            { name: 'OH', solves: [{ time: 20000, penalty: 'bogus', scramble: "R U" }, { time: -5 }, 'x'] },
+            { name: 'OH', solves: [] },
+            { name: '', solves: [] }
+        ]
+    });
+    assert.equal(clean.current, 'OH');
+    assert.equal(clean.sessions.length, 1);
+    assert.deepEqual(clean.sessions[0].solves, [{ time: 20000, penalty: '', scramble: 'R U', puzzle: '', date: 0 }]);
+});
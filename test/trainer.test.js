@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { caseSetup, findCase } from '../lib/cases.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { applyMoves } from '../lib/stickers.js';
+import {
+    KEPT_TIMES, caseSolved, caseStats, defaultTrainerData, pickCase, recordCaseTime, sanitiseTrainerData, weakCases
+} from '../lib/trainer.js';
+
+const play = (facelets, alg) => applyMoves(facelets, algorithmToMoves(alg, 3), 3);
+
+test('an OLL is done once the last layer faces one way', () => {
+    const { facelets } = caseSetup(findCase('oll-45'), 1);
+    assert.equal(caseSolved(facelets, 'oll'), false);
+    assert.equal(caseSolved(play(facelets, "U' F R U R' U' F'"), 'oll'), true);
+    // Done the other way up, after a rotation
+    assert.equal(caseSolved(play(facelets, "U' x2 B R D R' D' B'"), 'oll'), true);
+    // Breaking the first two layers does not count
+    assert.equal(caseSolved(play(facelets, "U' F R U R' U' F' R U"), 'oll'), false);
+});
+
+test('a PLL is done without the last AUF', () => {
+    const { facelets } = caseSetup(findCase('pll-t'), 3);
+    const solved = play(facelets, "U R U R' U' R' F R2 U' R' U' R U R' F'");
+    assert.equal(caseSolved(facelets, 'pll'), false);
+    assert.equal(caseSolved(solved, 'pll'), true);
+    assert.equal(caseSolved(play(solved, 'U'), 'pll'), true);
+    assert.equal(caseSolved(play(solved, "U R"), 'pll'), false);
+});
+
+test('times are kept per case and weak cases found', () => {
+    const data = defaultTrainerData();
+    for (let i = 0; i < KEPT_TIMES + 3; i++) recordCaseTime(data, 'pll-t', 1000 + i);
+    assert.equal(data.times['pll-t'].length, KEPT_TIMES);
+    assert.equal(caseStats(data, 'pll-t').best, 1003);
+    [3000, 3000, 3000].forEach(t => recordCaseTime(data, 'pll-aa', t));
+    [5000, 5000].forEach(t => recordCaseTime(data, 'pll-e', t));
+    assert.deepEqual(caseStats(data, 'pll-h'), { count: 0, best: null, mean: null });
+    // E is slowest but has too few times to judge
+    assert.deepEqual(weakCases(data, ['pll-t', 'pll-aa', 'pll-e', 'pll-h']), ['pll-aa', 'pll-t']);
+    assert.deepEqual(weakCases(data, ['pll-t', 'pll-aa'], 1), ['pll-aa']);
+});
+
+test('cases are picked from the selection without repeats', () => {
+    assert.equal(pickCase(['a', 'b'], 'a', () => 0.99), 'b');
+    assert.equal(pickCase(['a'], 'a'), 'a');
+    assert.equal(pickCase([]), null);
+});
+
+test('stored data is checked', () => {
+    assert.deepEqual(sanitiseTrainerData('junk'), defaultTrainerData());
+    assert.equal(defaultTrainerData().selected.length, 21);
+    const data = sanitiseTrainerData({
+        selected: ['oll-1', 'oll-1', 'oll-99'],
+        times: { 'oll-1': [1200.4, -5, 'x'], 'oll-99': [1000], 'pll-h': [] }
+    });
+    assert.deepEqual(data, { selected: ['oll-1'], times: { 'oll-1': [1200] } });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { validateFacelets } from '../lib/validate.js';
+
+const state = (order, alg = '') => new VirtualCube(order).applyMoves(algorithmToMoves(alg, order)).toFacelets();
+
+// Swap stickers i and j (pairs of them for several)
+function swap(facelets, ...pairs) {
+    const s = facelets.split('');
+    for (const [i, j] of pairs) [s[i], s[j]] = [s[j], s[i]];
+    return s.join('');
+}
+
+// Facelets of the UF and UR edges and the URF corner (see lib/cubie.js)
+const UF = [7, 19], UR = [5, 10], URF = [8, 9, 20];
+
+test('reachable states pass, in any orientation', () => {
+    assert.deepEqual(validateFacelets(state(3, "R U F' L2 x y2 M E'"), 3), []);
+    assert.deepEqual(validateFacelets(state(2, "R U F' z"), 2), []);
+    assert.deepEqual(validateFacelets(state(4, "Rw U 2R' Fw"), 4), []);
+    assert.deepEqual(validateFacelets(state(5, "3Rw U 2R' Fw"), 5), []);
+});
+
+test('each kind of problem gets its own message', () => {
+    const solved = state(3);
+    assert.deepEqual(validateFacelets(swap(solved, [UF[0], UF[1]]), 3), ['One edge is flipped.']);
+    assert.deepEqual(validateFacelets(swap(solved, [URF[0], URF[1]], [URF[0], URF[2]]), 3),
+        ['One corner is twisted clockwise (or two counter-clockwise).']);
+    assert.match(validateFacelets(swap(solved, [UF[0], UR[0]], [UF[1], UR[1]]), 3)[0], /permutation parity/);
+    assert.deepEqual(validateFacelets(swap(solved, [URF[0], URF[1]]), 3), [
+        'The corner at URF (red-white-green) has its colours in mirror order.'
+    ]);
+    assert.deepEqual(validateFacelets(swap(solved, [4, 31]), 3).length, 1);
+    assert.match(validateFacelets(swap(solved, [4, 31]), 3)[0], /centres/);
+});
+
+test('colour counts and unpainted stickers come first', () => {
+    const solved = state(3);
+    assert.deepEqual(validateFacelets(`R${solved.slice(1)}`, 3), [
+        'There are 8 white stickers (need 9).',
+        'There are 10 red stickers (need 9).'
+    ]);
+    assert.deepEqual(validateFacelets(`??${solved.slice(2)}`, 3), ['2 stickers are not painted yet.']);
+    assert.match(validateFacelets('UUU', 2)[0], /needs 24 stickers/);
+});
+
+test('impossible and duplicated pieces are named', () => {
+    const solved = state(3);
+    // The green sticker of UF swapped with the yellow sticker of DF
+    assert.deepEqual(validateFacelets(swap(solved, [UF[1], 28]), 3), [
+        'The edge at UF (white-yellow) is not a real edge.',
+        'The edge at DF (green-green) is not a real edge.'
+    ]);
+    // UR painted white-green and DF yellow-red: both pieces twice, two missing
+    const twice = solved.split('');
+    twice[UR[1]] = 'F';
+    twice[25] = 'R';
+    assert.deepEqual(validateFacelets(twice.join(''), 3), [
+        'The white-green edge appears twice (UR and UF).',
+        'The yellow-red edge appears twice (DR and DF).',
+        'The white-red edge is missing.',
+        'The yellow-green edge is missing.'
+    ]);
+});
+
+test('names can follow another colour scheme', () => {
+    const names = { U: 'yellow', R: 'orange', F: 'blue', D: 'white', L: 'red', B: 'green' };
+    assert.deepEqual(validateFacelets(`R${state(3).slice(1)}`, 3, names)[0], 'There are 8 yellow stickers (need 9).');
+});
+
+test('a 2x2 twist is found without centres', () => {
+    const solved = state(2);
+    // URF corner of a 2x2: U4, R1, F2
+    const twisted = swap(swap(solved, [3, 4]), [4, 9]);
+    assert.deepEqual(validateFacelets(twisted, 2).length, 1);
+    assert.match(validateFacelets(twisted, 2)[0], /twisted/);
+});
+
+test('big cubes get corner twist, and on odd orders middle edge flip and parity', () => {
+    // URF corner and the UF and UR middle edges, as on the 3x3 above
+    const corner = { 4: [15, 16, 35], 5: [24, 25, 54] };
+    for (const order of [4, 5]) {
+        const [a, b, c] = corner[order];
+        const twisted = swap(state(order, "Rw U 2R'"), [a, b], [a, c]);
+        assert.deepEqual(validateFacelets(twisted, order), ['One corner is twisted clockwise (or two counter-clockwise).']);
+    }
+    const solved = state(5);
+    const uf = [22, 52], ur = [14, 27];
+    assert.deepEqual(validateFacelets(swap(solved, uf), 5), ['One edge is flipped.']);
+    assert.match(validateFacelets(swap(solved, [uf[0], ur[0]], [uf[1], ur[1]]), 5)[0], /permutation parity/);
+    // Wing parity is a legal 4x4 state
+    assert.deepEqual(validateFacelets(state(4, "2R U2 2R2 U2 2R"), 4), []);
+});
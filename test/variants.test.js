@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualCube } from '../lib/cube.js';
+import { algorithmToMoves } from '../lib/notation.js';
+import { centreFix, fillVoidCentres } from '../lib/variants.js';
+import { solveCube, canSolve } from '../lib/solvers.js';
+import { validateFacelets } from '../lib/validate.js';
+import { generateScramble } from '../lib/scramble.js';
+import { parsePuzzle, puzzleValue } from '../lib/share.js';
+
+const turned = (type, alg) => new VirtualCube(3, type).applyMoves(algorithmToMoves(alg, 3));
+
+test('supercube and picture cube centres must be turned the right way', () => {
+    for (const type of ['super', 'picture']) {
+        // Turns U's centre 180° and nothing else
+        const cube = turned(type, "(R U R' U)5");
+        assert.equal(cube.toFacelets(), new VirtualCube(3).toFacelets());
+        assert.ok(!cube.isSolved());
+        assert.deepEqual(cube.centreTwists(), { U: 2, R: 0, F: 0, D: 0, L: 0, B: 0 });
+        assert.ok(turned(type, "y x' R L'").applyMoves(algorithmToMoves("L R'", 3)).isSolved());
+    }
+    assert.ok(turned('normal', "(R U R' U)5").isSolved());
+});
+
+test('centre twists are read by the face the centre is on', () => {
+    assert.deepEqual(turned('super', 'M').centreTwists(), { U: 0, R: 1, F: 0, D: 0, L: 3, B: 0 });
+    const cube = turned('super', "R U F'");
+    cube.setCentreTwists({ U: 1, F: 3 });
+    assert.deepEqual(cube.centreTwists(), { U: 1, R: 0, F: 3, D: 0, L: 0, B: 0 });
+    assert.equal(cube.toFacelets(), turned('normal', "R U F'").toFacelets());
+});
+
+test('centreFix turns the centres back and moves nothing else', () => {
+    for (const alg of ["R U R' U", 'M E', "(U M' U' M)5 (R E R' E')5", "x (R U R' U)5 S"]) {
+        const cube = turned('super', alg);
+        const facelets = cube.toFacelets();
+        cube.applyMoves(algorithmToMoves(centreFix(cube.centreTwists()), 3));
+        assert.equal(cube.toFacelets(), facelets);
+        assert.deepEqual(Object.values(cube.centreTwists()), [0, 0, 0, 0, 0, 0]);
+    }
+    assert.equal(centreFix({}), '');
+    assert.throws(() => centreFix({ U: 1 }), /odd number/);
+});
+
+test('a void cube is solved as the 3x3 its missing centres allow', () => {
+    assert.ok(turned('void', "x y'").isSolved());
+    assert.ok(!turned('void', 'M').isSolved());
+    // Filled in as they are, the centres would leave a swap
+    const scrambled = turned('void', 'M U R').toFacelets();
+    const home = [...scrambled].map((c, i) => (i % 9 === 4 ? 'URFDLB'[Math.floor(i / 9)] : c)).join('');
+    assert.match(validateFacelets(home, 3)[0], /swapped/);
+    assert.deepEqual(validateFacelets(fillVoidCentres(scrambled), 3), []);
+});
+
+test('the 3x3 solvers solve every variant', () => {
+    for (const type of ['super', 'picture', 'void']) {
+        assert.ok(canSolve('ai-kociemba', 3, type));
+        const cube = turned(type, "M U R F' E2 S D L' B");
+        const { moves, details } = solveCube(cube, 'beginner');
+        assert.ok(cube.applyMoves(moves).isSolved(), type);
+        assert.equal('centres' in details, type !== 'void');
+    }
+    assert.ok(!canSolve('reduction', 3, 'super'));
+});
+
+test('variants are puzzle types, and oriented centres get random-move scrambles', () => {
+    for (const type of ['super', 'picture', 'void']) {
+        assert.deepEqual(parsePuzzle(type), { order: 3, type });
+        assert.equal(puzzleValue(3, type), type);
+    }
+    const { method, moves } = generateScramble(3, { seed: 'super', type: 'super' });
+    assert.equal(method, 'random-move');
+    assert.equal(moves.length, 25);
+    assert.equal(generateScramble(3, { seed: 'void', type: 'void' }).method, 'random-state');
+});